@@ -144,6 +144,9 @@ contract Erc1155Claimer is
     // Tracking of active claim events
     uint256[] private _simpleClaimEventsActive;
     uint256[] private _randomClaimEventsActive;
+    // Claim event ID => index in the active list + 1 (0 if not active)
+    mapping(uint256 => uint256) private _simpleClaimActivePositions;
+    mapping(uint256 => uint256) private _randomClaimActivePositions;
 
     // Claim events information
     mapping(uint256 => SimpleClaimEvent) public simpleClaimEventDetails;
@@ -438,6 +441,8 @@ contract Erc1155Claimer is
 
         // Add event to active list
         _simpleClaimEventsActive.push(currentEventId);
+        _simpleClaimActivePositions[currentEventId] = _simpleClaimEventsActive
+            .length;
 
         emit CLAIM_EVENT_CREATED(
             currentEventId,
@@ -485,6 +490,8 @@ contract Erc1155Claimer is
         randomClaimEventDetails[currentEventId] = newClaimEvent;
         // Add event to active list
         _randomClaimEventsActive.push(currentEventId);
+        _randomClaimActivePositions[currentEventId] = _randomClaimEventsActive
+            .length;
 
         emit CLAIM_EVENT_CREATED(
             currentEventId,
@@ -1017,29 +1024,15 @@ contract Erc1155Claimer is
      * an active event.
      */
     function _removeSimpleClaimActiveEvent(uint256 orderId) private {
-        // Delete the order from the active Ids list
-        uint256 activeOrdersNumber = _simpleClaimEventsActive.length;
-        uint256 orderIndex;
-        bool idFound;
-
-        for (uint256 i = 0; i < activeOrdersNumber; i++) {
-            if (_simpleClaimEventsActive[i] == orderId) {
-                orderIndex = i;
-                idFound = true;
-                break;
-            }
-        }
-
-        require(idFound, "Simple Claim event not in the active list");
-
-        if (orderIndex != activeOrdersNumber - 1) {
-            // Need to swap the order to delete with the last one and procede as above
-            _simpleClaimEventsActive[orderIndex] = _simpleClaimEventsActive[
-                activeOrdersNumber - 1
-            ];
-        }
-
-        _simpleClaimEventsActive.pop();
+        require(
+            _simpleClaimActivePositions[orderId] != 0,
+            "Simple Claim event not in the active list"
+        );
+        _removeActiveEvent(
+            _simpleClaimEventsActive,
+            _simpleClaimActivePositions,
+            orderId
+        );
     }
 
     /**
@@ -1051,29 +1044,41 @@ contract Erc1155Claimer is
      * an active event.
      */
     function _removeRandomClaimActiveEvent(uint256 orderId) private {
-        // Delete the order from the active Ids list
-        uint256 activeOrdersNumber = _randomClaimEventsActive.length;
-        uint256 orderIndex;
-        bool idFound;
-
-        for (uint256 i = 0; i < activeOrdersNumber; i++) {
-            if (_randomClaimEventsActive[i] == orderId) {
-                orderIndex = i;
-                idFound = true;
-                break;
-            }
-        }
-
-        require(idFound, "Random Claim event not in the active list");
+        require(
+            _randomClaimActivePositions[orderId] != 0,
+            "Random Claim event not in the active list"
+        );
+        _removeActiveEvent(
+            _randomClaimEventsActive,
+            _randomClaimActivePositions,
+            orderId
+        );
+    }
 
-        if (orderIndex != activeOrdersNumber - 1) {
-            // Need to swap the order to delete with the last one and procede as above
-            _randomClaimEventsActive[orderIndex] = _randomClaimEventsActive[
-                activeOrdersNumber - 1
-            ];
+    /**
+     * @dev Remove in constant time an event from an active list, by
+     * swapping it with the last active event of the list
+     *
+     * @param activeEvents list of the active events IDs
+     * @param positions event ID => index in the active list + 1
+     * @param eventId ID of the active event to remove
+     */
+    function _removeActiveEvent(
+        uint256[] storage activeEvents,
+        mapping(uint256 => uint256) storage positions,
+        uint256 eventId
+    ) private {
+        uint256 eventPosition = positions[eventId];
+        uint256 lastIndex = activeEvents.length - 1;
+        if (eventPosition - 1 != lastIndex) {
+            // Move the last event in the place of the one to delete
+            uint256 lastEventId = activeEvents[lastIndex];
+            activeEvents[eventPosition - 1] = lastEventId;
+            positions[lastEventId] = eventPosition;
         }
 
-        _randomClaimEventsActive.pop();
+        activeEvents.pop();
+        delete positions[eventId];
     }
 
     //------------------------------------------------------------------//
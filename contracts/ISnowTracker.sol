@@ -12,11 +12,14 @@
  */
 pragma solidity 0.8.20;
 
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
 /**
  * @title ISnowTracker
  * @dev Interface for the SnowTracker contract, which allows for tracking soft-token balances
+ * and exposes them through the ERC20 interface
  */
-interface ISnowTracker {
+interface ISnowTracker is IERC20Metadata {
     /**
      * @dev Pauses all interactions with the contract.
      * Can only be called by an address with the PAUSER_ROLE.
@@ -51,9 +54,80 @@ interface ISnowTracker {
         external
         returns (uint256);
 
+    /**
+     * @dev Adds tokens to the balance of a specified wallet address as a grant lot
+     * that expires at the specified block.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a TokensAdded and a GrantLotAdded event upon successful addition.
+     * @param to The wallet address to add the tokens to.
+     * @param amount The number of tokens to add.
+     * @param expiryBlock The first block in which the tokens are expired.
+     * @return The new balance of the wallet address.
+     */
+    function addExpiringTokens(
+        address to,
+        uint256 amount,
+        uint256 expiryBlock
+    ) external returns (uint256);
+
+    /**
+     * @dev Adds expiring tokens to the balances of multiple addresses.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a TokensAdded and a GrantLotAdded event upon successful addition.
+     * @param to Array of addresses to add the tokens to.
+     * @param amounts Array of token amounts corresponding to each address.
+     * @param expiryBlock The first block in which the tokens of all the lots are expired.
+     * @return The total amount of tokens distributed.
+     */
+    function batchAddExpiringTokens(
+        address[] memory to,
+        uint256[] memory amounts,
+        uint256 expiryBlock
+    ) external returns (uint256);
+
+    /**
+     * @dev Adds tokens to the balance of a specified wallet address that unlock linearly
+     * from the start block to the end block.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a TokensAdded and a VestingScheduleCreated event upon successful addition.
+     * @param to The wallet address to add the tokens to.
+     * @param amount The number of tokens to add.
+     * @param startBlock The block from which the tokens start to unlock.
+     * @param endBlock The block in which all the tokens are unlocked.
+     * @return scheduleId The ID of the vesting schedule.
+     */
+    function addVestingTokens(
+        address to,
+        uint256 amount,
+        uint256 startBlock,
+        uint256 endBlock
+    ) external returns (uint256 scheduleId);
+
+    /**
+     * @dev Revokes a vesting schedule, removing its locked tokens from the supply.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a VestingScheduleRevoked event.
+     * @param scheduleId The ID of the vesting schedule to revoke.
+     * @return revokedAmount The number of locked tokens removed.
+     */
+    function revokeVesting(uint256 scheduleId)
+        external
+        returns (uint256 revokedAmount);
+
+    /**
+     * @dev Burns the expired grant lots of a specified wallet address.
+     * Emits a TokensExpired event if some tokens have been burned.
+     * @param account The wallet address whose expired lots are burned.
+     * @return sweptAmount The number of expired tokens burned.
+     */
+    function sweepExpiredTokens(address account)
+        external
+        returns (uint256 sweptAmount);
+
     /**
      * @dev Removes tokens from the balance of a specified wallet address.
-     * Can only be called by an address with the SPENDER_ROLE.
+     * Can only be called by an address with the SPENDER_ROLE, without
+     * needing an allowance of the wallet address.
      * Emits a TokensRemoved event upon successful removal.
      * @param from The wallet address to remove the tokens from.
      * @param amount The number of tokens to remove.
@@ -65,7 +139,8 @@ interface ISnowTracker {
 
     /**
      * @dev Removes tokens from the balances of multiple addresses.
-     * Can only be called by an address with the MANAGER_ROLE.
+     * Can only be called by an address with the SPENDER_ROLE, without
+     * needing an allowance of the wallet addresses.
      * Emits a TokensRemoved event upon successful removal.
      * @param from Array of addresses to remove the tokens from.
      * @param amounts Array of token amounts corresponding to each address.
@@ -84,12 +159,77 @@ interface ISnowTracker {
     function transferTokens(address to, uint256 amount) external;
 
     /**
-     * @dev Retrieves the balance of a given wallet address.
+     * @dev Moves tokens from the balance of a wallet address to another one.
+     * Can only be called by an address with the SPENDER_ROLE, without
+     * needing an allowance of the wallet address.
+     * Emits a TokensTransfered and a TokensSpent event upon successful transfer.
+     * @param from The wallet address that spends the tokens.
+     * @param to The wallet address that receives the tokens.
+     * @param amount The number of tokens to spend.
+     */
+    function spendTokens(
+        address from,
+        address to,
+        uint256 amount
+    ) external;
+
+    /**
+     * @dev Enables or disables the ERC20 transfer and transferFrom functions.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a TransferableModeUpdated event.
+     * @param _isTransferable True to enable the ERC20 transfers.
+     */
+    function setTransferable(bool _isTransferable) external;
+
+    /**
+     * @dev Spends tokens of a wallet address within the allowance approved to the sender.
+     * Emits a TokensSpent event upon successful spending.
+     * @param from The wallet address that spends the tokens.
+     * @param to The wallet address that receives the tokens (the zero address to remove them from the supply).
+     * @param amount The number of tokens to spend.
+     */
+    function spendFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external;
+
+    /**
+     * @dev Retrieves the unlocked balance of a given wallet address, excluding the expired grant lots.
      * @param account The wallet address to query.
-     * @return The balance of the specified wallet address.
+     * @return The balance that the specified wallet address can spend.
      */
     function balances(address account) external view returns (uint256);
 
+    /**
+     * @dev Retrieves the unlocked balance of a given wallet address that can be moved to another
+     * wallet address, excluding the tokens of the grant lots (that can only be removed from the supply).
+     * @param account The wallet address to query.
+     * @return The balance that the specified wallet address can transfer.
+     */
+    function transferableBalance(address account) external view returns (uint256);
+
+    /**
+     * @dev Retrieves the total balance of a given wallet address, including the locked tokens.
+     * @param account The wallet address to query.
+     * @return The total balance of the specified wallet address.
+     */
+    function totalBalance(address account) external view returns (uint256);
+
+    /**
+     * @dev Retrieves the tokens of the vesting schedules of a given wallet address that are still locked.
+     * @param account The wallet address to query.
+     * @return The locked balance of the specified wallet address.
+     */
+    function lockedBalance(address account) external view returns (uint256);
+
+    /**
+     * @dev Retrieves the expired tokens of a given wallet address that haven't been swept yet.
+     * @param account The wallet address to query.
+     * @return The total amount of the expired grant lots.
+     */
+    function expiredTokens(address account) external view returns (uint256);
+
     /**
      * @dev Retrieves the total number of unique token holders.
      * @return The total number of unique token holders.
@@ -97,8 +237,52 @@ interface ISnowTracker {
     function uniqueHolders() external view returns (uint256);
 
     /**
-     * @dev Retrieves the total token supply.
-     * @return The total token supply.
+     * @dev Takes a snapshot of the balances at the current block.
+     * Can only be called by an address with the MANAGER_ROLE.
+     * Emits a SnapshotTaken event.
+     * @return snapshotId The ID of the snapshot.
+     */
+    function snapshot() external returns (uint256 snapshotId);
+
+    /**
+     * @dev Retrieves the block in which a snapshot has been taken.
+     * @param snapshotId The ID of the snapshot.
+     * @return The number of the block.
+     */
+    function snapshotBlocks(uint256 snapshotId) external view returns (uint256);
+
+    /**
+     * @dev Retrieves the balance of a given wallet address at the end of a past block.
+     * The balance is the raw one, including the locked and the not swept expired tokens.
+     * @param account The wallet address to query.
+     * @param blockNumber The number of the block to query.
+     * @return The balance of the wallet address at the end of the block.
+     */
+    function balanceOfAt(address account, uint256 blockNumber)
+        external
+        view
+        returns (uint256);
+
+    /**
+     * @dev Retrieves the total token supply at the end of a past block.
+     * @param blockNumber The number of the block to query.
+     * @return The total token supply at the end of the block.
+     */
+    function totalSupplyAt(uint256 blockNumber) external view returns (uint256);
+
+    /**
+     * @dev Retrieves the total number of unique token holders at the end of a past block.
+     * @param blockNumber The number of the block to query.
+     * @return The total number of unique token holders at the end of the block.
+     */
+    function uniqueHoldersAt(uint256 blockNumber)
+        external
+        view
+        returns (uint256);
+
+    /**
+     * @dev Retrieves whether the ERC20 transfers are enabled.
+     * @return True if the ERC20 transfer and transferFrom functions are enabled.
      */
-    function totalSupply() external view returns (uint256);
+    function isTransferable() external view returns (bool);
 }
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "./ISnowTracker.sol";
+
+/**
+ * @dev Library that settles the payments of the SnowMarketplace sales,
+ * splitting the price between the treasury (protocol fee), the ERC2981
+ * royalty receiver and the seller.
+ *
+ * The library is linked to the marketplace (its public functions are
+ * executed through a delegatecall) to keep the marketplace bytecode
+ * under the contract size limit.
+ */
+library MarketplacePayments {
+    //------------------------------------------------------------------//
+    //---------------------- Library constants -------------------------//
+    //------------------------------------------------------------------//
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+
+    //------------------------------------------------------------------//
+    //---------------------- Structs -----------------------------------//
+    //------------------------------------------------------------------//
+
+    struct SaleSplit {
+        uint256 protocolFee; // tokens sent to the treasury wallet
+        address royaltyReceiver; // wallet that receives the royalty (zero address if none)
+        uint256 royalty; // tokens sent to the royalty receiver
+        uint256 sellerProceeds; // tokens sent to the seller
+    }
+
+    struct SaleTerms {
+        uint256 feeBps; // protocol fee in basis points
+        bool hasRoyaltyOverride; // true to apply the royalty below instead of the ERC2981 one
+        address royaltyReceiver; // wallet that receives the royalty override (zero address for no royalty)
+        uint256 royaltyBps; // royalty override in basis points
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Payments ------------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Pay the SNOW tokens of a peer-to-peer sale: the protocol fee
+     * is sent to the treasury wallet, the royalty to the ERC2981 royalty
+     * receiver (if the token contract supports royalties) and the
+     * remaining tokens to the seller.
+     *
+     * @param snowTracker address of the SNOW soft-token contract
+     * @param payer wallet whose SNOW tokens are spent
+     * @param seller wallet that receives the sale proceeds
+     * @param treasury wallet that receives the protocol fee
+     * @param terms protocol fee and royalty override of the sale
+     * @param contractAddress address of the sold token smart contract
+     * @param tokenId ID of the sold token
+     * @param totalPrice total number of SNOW tokens paid
+     *
+     * @return split how the total price has been split (see {getSaleSplit})
+     */
+    function paySnowSale(
+        address snowTracker,
+        address payer,
+        address seller,
+        address treasury,
+        SaleTerms memory terms,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 totalPrice
+    ) public returns (SaleSplit memory split) {
+        split = getSaleSplit(
+            payer,
+            terms,
+            contractAddress,
+            tokenId,
+            totalPrice
+        );
+
+        ISnowTracker tracker = ISnowTracker(snowTracker);
+        if (split.protocolFee > 0) {
+            tracker.spendFrom(payer, treasury, split.protocolFee);
+        }
+        if (split.royalty > 0) {
+            tracker.spendFrom(payer, split.royaltyReceiver, split.royalty);
+        }
+        if (split.sellerProceeds > 0) {
+            tracker.spendFrom(payer, seller, split.sellerProceeds);
+        }
+    }
+
+    /**
+     * @dev get how the price of a peer-to-peer sale is split between the
+     * treasury (protocol fee), the ERC2981 royalty receiver and the seller
+     *
+     * @param payer wallet that pays the sale
+     * @param terms protocol fee and royalty override of the sale
+     * @param contractAddress address of the sold token smart contract
+     * @param tokenId ID of the sold token
+     * @param totalPrice total number of tokens paid
+     *
+     * @return split how the total price is split
+     *
+     * Note: the royalty override replaces the ERC2981 royalty of the
+     * token contract. The royalty can't exceed the tokens left after the
+     * protocol fee and it is not paid if the royalty receiver is the payer.
+     */
+    function getSaleSplit(
+        address payer,
+        SaleTerms memory terms,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 totalPrice
+    ) public view returns (SaleSplit memory split) {
+        split.protocolFee = (totalPrice * terms.feeBps) / BPS_DENOMINATOR;
+        if (terms.hasRoyaltyOverride) {
+            split.royaltyReceiver = terms.royaltyReceiver;
+            split.royalty = (totalPrice * terms.royaltyBps) / BPS_DENOMINATOR;
+        } else {
+            (split.royaltyReceiver, split.royalty) = getRoyaltyInfo(
+                contractAddress,
+                tokenId,
+                totalPrice
+            );
+        }
+        if (split.royalty > totalPrice - split.protocolFee) {
+            split.royalty = totalPrice - split.protocolFee;
+        }
+        if (
+            split.royaltyReceiver == address(0) ||
+            split.royaltyReceiver == payer
+        ) {
+            split.royalty = 0;
+        }
+        split.sellerProceeds = totalPrice - split.protocolFee - split.royalty;
+    }
+
+    /**
+     * @dev get the ERC2981 royalty of a sale, if the token contract
+     * supports it
+     *
+     * @param contractAddress address of the sold token smart contract
+     * @param tokenId ID of the sold token
+     * @param salePrice total number of tokens paid
+     *
+     * @return the royalty receiver and the royalty amount (zero address
+     * and 0 if the contract doesn't support ERC2981 or if it is not
+     * a contract, like the zero address of the bundle orders)
+     */
+    function getRoyaltyInfo(
+        address contractAddress,
+        uint256 tokenId,
+        uint256 salePrice
+    ) public view returns (address, uint256) {
+        if (contractAddress.code.length == 0) {
+            return (address(0), 0);
+        }
+        try
+            IERC165(contractAddress).supportsInterface(
+                type(IERC2981).interfaceId
+            )
+        returns (bool isSupported) {
+            if (isSupported) {
+                try
+                    IERC2981(contractAddress).royaltyInfo(tokenId, salePrice)
+                returns (address receiver, uint256 royaltyAmount) {
+                    return (receiver, royaltyAmount);
+                } catch {}
+            }
+        } catch {}
+
+        return (address(0), 0);
+    }
+}
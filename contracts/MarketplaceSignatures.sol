@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./SnowMarketplaceBase.sol";
+
+/**
+ * @dev Library that hashes and verifies the EIP-712 signed listings
+ * settled by the SnowMarketplace.
+ *
+ * The library is linked to the marketplace (its public functions are
+ * executed through a delegatecall), so the EIP-712 domain is always
+ * bound to the marketplace address and to the current chain ID.
+ */
+library MarketplaceSignatures {
+    //------------------------------------------------------------------//
+    //---------------------- Library constants -------------------------//
+    //------------------------------------------------------------------//
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 internal constant SIGNED_LISTING_TYPEHASH =
+        keccak256(
+            "SignedListing(address maker,uint8 nftType,address tokenContractAddress,uint256 tokenId,uint256 amount,uint256 price,uint256 expiryBlock,uint256 nonce,address snowContract)"
+        );
+    bytes32 internal constant NAME_HASH = keccak256("SnowMarketplace");
+    bytes32 internal constant VERSION_HASH = keccak256("1");
+
+    //------------------------------------------------------------------//
+    //-------------------- Signed listings -----------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the EIP-712 domain separator of the marketplace
+     *
+     * @return the domain separator bound to the calling marketplace
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    NAME_HASH,
+                    VERSION_HASH,
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev get the EIP-712 typed data hash of a signed listing, that is
+     * the message signed by the maker
+     *
+     * @param listing the listing to hash
+     *
+     * @return the typed data hash of the listing
+     */
+    function hashSignedListing(
+        SnowMarketplaceBase.SignedListing calldata listing
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SIGNED_LISTING_TYPEHASH,
+                listing.maker,
+                listing.nftType,
+                listing.tokenContractAddress,
+                listing.tokenId,
+                listing.amount,
+                listing.price,
+                listing.expiryBlock,
+                listing.nonce,
+                listing.snowContract
+            )
+        );
+
+        return MessageHashUtils.toTypedDataHash(domainSeparator(), structHash);
+    }
+
+    /**
+     * @dev Check that a listing has been signed by its maker
+     *
+     * @param listing the signed listing
+     * @param signature the maker signature of the listing
+     *
+     * @return the typed data hash of the listing
+     *
+     * Note: reverts if the signature is malformed or if the signer is not
+     * the maker of the listing.
+     */
+    function verifySignedListing(
+        SnowMarketplaceBase.SignedListing calldata listing,
+        bytes calldata signature
+    ) public view returns (bytes32) {
+        bytes32 listingHash = hashSignedListing(listing);
+        require(
+            ECDSA.recover(listingHash, signature) == listing.maker,
+            "Invalid listing signature"
+        );
+
+        return listingHash;
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "./ISnowTracker.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+interface ITestMarketplace {
+    function placeBid(uint256 orderId, uint256 amount) external;
+
+    function claimAuctionNfts(uint256 orderId, address to) external;
+
+    function createOrder(
+        uint256 price,
+        uint8 nftType,
+        address contractAddress,
+        uint256 tokenId
+    ) external returns (uint256);
+}
+
+/**
+ * @dev Test contract that bids on the marketplace auctions and sells
+ * ERC721 tokens, rejecting the NFTs received through the safe transfers
+ * until it is set to accept them
+ */
+contract RejectingWallet {
+    address private marketplaceAddress;
+    bool private acceptsNfts;
+
+    constructor(address _marketplaceAddress) {
+        marketplaceAddress = _marketplaceAddress;
+    }
+
+    function setAcceptsNfts(bool _acceptsNfts) external {
+        acceptsNfts = _acceptsNfts;
+    }
+
+    function placeBid(
+        address snowTracker,
+        uint256 orderId,
+        uint256 amount
+    ) external {
+        ISnowTracker(snowTracker).approve(marketplaceAddress, amount);
+        ITestMarketplace(marketplaceAddress).placeBid(orderId, amount);
+    }
+
+    function claimAuctionNfts(uint256 orderId, address to) external {
+        ITestMarketplace(marketplaceAddress).claimAuctionNfts(orderId, to);
+    }
+
+    function createErc721Order(
+        uint256 price,
+        address contractAddress,
+        uint256 tokenId
+    ) external {
+        IERC721(contractAddress).setApprovalForAll(marketplaceAddress, true);
+        ITestMarketplace(marketplaceAddress).createOrder(
+            price,
+            1,
+            contractAddress,
+            tokenId
+        );
+    }
+
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(acceptsNfts, "NFTs not accepted");
+        return this.onERC721Received.selector;
+    }
+
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(acceptsNfts, "NFTs not accepted");
+        return this.onERC1155Received.selector;
+    }
+}
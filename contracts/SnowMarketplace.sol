@@ -12,29 +12,55 @@
  */
 pragma solidity 0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "./ISnowTracker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./SnowMarketplaceBase.sol";
+import "./SnowMarketplaceExtension.sol";
+import "./SnowMarketplaceAdminExtension.sol";
+import "./MarketplaceSignatures.sol";
 
 /**
  * @dev Contract that acts as a marketplace, allowing to buy and sell
- * 3VEREST NFTs (ERC1155 and ERC721) by spending the SNOW soft-token.
+ * 3VEREST NFTs (ERC1155 and ERC721) by spending the SNOW soft-token,
+ * an allowed ERC20 token or the blockchain native currency.
  *
  * ----- Contract actors -----
  *
- * - Buyer: wallet that owns SNOW tokens and that is able to buy an NFT
- * by fulfilling an active MarketOrder.
+ * - Buyer: wallet that owns SNOW tokens (or the payment asset of the
+ * order) and that is able to buy an NFT
+ * by fulfilling an active MarketOrder (or several of them in a single
+ * cart checkout).
  * - Orders manager: wallet that is allowed to create and cancel
  * MarketOrder(s) in order to sell both ERC1155 and ERC721 NFTs.
+ * - Maker: any NFT holder that, while the open listing mode is active,
+ * creates a MarketOrder to resell an NFT to other users. A Maker can cancel
+ * only his own MarketOrders and receives the SNOW tokens paid by the Buyer.
+ * - Signer: NFT holder that, instead of creating a MarketOrder, signs
+ * off-chain an EIP-712 listing and keeps the NFT (approving the
+ * marketplace to transfer it) until a Buyer fulfills the listing.
  * - Manager: wallet that is able to change the reference to the
  * SNOW soft-token cotract (to update it in case of problems) and
  * that is also able to pause and resume the marketplace interactions.
+ * It also registers the collections whose NFTs can be listed and
+ * manages their settings.
  * - Spender: the smart contract itself, that acts as a subject who is
- * able to spend tokes on behalf of the Buyer.
+ * able to spend tokes on behalf of the Buyer, up to the SNOW allowance
+ * that the Buyer approved to it on the SNOW soft-token contract. It also
+ * escrows the SNOW tokens of the current highest bidder of each running
+ * auction.
+ * - Bidder: wallet that places SNOW bids on an auction MarketOrder or
+ * SNOW offers on a specific NFT or on any NFT of a collection.
+ * - Treasury: wallet that receives the protocol fee of each
+ * peer-to-peer sale and the price of the orders manager sales paid with
+ * an ERC20 token or the native currency.
+ * - Royalty receiver: wallet that receives the ERC2981 royalty of each
+ * peer-to-peer sale of a token whose contract supports royalties.
  * - Orders manager: wallet entitled to pause and resume the interactions
  * with the marketplace.
+ * - Admin: wallet that, while the marketplace is paused, can cancel all
+ * the open orders in emergency and recover the NFTs owned by the
+ * marketplace that are not escrowed by any open order.
  *
  * ----- Information provided by the contract storage -----
  *
@@ -44,129 +70,110 @@ import "./ISnowTracker.sol";
  * 4. Total assets buught through the martkeplace
  * 5. Number of the total fulfilled orders
  * 6. Number of the ERC721 tokens currently on sale
- * 7. Number of the ERC1155 tokens currently on sale
+ * 7. Number of the ERC1155 token copies currently on sale
  * 8. SNOW soft-token contract address
  * 9. Trading active (marketplace paused/unpaused)
  * 10. Max number of concurrent active orders
+ * 11. Open listing mode (any NFT holder can create MarketOrders)
+ * 12. Details about each auction and total SNOW tokens escrowed by bids
+ * 13. Details about each Dutch auction (descending price)
+ * 14. Details about each Offer placed on NFTs
+ * 15. Protocol fee, treasury wallet and total SNOW tokens paid as
+ * protocol fees and royalties
+ * 16. History of the orders created by each maker and bought by each taker
+ * 17. Copies sold through each EIP-712 signed listing and min valid
+ * listing nonce of each maker
+ * 18. ERC20 tokens allowed as payment assets and proceeds of the ERC20
+ * and native currency sales withdrawable by each wallet
+ * 19. NFTs sold together in each bundle order
+ * 20. Asset wanted in exchange by each swap order
+ * 21. Price changes history of each order
+ * 22. Wallets allowed to fulfill each restricted order and copies of
+ * each collection bought by each wallet (with the per-wallet caps)
+ * 23. NFT copies escrowed by the open orders for each token
+ * 24. Collections whose NFTs can be listed, with their price range, fee
+ * and royalty overrides and paused state
+ * 25. Volume, number of sales, last sale and unique buyers of the SNOW
+ * sales of each collection and of each token
+ *
+ * ----- Contract structure -----
+ *
+ * The storage layout and the internal functions shared with the
+ * SnowMarketplaceExtension are defined in {SnowMarketplaceBase}. The
+ * auctions and the offers are implemented by the SnowMarketplaceExtension,
+ * whose functions are executed by this contract through a delegatecall.
+ * The extension also updates the orders prices, creates the restricted,
+ * the bundle and the swap orders, fulfills the swap orders and the signed listings,
+ * while the other operations on them go through the same functions of
+ * the other orders. The marketplace settings, the collections registry,
+ * the collections purchase caps and the emergency rescue are implemented
+ * by the SnowMarketplaceAdminExtension, executed in the same way.
+ *
+ * ----- Upgradeability -----
+ *
+ * The marketplace is deployed behind a {SnowProxy} (transparent proxy)
+ * that holds the marketplace storage and is initialized through
+ * {initialize} in place of the constructor. The extensions addresses and
+ * the max number of concurrent active orders are immutables of the
+ * implementation, so an upgrade deploys the new extensions together with
+ * the new implementation, while the orders, the escrowed assets and the
+ * settings are kept by the proxy.
  *
  */
-contract SnowMarketplace is AccessControl {
-    //------------------------------------------------------------------//
-    //---------------------- Contract constants ------------------------//
-    //------------------------------------------------------------------//
-    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
-    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-    bytes32 public constant ORDERS_MANAGER_ROLE =
-        keccak256("ORDERS_MANAGER_ROLE");
-    uint256 public constant INVALID_BLOCK = 0;
+contract SnowMarketplace is SnowMarketplaceBase {
+    using SafeERC20 for IERC20;
 
     //------------------------------------------------------------------//
     //---------------------- Contract immutables -----------------------//
     //------------------------------------------------------------------//
-    uint256 public immutable maxActiveOrdesAmount; // Max concurrent active marketplace orders
-
-    //------------------------------------------------------------------//
-    //---------------------- Marketplace events ------------------------//
-    //------------------------------------------------------------------//
-
-    event OrderCreated(
-        uint256 indexed _orderId,
-        address indexed _by,
-        uint256 _atBlock
-    );
-
-    event OrderCanceled(
-        uint256 indexed _orderId,
-        address indexed _by,
-        uint256 _atBlock
-    );
-
-    event OrderFulfilled(
-        uint256 indexed _orderId,
-        address indexed _by,
-        uint256 _atBlock
-    );
-
-    event MarketplacePaused(address indexed _by, uint256 _atBlock);
-    event MarketplaceUnpaused(address indexed _by, uint256 _atBlock);
-
-    event SnowContractUpdated(
-        address indexed _newConctract,
-        address indexed _by,
-        uint256 _atBlock
-    );
-
-    //------------------------------------------------------------------//
-    //---------------------- Enumerators and structs -------------------//
-    //------------------------------------------------------------------//
-
-    enum NftType {
-        ERC1155,
-        ERC721
-    }
-
-    enum OrderState {
-        Open,
-        Closed,
-        Cancelled
-    }
-
-    struct MarketOrder {
-        uint256 id;
-        uint256 price;
-        NftType nftType;
-        address tokenContractAddress;
-        uint256 tokenId;
-        OrderState orderState;
-        uint256 filledAtBlock;
-        address maker;
-        address taker;
-    }
-
-    //------------------------------------------------------------------//
-    //---------------------- Contract storage --------------------------//
-    //------------------------------------------------------------------//
-
-    uint256[] public activeOrders; // current marketplace active orders
-    mapping(uint256 => MarketOrder) public orderDetails; // Details of all created orders
-
-    uint256 public onSaleErc721Tokens; // total ERC721 currently on sale
-    uint256 public onSaleErc1155Tokens; // total ERC1155 currently on sale
-
-    uint256 public currentOrderId; // ID of the next order to be created
-    uint256 public ordersFullfilled; // Total orders fullfilled sucessfully
-    uint256 public totalTokensSpent; // Total Snow tokens spent in the marketplace
-
-    address public snowSoftTokenAddress; // Reference to the SNOW soft-token contract
-
-    bool public isMarketplaceActive; // true if is possible to create a fulfill orders, false otherwise
+    address public immutable extensionAddress; // SnowMarketplaceExtension executed through a delegatecall
+    address public immutable adminExtensionAddress; // SnowMarketplaceAdminExtension executed through a delegatecall
 
     //------------------------------------------------------------------//
     //-------------------- Constructor ---------------------------------//
     //------------------------------------------------------------------//
 
     /**
-     * @dev Contract constructor
+     * @dev Contract constructor, that sets the immutables of the
+     * implementation deployed behind the marketplace proxy
      *
-     * @param snowTokenContract address of the smart contract that
      * @param _maxActiveOrdesAmount max number of concurrent active orders in the marketplace
-     * keeps track of the soft-token balances
+     * @param extensionContract address of the SnowMarketplaceExtension
+     * deployed with the same max number of concurrent active orders
+     * @param adminExtensionContract address of the SnowMarketplaceAdminExtension
+     * deployed with the same max number of concurrent active orders
      */
-    constructor(address snowTokenContract, uint256 _maxActiveOrdesAmount) {
+    constructor(
+        uint256 _maxActiveOrdesAmount,
+        address extensionContract,
+        address adminExtensionContract
+    ) SnowMarketplaceBase(_maxActiveOrdesAmount) {
         require(
-            snowTokenContract != address(0),
-            "Snow contract address can't be the zero address"
+            extensionContract != address(0) &&
+                SnowMarketplaceExtension(extensionContract)
+                    .maxActiveOrdesAmount() ==
+                _maxActiveOrdesAmount,
+            "Invalid marketplace extension"
+        );
+        require(
+            adminExtensionContract != address(0) &&
+                SnowMarketplaceAdminExtension(adminExtensionContract)
+                    .maxActiveOrdesAmount() ==
+                _maxActiveOrdesAmount,
+            "Invalid marketplace extension"
         );
 
-        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
-        _grantRole(MANAGER_ROLE, _msgSender());
-        _grantRole(PAUSER_ROLE, _msgSender());
-
-        snowSoftTokenAddress = snowTokenContract;
+        extensionAddress = extensionContract;
+        adminExtensionAddress = adminExtensionContract;
 
-        isMarketplaceActive = true; // enable marketplace usage from the beginning
+        _disableInitializers();
+    }
 
-        maxActiveOrdesAmount = _maxActiveOrdesAmount; // Set the limit to the max active orders amount
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-initialize}
+     */
+    function initialize(address /* snowTokenContract */) external {
+        _delegateTo(adminExtensionAddress);
     }
 
     //------------------------------------------------------------------//
@@ -191,13 +198,36 @@ contract SnowMarketplace is AccessControl {
         emit MarketplaceUnpaused(_msgSender(), block.number);
     }
 
-    //------------------------------------------------------------------//
-    //-------------------- Modifiers -----------------------------------//
-    //------------------------------------------------------------------//
+    /**
+     * @dev enable or disable the open listing mode, that lets any
+     * NFT holder create MarketOrders and not only the wallets that
+     * have been granted the ORDERS_MANAGER_ROLE role
+     *
+     * @param isActive 'true' to enable the open listing mode, 'false' otherwise
+     */
+    function setOpenListing(bool isActive) external onlyRole(MANAGER_ROLE) {
+        isOpenListingActive = isActive;
+        emit OpenListingUpdated(isActive, _msgSender(), block.number);
+    }
 
-    modifier marketplaceEnabled() {
-        require(isMarketplaceActive, "Marketplace not active");
-        _;
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-updateProtocolFee}
+     */
+    function updateProtocolFee(
+        uint256, /* feeBps */
+        address /* treasury */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-setPaymentTokenAllowed}
+     */
+    function setPaymentTokenAllowed(
+        address, /* token */
+        bool /* isAllowed */
+    ) external {
+        _delegateTo(adminExtensionAddress);
     }
 
     //------------------------------------------------------------------//
@@ -205,172 +235,402 @@ contract SnowMarketplace is AccessControl {
     //------------------------------------------------------------------//
 
     /**
-     * @dev Create a new MarketOrder that will be placed in the
-     * 'activeOrders' list.
-     *
-     * @param price number of tokens to spend to buy the NFT in this order
-     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
-     * @param contractAddress address of the contract to which the NFT
-     * to be sold belongs
-     * @param tokenId ID of the token to sell
+     * @dev see {SnowMarketplaceExtension-createOrder}
+     */
+    function createOrder(
+        uint256, /* price */
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256 /* tokenId */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createScheduledOrder}
+     */
+    function createScheduledOrder(
+        uint256, /* price */
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        uint256, /* startBlock */
+        uint256 /* expiryBlock */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createBatchERC1155Order}
+     */
+    function createBatchERC1155Order(
+        uint256, /* price */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256 /* amount */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createOrderWithPaymentAsset}
+     */
+    function createOrderWithPaymentAsset(
+        uint256, /* price */
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        PaymentAsset, /* paymentAsset */
+        address /* paymentToken */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev Remove an active order from the marketplace and send
+     * back the related NFT copies that haven't been sold yet
      *
-     * @return the ID of the MarketOrder created
+     * @param orderId ID of the current active order to cancel
      *
-     * Note The function call can't go through if:
-     * 1. the sender doesn't own the NFT that needs to be put on sale
-     * 2. the marketplace is disabled
+     * Note: gives an error if trying to cancel a not active MarketOrder.
+     * A peer-to-peer order can be canceled only by its maker, while the
+     * other orders can be canceled by any wallet with the ORDERS_MANAGER_ROLE
+     * role granted.
      */
-    function createOrder(
-        uint256 price,
-        NftType nftType,
-        address contractAddress,
-        uint256 tokenId
-    )
-        public
-        onlyRole(ORDERS_MANAGER_ROLE)
-        marketplaceEnabled
-        returns (uint256)
-    {
-        // Check if the max active orders limit has been reached
-        require(
-            activeOrders.length < maxActiveOrdesAmount,
-            "Max concurrent active orders limit reached!"
-        );
-        // Check sender NFTs balance to create the order
-        if (nftType == NftType.ERC1155) {
-            IERC1155 tokenInstance = IERC1155(contractAddress);
+    function cancelOrder(uint256 orderId) public {
+        if (_orderDetails[orderId].isPeerToPeer) {
             require(
-                tokenInstance.balanceOf(_msgSender(), tokenId) > 0,
-                "No tokens available to create the order"
+                _orderDetails[orderId].maker == _msgSender(),
+                "Only the maker can cancel this order"
             );
         } else {
-            IERC721 collectionInstance = IERC721(contractAddress);
-            require(
-                collectionInstance.ownerOf(tokenId) == _msgSender(),
-                "You don't own the token to put on sale"
-            );
+            _checkRole(ORDERS_MANAGER_ROLE);
         }
 
-        require(price > 0, "Can't create a free order");
-
-        // Calculate order ID and increase counter
-        uint256 orderId = currentOrderId;
-        currentOrderId += 1;
-
-        // Create the order
-        MarketOrder memory order = MarketOrder(
-            orderId,
-            price,
-            nftType,
-            contractAddress,
-            tokenId,
-            OrderState.Open,
-            INVALID_BLOCK,
-            _msgSender(),
-            address(0)
+        require(
+            auctionDetails[orderId].highestBidder == address(0),
+            "Can't cancel an auction with bids"
         );
 
-        // Insert in active orders and save order details
-        orderDetails[orderId] = order;
-        activeOrders.push(orderId);
+        _closeOrder(orderId, OrderState.Cancelled);
 
-        // Transfer NFT to the marketplace
-        _transferNfts(
-            nftType,
-            contractAddress,
-            _msgSender(),
-            address(this),
-            tokenId,
-            1
-        );
+        emit OrderCanceled(orderId, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-updateOrderPrice}
+     */
+    function updateOrderPrice(
+        uint256, /* orderId */
+        uint256 /* newPrice */
+    ) external {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev get the number of price changes of an order
+     *
+     * @param orderId ID of the order
+     *
+     * @return the number of entries in the order price history
+     */
+    function getOrderPriceHistoryCount(uint256 orderId)
+        external
+        view
+        returns (uint256)
+    {
+        return orderPriceHistory[orderId].length;
+    }
 
-        emit OrderCreated(orderId, _msgSender(), block.number);
+    /**
+     * @dev see {SnowMarketplaceExtension-createRestrictedOrder}
+     */
+    function createRestrictedOrder(
+        uint256, /* price */
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        address, /* allowedTaker */
+        bytes32 /* allowedTakersRoot */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
 
-        return orderId;
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-setCollectionPurchaseCap}
+     */
+    function setCollectionPurchaseCap(
+        address, /* contractAddress */
+        uint256 /* cap */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-registerCollection}
+     */
+    function registerCollection(
+        address, /* contractAddress */
+        NftType, /* nftType */
+        CollectionSettings calldata /* settings */
+    ) external {
+        _delegateTo(adminExtensionAddress);
     }
 
     /**
-     * @dev Create in a single transaction a batch of ERC1155
-     * MarketOrders where each order has the same price.
+     * @dev see {SnowMarketplaceAdminExtension-updateCollectionSettings}
+     */
+    function updateCollectionSettings(
+        address, /* contractAddress */
+        CollectionSettings calldata /* settings */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-removeCollection}
+     */
+    function removeCollection(address /* contractAddress */) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev Remove from the marketplace a list of expired orders and
+     * send back to their makers the related NFT copies not sold yet.
+     * Anyone can call this function.
+     *
+     * @param orderIds IDs of the orders to sweep
      *
-     * @param price Price for a single order to be created.
-     * @param contractAddress smart contract address of the token to sell
-     * @param tokenId ID of the token to sell
-     * @param amount number of orders to create with the specified parameters.
+     * @return the number of expired orders swept
      *
-     * Note: the transaction will be reverted if the sender is trying
-     * to call it with an amount less than 2 or if the balance of
-     * token copies in the sender wallet is less than the value specified
-     * for the 'amount' parameter
+     * Note: orders that are not open or not expired yet are skipped
      */
-    function createBatchERC1155Order(
-        uint256 price,
-        address contractAddress,
-        uint256 tokenId,
-        uint256 amount
-    )
+    function sweepExpiredOrders(uint256[] calldata orderIds)
+        external
+        returns (uint256)
+    {
+        uint256 sweptOrders = 0;
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            uint256 orderId = orderIds[i];
+            if (
+                _orderDetails[orderId].orderState == OrderState.Open &&
+                isOrderExpired(orderId)
+            ) {
+                _closeOrder(orderId, OrderState.Expired);
+                sweptOrders += 1;
+                emit OrderCanceledWithReason(
+                    orderId,
+                    _msgSender(),
+                    EXPIRED_REASON,
+                    block.number
+                );
+            }
+        }
+
+        return sweptOrders;
+    }
+
+    /**
+     * @dev Check if an order has an expiry block that is already passed
+     *
+     * @param orderId ID of the order to check
+     *
+     * @return 'true' if the order is expired, 'false' otherwise
+     */
+    function isOrderExpired(uint256 orderId) public view returns (bool) {
+        uint256 expiryBlock = _orderDetails[orderId].expiryBlock;
+        return expiryBlock != INVALID_BLOCK && block.number > expiryBlock;
+    }
+
+    /**
+     * @dev Fullfil an active order, partially or totally. This operation
+     * will lower the sender SNOW token balance and transfer him the
+     * requested copies of the NFT in the order. The order is closed only
+     * when all its copies have been sold.
+     *
+     * @param orderId ID of the order (currently in the activeOrders list)
+     * @param amount number of copies to buy (if ERC721 the amount is always 1)
+     *
+     * Note The function call can't go through if:
+     * 1. the sender SNOW balance is lower than the MarketOrder current
+     * price (see {getCurrentPrice}) multiplied by the copies to buy
+     * 2. the orderId is not valid
+     * 3. the marketplace is disabled
+     * 4. the sender is the maker of a peer-to-peer order
+     * 5. the amount is 0 or greater than the copies still on sale
+     * 6. the order start block has not been reached yet or the order is expired
+     * 7. the order is an English auction or a swap order
+     * 8. the order is restricted to another wallet or to an allow list
+     * (see {fulfillOrderWithProof})
+     * 9. the sender would exceed the purchase cap of the collection
+     *
+     * The SNOW tokens paid for a peer-to-peer order are split between the
+     * treasury (protocol fee), the royalty receiver and the maker, while
+     * the ones paid for an orders manager order are burned without any
+     * protocol fee or royalty (see {_paySale}).
+     *
+     * If the order is paid with SNOW tokens the sender must have approved
+     * this contract to spend the total price on the SNOW soft-token
+     * contract, the same applies to the ERC20 tokens, while if it is
+     * paid with the native currency the total price must be sent as
+     * 'msg.value'. The price is split in the same way, but it is credited
+     * to the receivers that can withdraw it through {withdrawProceeds}.
+     */
+    function fulfillOrder(uint256 orderId, uint256 amount)
         public
-        onlyRole(ORDERS_MANAGER_ROLE)
+        payable
         marketplaceEnabled
-        returns (uint256[] memory)
     {
-        require(
-            amount > 1,
-            "Can't create a batch order with less than 2 NFT copies"
-        );
+        _fulfillOrder(orderId, amount, type(uint256).max, new bytes32[](0));
+    }
+
+    /**
+     * @dev Fulfill a MarketOrder like {fulfillOrder}, but only if the
+     * current price of a single copy is not greater than 'maxPrice', so
+     * that a price update made before the fulfillment (see
+     * {SnowMarketplaceExtension-updateOrderPrice}) can't make the sender
+     * pay more than expected
+     *
+     * @param orderId ID of the order (currently in the activeOrders list)
+     * @param amount number of copies to buy (if ERC721 the amount is always 1)
+     * @param maxPrice max price of a single copy the sender is willing to pay
+     */
+    function fulfillOrderAtMaxPrice(
+        uint256 orderId,
+        uint256 amount,
+        uint256 maxPrice
+    ) external payable marketplaceEnabled {
+        _fulfillOrder(orderId, amount, maxPrice, new bytes32[](0));
+    }
 
-        uint256[] memory orderIds = new uint256[](amount);
+    /**
+     * @dev Fulfill an active order restricted to an allow list, proving
+     * that the sender belongs to it (see {fulfillOrder})
+     *
+     * @param orderId ID of the order (currently in the activeOrders list)
+     * @param amount number of copies to buy (if ERC721 the amount is always 1)
+     * @param proof Merkle proof of the sender address in the allow list
+     */
+    function fulfillOrderWithProof(
+        uint256 orderId,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external payable marketplaceEnabled {
+        _fulfillOrder(orderId, amount, type(uint256).max, proof);
+    }
 
-        for (uint256 i = 0; i < amount; i++) {
-            uint256 _currentOrderId = createOrder(
-                price,
-                NftType.ERC1155,
-                contractAddress,
-                tokenId
+    /**
+     * @dev Fulfill multiple active orders in a single transaction, buying
+     * a single copy for each order ID provided (an ID can be repeated to
+     * buy more copies of a multi-copy order).
+     *
+     * @param orderIds IDs of the orders to fulfill
+     * @param maxTotalPrice max number of SNOW tokens the sender is
+     * willing to spend for the whole cart
+     * @param allowPartial 'true' to skip the orders that can't be
+     * fulfilled anymore (e.g. already sold or expired) or that are not
+     * paid with the SNOW soft-token, 'false' to revert the whole cart
+     * in this case
+     *
+     * @return the total number of SNOW tokens spent
+     *
+     * Note: reverts if the summed price of the fulfilled orders is greater
+     * than 'maxTotalPrice' or if one of the orders can't be fulfilled
+     * and 'allowPartial' is 'false' (see {fulfillOrder}). Only the orders
+     * paid with the SNOW soft-token and not restricted to an allow list
+     * can be fulfilled through a cart, so that 'maxTotalPrice' always
+     * bounds an amount of SNOW tokens.
+     */
+    function fulfillOrders(
+        uint256[] calldata orderIds,
+        uint256 maxTotalPrice,
+        bool allowPartial
+    ) external marketplaceEnabled returns (uint256) {
+        require(orderIds.length > 0, "No orders to fulfill");
+
+        uint256 totalPrice = 0;
+        uint256 fulfilledOrders = 0;
+        bytes32[] memory emptyProof = new bytes32[](0);
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            if (allowPartial && !isOrderFulfillable(orderIds[i])) {
+                continue;
+            }
+            if (_orderDetails[orderIds[i]].paymentAsset != PaymentAsset.Snow) {
+                require(
+                    allowPartial,
+                    "Only the SNOW orders can be fulfilled through a cart"
+                );
+                continue;
+            }
+            totalPrice += _fulfillOrder(
+                orderIds[i],
+                1,
+                type(uint256).max,
+                emptyProof
+            );
+            fulfilledOrders += 1;
+            require(
+                totalPrice <= maxTotalPrice,
+                "Total price exceeds the max allowed"
             );
-            orderIds[i] = _currentOrderId;
         }
 
-        return orderIds;
+        emit CartCheckedOut(
+            _msgSender(),
+            fulfilledOrders,
+            totalPrice,
+            block.number
+        );
+
+        return totalPrice;
     }
 
     /**
-     * @dev Remove an active order from the marketplace and send
-     * back the related NFT
+     * @dev Check if an order can currently be fulfilled, that is if it is
+     * an open fixed price, Dutch auction or bundle order that is started
+     * and not expired
      *
-     * @param orderId ID of the current active order to cancel
+     * Note: the payment asset of the order is not checked, the orders not
+     * paid with the SNOW soft-token can be fulfilled only one at a time
+     * (see {fulfillOrders})
      *
-     * Note: gives an error if trying to cancel a not active MarketOrder
-     */
-    function cancelOrder(uint256 orderId) public onlyRole(ORDERS_MANAGER_ROLE) {
-        _removeActiveOrder(orderId);
-        // Update order details, NFTs on sale counter and return token to the maker
-        orderDetails[orderId].orderState = OrderState.Cancelled;
-        _transferNfts(
-            orderDetails[orderId].nftType,
-            orderDetails[orderId].tokenContractAddress,
-            address(this),
-            orderDetails[orderId].maker,
-            orderDetails[orderId].tokenId,
-            1
-        );
-
-        emit OrderCanceled(orderId, _msgSender(), block.number);
+     * @param orderId ID of the order to check
+     *
+     * @return 'true' if the order can be fulfilled, 'false' otherwise
+     */
+    function isOrderFulfillable(uint256 orderId) public view returns (bool) {
+        MarketOrder storage order = _orderDetails[orderId];
+        return
+            orderId < currentOrderId &&
+            order.orderState == OrderState.Open &&
+            order.remainingAmount > 0 &&
+            order.orderType != OrderType.EnglishAuction &&
+            order.orderType != OrderType.Swap &&
+            order.startBlock <= block.number &&
+            !isOrderExpired(orderId);
     }
 
     /**
-     * @dev Fullfil an active order. This operation will lower the sender SNOW
-     * token balance and transfer him the NFT in the order
+     * @dev Fulfill an active order, partially or totally (see {fulfillOrder})
      *
      * @param orderId ID of the order (currently in the activeOrders list)
+     * @param amount number of copies to buy (if ERC721 the amount is always 1)
+     * @param maxPrice max price of a single copy the sender is willing to pay
+     * @param proof Merkle proof of the sender address in the order allow
+     * list (empty if the order is not restricted to an allow list)
      *
-     * Note The function call can't go through if:
-     * 1. the sender SNOW balance is lower than the MarketOrder price
-     * 2. the orderId is not valid
-     * 3. the marketplace is disabled
+     * @return the number of payment asset units spent
      */
-    function fulfillOrder(uint256 orderId) public marketplaceEnabled {
-        MarketOrder memory order = orderDetails[orderId];
+    function _fulfillOrder(
+        uint256 orderId,
+        uint256 amount,
+        uint256 maxPrice,
+        bytes32[] memory proof
+    ) private returns (uint256) {
+        MarketOrder storage order = _orderDetails[orderId];
         require(
             orderId <= currentOrderId && orderId >= 0,
             "Invalid order ID provided"
@@ -381,131 +641,558 @@ contract SnowMarketplace is AccessControl {
             "The order is not active anymore"
         );
 
-        // Remove order from active ones
-        _removeActiveOrder(orderId);
+        require(
+            order.orderType != OrderType.EnglishAuction,
+            "Can't fulfill an auction, place a bid instead"
+        );
 
-        // Check if the sender has enough balance
-        ISnowTracker tracker = ISnowTracker(snowSoftTokenAddress);
+        require(
+            order.orderType != OrderType.Swap,
+            "Can't fulfill a swap, use fulfillSwapOrder instead"
+        );
 
-        if (tracker.balances(_msgSender()) >= order.price) {
-            // Decrease balance (reduce reentrancy risks)
-            tracker.removeTokens(_msgSender(), order.price);
-            // Transfer bought NFT
+        require(
+            order.startBlock <= block.number,
+            "The order is not started yet"
+        );
 
-            _transferNfts(
-                order.nftType,
-                order.tokenContractAddress,
-                address(this),
+        require(!isOrderExpired(orderId), "The order is expired");
+
+        require(
+            amount > 0 && amount <= order.remainingAmount,
+            "Invalid amount of copies to buy"
+        );
+
+        // Check if the sender is allowed to fulfill a restricted order
+        OrderRestriction storage restriction = orderRestrictions[orderId];
+        require(
+            (restriction.allowedTaker == address(0) ||
+                restriction.allowedTaker == _msgSender()) &&
+                (restriction.allowedTakersRoot == bytes32(0) ||
+                    MerkleProof.verify(
+                        proof,
+                        restriction.allowedTakersRoot,
+                        keccak256(abi.encodePacked(_msgSender()))
+                    )),
+            "You are not allowed to fulfill this order"
+        );
+        _checkOrderCollections(orderId);
+        _recordOrderPurchase(orderId, amount);
+
+        // Update the copies still on sale and remove the order from
+        // the active ones if sold out (reduce reentrancy risks)
+        uint256 remainingAmount = order.remainingAmount - amount;
+        uint256 currentPrice = getCurrentPrice(orderId);
+        require(
+            currentPrice <= maxPrice,
+            "The order price exceeds the max allowed"
+        );
+        uint256 totalPrice = currentPrice * amount;
+        _orderDetails[orderId].remainingAmount = remainingAmount;
+        _orderDetails[orderId].paidPrice += totalPrice;
+        _orderDetails[orderId].taker = _msgSender();
+        takerOrderIds[_msgSender()].push(orderId);
+        if (remainingAmount == 0) {
+            _removeActiveOrder(orderId);
+            _orderDetails[orderId].orderState = OrderState.Closed;
+            _orderDetails[orderId].filledAtBlock = block.number;
+        }
+
+        if (order.paymentAsset == PaymentAsset.Snow) {
+            require(
+                msg.value == 0,
+                "The order can't be paid with the native currency"
+            );
+            // Check if the sender has enough balance
+            require(
+                ISnowTracker(snowSoftTokenAddress).balances(_msgSender()) >=
+                    totalPrice,
+                "Not enough tokens available to buy the NFT"
+            );
+        }
+        if (order.isPeerToPeer) {
+            require(order.maker != _msgSender(), "Can't fulfill your own order");
+        }
+
+        if (order.paymentAsset == PaymentAsset.Snow) {
+            // Pay the maker or burn the tokens (reduce reentrancy risks)
+            _paySale(
                 _msgSender(),
+                order.isPeerToPeer ? order.maker : address(0),
+                order.tokenContractAddress,
                 order.tokenId,
-                1
+                totalPrice
             );
-            // Update fulfilled order
-            ordersFullfilled = ordersFullfilled + 1;
-            totalTokensSpent = totalTokensSpent + order.price;
+            // Update tokens spent and sales statistics
+            totalTokensSpent = totalTokensSpent + totalPrice;
+            if (order.orderType != OrderType.Bundle) {
+                _recordSale(
+                    order.tokenContractAddress,
+                    order.tokenId,
+                    _msgSender(),
+                    amount,
+                    totalPrice
+                );
+            }
         } else {
-            revert("Not enough tokens available to buy the NFT");
+            // Collect the payment and credit it to the receivers
+            _collectOrderPayment(order, totalPrice);
+            _creditSale(order, totalPrice);
+        }
+        // Transfer bought NFTs
+        _transferOrderNfts(orderId, _msgSender(), amount);
+
+        emit OrderCopiesBought(orderId, _msgSender(), amount, block.number);
+
+        if (remainingAmount == 0) {
+            // Update fulfilled orders
+            ordersFullfilled = ordersFullfilled + 1;
+            emit OrderFulfilled(orderId, _msgSender(), block.number);
         }
 
-        // Update orderState
-        orderDetails[orderId].orderState = OrderState.Closed;
-        orderDetails[orderId].filledAtBlock = block.number;
+        return totalPrice;
+    }
 
-        emit OrderFulfilled(orderId, _msgSender(), block.number);
+    /**
+     * @dev Collect from the sender the ERC20 tokens or the native
+     * currency paid to fulfill an order
+     *
+     * @param order the order to pay
+     * @param totalPrice total number of payment asset units to collect
+     */
+    function _collectOrderPayment(MarketOrder storage order, uint256 totalPrice)
+        private
+    {
+        if (order.paymentAsset == PaymentAsset.NativeCurrency) {
+            require(
+                msg.value == totalPrice,
+                "Wrong native currency amount sent"
+            );
+            return;
+        }
+
+        require(
+            msg.value == 0,
+            "The order can't be paid with the native currency"
+        );
+        IERC20 tokenInstance = IERC20(order.paymentToken);
+        require(
+            tokenInstance.balanceOf(_msgSender()) >= totalPrice,
+            "Not enough tokens available to buy the NFT"
+        );
+        require(
+            tokenInstance.allowance(_msgSender(), address(this)) >= totalPrice,
+            "The current allowance can't cover the order price"
+        );
+        tokenInstance.safeTransferFrom(_msgSender(), address(this), totalPrice);
     }
 
     /**
-     * @dev remove a MarketOrder from the current active orders list
+     * @dev Credit the ERC20 tokens or the native currency paid for an
+     * order to the wallets that can withdraw them. The price of a
+     * peer-to-peer order is split like a SNOW sale (see {_paySale}), while
+     * the price of an orders manager order is credited to the treasury
+     * wallet (or to the maker if the treasury wallet is not set).
      *
-     * @param orderId ID of the order to remove from the list
+     * @param order the paid order
+     * @param totalPrice total number of payment asset units paid
      */
-    function _removeActiveOrder(uint256 orderId) private {
-        // Delete the order from the active orders list
-        uint256 activeOrdersNumber = activeOrders.length;
-        uint256 orderIndex;
-        bool idFound;
+    function _creditSale(MarketOrder storage order, uint256 totalPrice)
+        private
+    {
+        mapping(address => uint256) storage balances = pendingWithdrawals[
+            order.paymentToken
+        ];
+        if (!order.isPeerToPeer) {
+            address receiver = treasuryWallet != address(0)
+                ? treasuryWallet
+                : order.maker;
+            balances[receiver] += totalPrice;
+            return;
+        }
 
-        for (uint256 i = 0; i < activeOrdersNumber; i++) {
-            if (activeOrders[i] == orderId) {
-                orderIndex = i;
-                idFound = true;
-                break;
-            }
+        MarketplacePayments.SaleSplit memory split = MarketplacePayments
+            .getSaleSplit(
+                _msgSender(),
+                _getSaleTerms(order.tokenContractAddress),
+                order.tokenContractAddress,
+                order.tokenId,
+                totalPrice
+            );
+        balances[treasuryWallet] += split.protocolFee;
+        balances[split.royaltyReceiver] += split.royalty;
+        balances[order.maker] += split.sellerProceeds;
+
+        emit SalePaymentSplit(
+            order.tokenContractAddress,
+            order.tokenId,
+            order.maker,
+            split.protocolFee,
+            split.royaltyReceiver,
+            split.royalty,
+            split.sellerProceeds,
+            block.number
+        );
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Proceeds management -------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Withdraw all the proceeds credited to the sender in the
+     * specified asset by the sales paid with an ERC20 token or with the
+     * native currency
+     *
+     * @param paymentToken ERC20 to withdraw (zero address to withdraw the
+     * native currency)
+     *
+     * Note: reverts if the sender has no proceeds to withdraw
+     */
+    function withdrawProceeds(address paymentToken) external {
+        uint256 amount = pendingWithdrawals[paymentToken][_msgSender()];
+        require(amount > 0, "No proceeds to withdraw");
+
+        // Reset the balance before the transfer (reduce reentrancy risks)
+        pendingWithdrawals[paymentToken][_msgSender()] = 0;
+        if (paymentToken == address(0)) {
+            (bool sent, ) = payable(_msgSender()).call{value: amount}("");
+            require(sent, "Failed to withdraw the proceeds");
+        } else {
+            IERC20(paymentToken).safeTransfer(_msgSender(), amount);
         }
 
-        require(idFound, "The order to remove is not in the active list");
+        emit ProceedsWithdrawn(paymentToken, _msgSender(), amount, block.number);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Signed listings management ------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev see {SnowMarketplaceExtension-fulfillSignedListing}
+     */
+    function fulfillSignedListing(
+        SignedListing calldata, /* listing */
+        bytes calldata, /* signature */
+        uint256 /* amount */
+    ) external {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev Cancel all the listings signed by the sender with a nonce
+     * lower than the specified one
+     *
+     * @param minValidNonce min nonce of the sender signed listings that
+     * can still be fulfilled
+     *
+     * Note: reverts if the nonce is not greater than the current min
+     * valid nonce of the sender
+     */
+    function cancelSignedListings(uint256 minValidNonce) external {
+        require(
+            minValidNonce > minListingNonces[_msgSender()],
+            "Invalid min listing nonce"
+        );
+
+        minListingNonces[_msgSender()] = minValidNonce;
+        emit SignedListingsCanceled(_msgSender(), minValidNonce, block.number);
+    }
+
+    /**
+     * @dev get the EIP-712 typed data hash of a listing, that is the
+     * message that the maker has to sign
+     *
+     * @param listing the listing to hash
+     *
+     * @return the typed data hash of the listing
+     */
+    function getSignedListingHash(SignedListing calldata listing)
+        external
+        view
+        returns (bytes32)
+    {
+        return MarketplaceSignatures.hashSignedListing(listing);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Bundle orders management --------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createBundleOrder}
+     */
+    function createBundleOrder(
+        uint256, /* price */
+        BundleItem[] calldata /* items */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev get the number of NFTs sold together in a bundle order
+     *
+     * @param orderId ID of the bundle order
+     *
+     * @return the number of items of the bundle (0 if not a bundle order)
+     */
+    function getBundleItemsCount(uint256 orderId)
+        external
+        view
+        returns (uint256)
+    {
+        return bundleItems[orderId].length;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Swap orders management ----------------------//
+    //------------------------------------------------------------------//
 
-        if (orderIndex != activeOrdersNumber - 1) {
-            // Need to swap the order to delete with the last one and procede as above
-            activeOrders[orderIndex] = activeOrders[activeOrdersNumber - 1];
+    /**
+     * @dev see {SnowMarketplaceExtension-createSwapOrder}
+     */
+    function createSwapOrder(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        SwapTerms calldata /* terms */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-fulfillSwapOrder}
+     */
+    function fulfillSwapOrder(
+        uint256, /* orderId */
+        uint256 /* tokenId */
+    ) external {
+        _delegateTo(extensionAddress);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Auctions management -------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createAuctionOrder}
+     */
+    function createAuctionOrder(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        uint256, /* reservePrice */
+        uint256, /* minBidIncrement */
+        uint256 /* endBlock */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-placeBid}
+     */
+    function placeBid(
+        uint256, /* orderId */
+        uint256 /* amount */
+    ) external {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-settleAuction}
+     */
+    function settleAuction(uint256 /* orderId */) external {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-claimAuctionNfts}
+     */
+    function claimAuctionNfts(
+        uint256, /* orderId */
+        address /* to */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createDutchAuctionOrder}
+     */
+    function createDutchAuctionOrder(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        uint256, /* amount */
+        uint256, /* startPrice */
+        uint256, /* floorPrice */
+        uint256, /* decayStartBlock */
+        uint256 /* decayEndBlock */
+    ) external returns (uint256 orderId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev Get the current price of a single copy of a MarketOrder.
+     * For a Dutch auction the price decreases linearly from the start
+     * price to the floor price between the decay start and end blocks.
+     * For the other order types it returns the order price.
+     *
+     * @param orderId ID of the order
+     *
+     * @return the current price of a single copy in the order
+     */
+    function getCurrentPrice(uint256 orderId) public view returns (uint256) {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.orderType != OrderType.DutchAuction) {
+            return order.price;
+        }
+
+        DutchAuction memory dutchAuction = dutchAuctionDetails[orderId];
+        if (block.number <= dutchAuction.decayStartBlock) {
+            return order.price;
+        }
+        if (block.number >= dutchAuction.decayEndBlock) {
+            return dutchAuction.floorPrice;
         }
 
-        activeOrders.pop();
+        uint256 elapsedBlocks = block.number - dutchAuction.decayStartBlock;
+        uint256 decayBlocks = dutchAuction.decayEndBlock -
+            dutchAuction.decayStartBlock;
+        return
+            order.price -
+            ((order.price - dutchAuction.floorPrice) * elapsedBlocks) /
+            decayBlocks;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Offers management ---------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev see {SnowMarketplaceExtension-createOffer}
+     */
+    function createOffer(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        bool, /* isCollectionOffer */
+        uint256, /* price */
+        uint256 /* expiryBlock */
+    ) external returns (uint256 offerId) {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-cancelOffer}
+     */
+    function cancelOffer(uint256 /* offerId */) external {
+        _delegateTo(extensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceExtension-acceptOffer}
+     */
+    function acceptOffer(
+        uint256, /* offerId */
+        uint256 /* tokenId */
+    ) external {
+        _delegateTo(extensionAddress);
     }
 
     /**
-     * @dev transfer an NFT (ERC1155 or ERC721) from the 'from' address
-     * to the 'to' address switching mode based on the 'nftType' parameter.
+     * @dev get the details of an Offer
      *
-     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
-     * @param contractAddress address of the token smart contract
-     * @param from token sender
-     * @param to token receiver
-     * @param tokenId ID of the token to be sent
-     * @param amount amount of tokens to send (if ERC721 the amount is always 1)
-     */
-    function _transferNfts(
-        NftType nftType,
-        address contractAddress,
-        address from,
-        address to,
-        uint256 tokenId,
-        uint256 amount
-    ) private {
-        if (nftType == NftType.ERC721) {
-            // Update counter
-            if (from == address(this) && to != address(this)) {
-                onSaleErc721Tokens -= 1;
-            } else {
-                onSaleErc721Tokens += 1;
+     * @param offerId ID of the offer
+     *
+     * @return the Offer struct related to the specified ID
+     */
+    function offerDetails(uint256 offerId)
+        external
+        view
+        returns (Offer memory)
+    {
+        return _offerDetails[offerId];
+    }
+
+    /**
+     * @dev Execute the current call on a marketplace extension through
+     * a delegatecall, bubbling up its result or its revert reason
+     *
+     * @param extension address of the extension that implements the call
+     */
+    function _delegateTo(address extension) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(
+                gas(),
+                extension,
+                0,
+                calldatasize(),
+                0,
+                0
+            )
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
             }
-            // Transfer NFT
-            IERC721 collectionInstance = IERC721(contractAddress);
-            collectionInstance.safeTransferFrom(from, to, tokenId);
-        } else {
-            // Can be only an ERC1155
-            // Update counter
-            if (from == address(this) && to != address(this)) {
-                onSaleErc1155Tokens -= 1;
-            } else {
-                onSaleErc1155Tokens += 1;
+            default {
+                return(0, returndatasize())
             }
-            // Transfer back NFT
-            IERC1155 tokenInstance = IERC1155(contractAddress);
-            tokenInstance.safeTransferFrom(from, to, tokenId, amount, "");
         }
     }
 
     //------------------------------------------------------------------//
-    //-------------------- Soft token management -----------------------//
+    //-------------------- Emergency management ------------------------//
     //------------------------------------------------------------------//
 
     /**
-     * @dev update the contract address reference of the SNOW soft-token
-     *
-     * @param newContract address of the new SNOW token implementation
+     * @dev see {SnowMarketplaceAdminExtension-emergencyCancelOrders}
      */
-    function updateSnowTokenContract(address newContract)
+    function emergencyCancelOrders(uint256 /* maxOrders */)
         external
-        onlyRole(MANAGER_ROLE)
+        returns (uint256 canceledOrders)
     {
-        require(
-            newContract != address(0),
-            "Please insert a valid contract address"
-        );
+        _delegateTo(adminExtensionAddress);
+    }
 
-        snowSoftTokenAddress = newContract;
-        emit SnowContractUpdated(newContract, _msgSender(), block.number);
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-recoverNfts}
+     */
+    function recoverNfts(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256[] calldata, /* tokenIds */
+        uint256[] calldata, /* amounts */
+        address /* recoveryAddress */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-returnStrandedNfts}
+     */
+    function returnStrandedNfts(
+        NftType, /* nftType */
+        address, /* contractAddress */
+        uint256, /* tokenId */
+        address /* maker */
+    ) external {
+        _delegateTo(adminExtensionAddress);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Soft token management -----------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev see {SnowMarketplaceAdminExtension-updateSnowTokenContract}
+     */
+    function updateSnowTokenContract(address /* newContract */) external {
+        _delegateTo(adminExtensionAddress);
     }
 
     //------------------------------------------------------------------//
@@ -521,6 +1208,86 @@ contract SnowMarketplace is AccessControl {
         return activeOrders;
     }
 
+    /**
+     * @dev get the details of a MarketOrder
+     *
+     * @param orderId ID of the order
+     *
+     * @return the MarketOrder struct related to the specified ID
+     */
+    function orderDetails(uint256 orderId)
+        external
+        view
+        returns (MarketOrder memory)
+    {
+        return _orderDetails[orderId];
+    }
+
+    /**
+     * @dev get the number of orders created by a maker (see {makerOrderIds})
+     *
+     * @param maker wallet address of the maker
+     *
+     * @return the length of the maker orders history
+     */
+    function getMakerOrdersCount(address maker)
+        external
+        view
+        returns (uint256)
+    {
+        return makerOrderIds[maker].length;
+    }
+
+    /**
+     * @dev get the number of purchases made by a taker (see {takerOrderIds})
+     *
+     * @param taker wallet address of the taker
+     *
+     * @return the length of the taker purchases history
+     */
+    function getTakerOrdersCount(address taker)
+        external
+        view
+        returns (uint256)
+    {
+        return takerOrderIds[taker].length;
+    }
+
+    /**
+     * @dev get the statistics of the sales paid with SNOW tokens of a
+     * collection (the current floor price is provided by the
+     * {SnowMarketplaceLens})
+     *
+     * @param contractAddress address of the collection smart contract
+     *
+     * @return the collection SalesStats
+     */
+    function getCollectionStats(address contractAddress)
+        external
+        view
+        returns (SalesStats memory)
+    {
+        return _collectionStats[contractAddress];
+    }
+
+    /**
+     * @dev get the statistics of the sales paid with SNOW tokens of a
+     * token (the current floor price is provided by the
+     * {SnowMarketplaceLens})
+     *
+     * @param contractAddress address of the token smart contract
+     * @param tokenId ID of the token
+     *
+     * @return the token SalesStats
+     */
+    function getTokenStats(address contractAddress, uint256 tokenId)
+        external
+        view
+        returns (SalesStats memory)
+    {
+        return _tokenStats[contractAddress][tokenId];
+    }
+
     //------------------------------------------------------------------//
     //-------------------- Erc1155 Receiver implementation -------------//
     //------------------------------------------------------------------//
@@ -528,8 +1295,9 @@ contract SnowMarketplace is AccessControl {
     /**
      * @dev default implementation plus a check
      * to verify that the transaction sender has been granted
-     * the ORDERS_MANAGER_ROLE role to prevent receiving NFTs from
-     * unsafe users.
+     * the ORDERS_MANAGER_ROLE role or that the transfer has been
+     * triggered by the marketplace itself (order creation) to prevent
+     * receiving NFTs from unsafe users.
      */
     function onERC1155Received(
         address operator,
@@ -539,7 +1307,7 @@ contract SnowMarketplace is AccessControl {
         bytes calldata data
     ) public view returns (bytes4) {
         require(
-            hasRole(ORDERS_MANAGER_ROLE, from),
+            hasRole(ORDERS_MANAGER_ROLE, from) || operator == address(this),
             "The contract can't receive NFTs from this address"
         );
 
@@ -554,8 +1322,9 @@ contract SnowMarketplace is AccessControl {
     /**
      * @dev default implementation plus a check
      * to verify that the transaction sender has been granted
-     * the ORDERS_MANAGER_ROLE role to prevent receiving NFTs from
-     * unsafe users.
+     * the ORDERS_MANAGER_ROLE role or that the transfer has been
+     * triggered by the marketplace itself (order creation) to prevent
+     * receiving NFTs from unsafe users.
      */
     function onERC1155BatchReceived(
         address operator,
@@ -565,7 +1334,7 @@ contract SnowMarketplace is AccessControl {
         bytes calldata data
     ) public view returns (bytes4) {
         require(
-            hasRole(ORDERS_MANAGER_ROLE, from),
+            hasRole(ORDERS_MANAGER_ROLE, from) || operator == address(this),
             "The contract can't receive NFTs from this address"
         );
 
@@ -580,8 +1349,9 @@ contract SnowMarketplace is AccessControl {
     /**
      * @dev default implementation plus a check
      * to verify that the transaction sender has been granted
-     * the ORDERS_MANAGER_ROLE role to prevent receiving NFTs from
-     * unsafe users.
+     * the ORDERS_MANAGER_ROLE role or that the transfer has been
+     * triggered by the marketplace itself (order creation) to prevent
+     * receiving NFTs from unsafe users.
      */
     function onERC721Received(
         address operator,
@@ -590,7 +1360,7 @@ contract SnowMarketplace is AccessControl {
         bytes memory data
     ) public view returns (bytes4) {
         require(
-            hasRole(ORDERS_MANAGER_ROLE, from),
+            hasRole(ORDERS_MANAGER_ROLE, from) || operator == address(this),
             "The contract can't receive NFTs from this address"
         );
 
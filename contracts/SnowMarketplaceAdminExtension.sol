@@ -0,0 +1,606 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "./SnowMarketplaceBase.sol";
+
+/**
+ * @dev Extension of the SnowMarketplace contract that implements the
+ * administrative operations: the marketplace initialization, the
+ * protocol fee, payment tokens and SNOW soft-token settings, the
+ * collections registry, the per-collection purchase caps and the
+ * emergency rescue of the escrowed assets (including the claim of the
+ * auctioned NFTs that couldn't be sent to the highest bidder).
+ *
+ * As the SnowMarketplaceExtension, it is deployed on its own and the
+ * SnowMarketplace executes its functions through a delegatecall, so that
+ * they run on the marketplace storage (see {SnowMarketplaceBase}). The
+ * extension must not be used directly, since its own storage is never
+ * initialized.
+ */
+contract SnowMarketplaceAdminExtension is SnowMarketplaceBase {
+    //------------------------------------------------------------------//
+    //-------------------- Constructor ---------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Contract constructor
+     *
+     * @param _maxActiveOrdesAmount max number of concurrent active orders
+     * in the marketplace (must be the same value of the marketplace)
+     */
+    constructor(uint256 _maxActiveOrdesAmount)
+        SnowMarketplaceBase(_maxActiveOrdesAmount)
+    {
+        // The initializer can be executed only on the marketplace storage
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Contract initializer, executed by the marketplace proxy in
+     * place of the SnowMarketplace constructor
+     *
+     * @param snowTokenContract address of the smart contract that
+     * keeps track of the soft-token balances
+     */
+    function initialize(address snowTokenContract) external initializer {
+        require(
+            snowTokenContract != address(0),
+            "Snow contract address can't be the zero address"
+        );
+
+        __AccessControl_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(MANAGER_ROLE, _msgSender());
+        _grantRole(PAUSER_ROLE, _msgSender());
+
+        snowSoftTokenAddress = snowTokenContract;
+
+        isMarketplaceActive = true; // enable marketplace usage from the beginning
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Marketplace settings ------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev update the protocol fee applied to the peer-to-peer sales
+     * and the treasury wallet that receives it
+     *
+     * @param feeBps new protocol fee in basis points (10000 = 100%)
+     * @param treasury wallet that will receive the protocol fees
+     *
+     * Note: reverts if the fee is greater than MAX_PROTOCOL_FEE_BPS or if
+     * the treasury is the zero address while the fee or the fee override
+     * of a registered collection is not 0
+     */
+    function updateProtocolFee(uint256 feeBps, address treasury)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Protocol fee too high");
+        require(
+            (feeBps == 0 && feeOverridesCount == 0) || treasury != address(0),
+            "Treasury can't be the zero address"
+        );
+
+        protocolFeeBps = feeBps;
+        treasuryWallet = treasury;
+        emit ProtocolFeeUpdated(feeBps, treasury, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev allow or disallow an ERC20 token as payment asset of the
+     * MarketOrders created from now on
+     *
+     * @param token address of the ERC20 token
+     * @param isAllowed 'true' to allow the token, 'false' otherwise
+     *
+     * Note: disallowing a token doesn't affect the already created orders
+     */
+    function setPaymentTokenAllowed(address token, bool isAllowed)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(token != address(0), "Payment token can't be the zero address");
+        allowedPaymentTokens[token] = isAllowed;
+        emit PaymentTokenUpdated(token, isAllowed, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev update the contract address reference of the SNOW soft-token
+     *
+     * @param newContract address of the new SNOW token implementation
+     *
+     * Note: reverts if some SNOW tokens are currently escrowed by auction
+     * bids, since they are tracked by the current SNOW soft-token contract
+     */
+    function updateSnowTokenContract(address newContract)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(
+            newContract != address(0),
+            "Please insert a valid contract address"
+        );
+        require(
+            totalTokensEscrowed == 0,
+            "Can't update the contract while tokens are escrowed"
+        );
+
+        snowSoftTokenAddress = newContract;
+        emit SnowContractUpdated(newContract, _msgSender(), block.number);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Collections management ----------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Register a collection, allowing its NFTs to be listed and sold
+     * in the marketplace with the specified settings
+     *
+     * @param contractAddress address of the collection smart contract
+     * @param nftType token standard of the collection, that must be
+     * supported by the contract according to ERC165 'supportsInterface'
+     * @param settings price range, fee and royalty overrides and paused
+     * state of the collection
+     *
+     * Note: reverts if the collection is already registered
+     */
+    function registerCollection(
+        address contractAddress,
+        NftType nftType,
+        CollectionSettings calldata settings
+    ) external onlyRole(MANAGER_ROLE) {
+        require(
+            !registeredCollections[contractAddress].isRegistered,
+            "Collection already registered"
+        );
+
+        bytes4 interfaceId = nftType == NftType.ERC721
+            ? type(IERC721).interfaceId
+            : type(IERC1155).interfaceId;
+        bool isSupported = false;
+        if (contractAddress.code.length > 0) {
+            try
+                IERC165(contractAddress).supportsInterface(interfaceId)
+            returns (bool result) {
+                isSupported = result;
+            } catch {}
+        }
+        require(isSupported, "The contract doesn't support the NFT type");
+
+        registeredCollections[contractAddress].isRegistered = true;
+        registeredCollections[contractAddress].nftType = nftType;
+        emit CollectionRegistered(
+            contractAddress,
+            nftType,
+            _msgSender(),
+            block.number
+        );
+
+        _setCollectionSettings(contractAddress, settings);
+    }
+
+    /**
+     * @dev Update the settings of a registered collection
+     *
+     * @param contractAddress address of the collection smart contract
+     * @param settings new price range, fee and royalty overrides and
+     * paused state of the collection
+     *
+     * Note: the price range applies only to the orders and offers created
+     * from now on, while the other settings apply also to the open ones
+     */
+    function updateCollectionSettings(
+        address contractAddress,
+        CollectionSettings calldata settings
+    ) external onlyRole(MANAGER_ROLE) {
+        require(
+            registeredCollections[contractAddress].isRegistered,
+            "Collection not registered"
+        );
+
+        _setCollectionSettings(contractAddress, settings);
+    }
+
+    /**
+     * @dev Remove a collection from the registry, so that its NFTs can't
+     * be listed and sold anymore
+     *
+     * @param contractAddress address of the collection smart contract
+     *
+     * Note: the open orders and offers of the collection can still be
+     * canceled to give back the escrowed assets
+     */
+    function removeCollection(address contractAddress)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(
+            registeredCollections[contractAddress].isRegistered,
+            "Collection not registered"
+        );
+
+        CollectionSettings storage settings = registeredCollections[
+            contractAddress
+        ].settings;
+        if (settings.hasFeeOverride && settings.feeBps > 0) {
+            feeOverridesCount -= 1;
+        }
+        delete registeredCollections[contractAddress];
+        emit CollectionRemoved(contractAddress, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev Update the max number of copies of a collection that a single
+     * wallet can buy through the marketplace orders and signed listings
+     *
+     * @param contractAddress address of the collection smart contract
+     * @param cap max number of copies bought by a wallet (0 for no cap)
+     *
+     * Note: the copies already bought are counted also if the cap is
+     * updated, while the auctions, the offers and the swaps don't count
+     * toward the cap
+     */
+    function setCollectionPurchaseCap(address contractAddress, uint256 cap)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        collectionPurchaseCaps[contractAddress] = cap;
+        emit CollectionPurchaseCapUpdated(
+            contractAddress,
+            cap,
+            _msgSender(),
+            block.number
+        );
+    }
+
+    /**
+     * @dev Check and save the settings of a registered collection
+     *
+     * @param contractAddress address of the collection smart contract
+     * @param settings settings to save
+     */
+    function _setCollectionSettings(
+        address contractAddress,
+        CollectionSettings calldata settings
+    ) private {
+        require(
+            settings.maxPrice == 0 || settings.minPrice <= settings.maxPrice,
+            "Invalid collection price range"
+        );
+        require(
+            !settings.hasFeeOverride ||
+                settings.feeBps <= MAX_PROTOCOL_FEE_BPS,
+            "Protocol fee too high"
+        );
+        require(
+            !settings.hasFeeOverride ||
+                settings.feeBps == 0 ||
+                treasuryWallet != address(0),
+            "Treasury can't be the zero address"
+        );
+        require(
+            !settings.hasRoyaltyOverride ||
+                settings.royaltyBps <= BPS_DENOMINATOR,
+            "Invalid collection royalty"
+        );
+
+        // Keep track of the collections that need a treasury wallet
+        CollectionSettings storage oldSettings = registeredCollections[
+            contractAddress
+        ].settings;
+        if (oldSettings.hasFeeOverride && oldSettings.feeBps > 0) {
+            feeOverridesCount -= 1;
+        }
+        if (settings.hasFeeOverride && settings.feeBps > 0) {
+            feeOverridesCount += 1;
+        }
+
+        registeredCollections[contractAddress].settings = settings;
+        emit CollectionSettingsUpdated(
+            contractAddress,
+            _msgSender(),
+            block.number
+        );
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Emergency management ------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Cancel the last open orders of the 'activeOrders' list while
+     * the marketplace is paused, returning the NFT copies not sold yet to
+     * the makers and refunding the SNOW tokens escrowed by the orders
+     * (highest bids and swap top-ups). Call it more times to cancel all
+     * the open orders in bounded batches.
+     *
+     * @param maxOrders max number of orders to cancel
+     *
+     * @return the number of orders canceled
+     *
+     * Note: the NFT transfers and the SNOW refunds that revert (e.g. a
+     * token contract that reverts on 'safeTransferFrom' or a broken SNOW
+     * soft-token contract) don't stop the rescue. The NFTs not returned
+     * stay escrowed for their maker and can be sent back to the maker
+     * through {returnStrandedNfts}, while the SNOW tokens not refunded
+     * are no longer counted as escrowed, so that the SNOW soft-token
+     * contract can be updated.
+     */
+    function emergencyCancelOrders(uint256 maxOrders)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        returns (uint256)
+    {
+        require(!isMarketplaceActive, "The marketplace must be paused");
+
+        uint256 canceledOrders = 0;
+        while (canceledOrders < maxOrders && activeOrders.length > 0) {
+            uint256 orderId = activeOrders[activeOrders.length - 1];
+            MarketOrder storage order = _orderDetails[orderId];
+
+            // Update order details (reduce reentrancy risks)
+            _removeActiveOrder(orderId);
+            uint256 copiesToReturn = order.remainingAmount;
+            _orderDetails[orderId].orderState = OrderState.Cancelled;
+            _orderDetails[orderId].remainingAmount = 0;
+
+            bool nftsReturned = true;
+            if (order.orderType == OrderType.Bundle) {
+                BundleItem[] storage items = bundleItems[orderId];
+                for (uint256 i = 0; i < items.length; i++) {
+                    nftsReturned =
+                        _tryReturnNfts(
+                            items[i].nftType,
+                            items[i].tokenContractAddress,
+                            order.maker,
+                            items[i].tokenId,
+                            items[i].amount
+                        ) &&
+                        nftsReturned;
+                }
+            } else {
+                nftsReturned = _tryReturnNfts(
+                    order.nftType,
+                    order.tokenContractAddress,
+                    order.maker,
+                    order.tokenId,
+                    copiesToReturn
+                );
+            }
+
+            // Refund the SNOW tokens escrowed by the order
+            bool tokensRefunded = true;
+            address refundReceiver = auctionDetails[orderId].highestBidder;
+            uint256 refundAmount = auctionDetails[orderId].highestBid;
+            if (refundReceiver == address(0)) {
+                refundReceiver = order.maker;
+                refundAmount = swapDetails[orderId].makerTopUp;
+            }
+            if (refundAmount > 0) {
+                totalTokensEscrowed = totalTokensEscrowed - refundAmount;
+                try
+                    ISnowTracker(snowSoftTokenAddress).spendFrom(
+                        address(this),
+                        refundReceiver,
+                        refundAmount
+                    )
+                {} catch {
+                    tokensRefunded = false;
+                }
+            }
+
+            canceledOrders += 1;
+            emit OrderEmergencyCanceled(
+                orderId,
+                order.maker,
+                nftsReturned,
+                tokensRefunded,
+                _msgSender(),
+                block.number
+            );
+        }
+
+        return canceledOrders;
+    }
+
+    /**
+     * @dev Send to a recovery address the NFT copies owned by the
+     * marketplace that don't belong to any order, like the NFTs
+     * transferred directly to the marketplace. Works also while the
+     * marketplace is paused.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param tokenIds IDs of the tokens to recover
+     * @param amounts number of copies to recover for each token ID (if
+     * ERC721 the amount is always 1)
+     * @param recoveryAddress wallet that receives the recovered NFTs
+     *
+     * Note: reverts if one of the NFT copies to recover is escrowed by an
+     * open order or belongs to the maker of a canceled order (see
+     * {returnStrandedNfts}) or to the winner of an auction (see
+     * {claimAuctionNfts})
+     */
+    function recoverNfts(
+        NftType nftType,
+        address contractAddress,
+        uint256[] calldata tokenIds,
+        uint256[] calldata amounts,
+        address recoveryAddress
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            tokenIds.length == amounts.length,
+            "Token IDs and amounts length mismatch"
+        );
+        require(
+            recoveryAddress != address(0),
+            "Recovery address can't be the zero address"
+        );
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 escrowedCopies = escrowedNftCopies[contractAddress][
+                tokenIds[i]
+            ];
+            if (nftType == NftType.ERC721) {
+                require(
+                    amounts[i] == 1 && escrowedCopies == 0,
+                    "The NFT is escrowed by an open order"
+                );
+                IERC721(contractAddress).safeTransferFrom(
+                    address(this),
+                    recoveryAddress,
+                    tokenIds[i]
+                );
+            } else {
+                require(
+                    IERC1155(contractAddress).balanceOf(
+                        address(this),
+                        tokenIds[i]
+                    ) -
+                        escrowedCopies >=
+                        amounts[i],
+                    "The NFT is escrowed by an open order"
+                );
+                IERC1155(contractAddress).safeTransferFrom(
+                    address(this),
+                    recoveryAddress,
+                    tokenIds[i],
+                    amounts[i],
+                    ""
+                );
+            }
+
+            emit NftsRecovered(
+                contractAddress,
+                tokenIds[i],
+                amounts[i],
+                recoveryAddress,
+                _msgSender(),
+                block.number
+            );
+        }
+    }
+
+    /**
+     * @dev Send back to their maker the NFT copies that
+     * {emergencyCancelOrders} couldn't return. Works also while the
+     * marketplace is paused.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param tokenId ID of the token to return
+     * @param maker maker of the canceled orders that escrowed the copies
+     *
+     * Note: anyone can call this function, since the copies can only be
+     * sent to their maker. Reverts if there are no copies to return.
+     */
+    function returnStrandedNfts(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        address maker
+    ) external {
+        uint256 copies = strandedNftCopies[contractAddress][tokenId][maker];
+        require(copies > 0, "No stranded NFTs to return");
+        delete strandedNftCopies[contractAddress][tokenId][maker];
+
+        _transferNfts(
+            nftType,
+            contractAddress,
+            address(this),
+            maker,
+            tokenId,
+            copies
+        );
+
+        emit NftsRecovered(
+            contractAddress,
+            tokenId,
+            copies,
+            maker,
+            _msgSender(),
+            block.number
+        );
+    }
+
+    /**
+     * @dev Claim the NFT copies of a settled auction that couldn't be
+     * sent to its highest bidder (see {SnowMarketplaceExtension-settleAuction}).
+     * Works also while the marketplace is paused.
+     *
+     * @param orderId ID of the settled auction MarketOrder
+     * @param to wallet that receives the NFT copies
+     *
+     * Note: reverts if the sender is not the highest bidder of the
+     * auction or if the copies have already been claimed
+     */
+    function claimAuctionNfts(uint256 orderId, address to) external {
+        require(
+            unclaimedAuctionWinners[orderId] == _msgSender(),
+            "No NFTs to claim"
+        );
+        delete unclaimedAuctionWinners[orderId];
+
+        MarketOrder storage order = _orderDetails[orderId];
+        _transferNfts(
+            order.nftType,
+            order.tokenContractAddress,
+            address(this),
+            to,
+            order.tokenId,
+            order.amount
+        );
+
+        emit AuctionNftsClaimed(orderId, _msgSender(), to, block.number);
+    }
+
+    /**
+     * @dev Try to return to the maker the NFT copies of a canceled order,
+     * without reverting if the transfer fails. The copies not returned
+     * stay escrowed for the maker (see {returnStrandedNfts}).
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param maker wallet that receives the NFT copies
+     * @param tokenId ID of the token to return
+     * @param amount number of copies to return (if ERC721 the amount is always 1)
+     *
+     * @return 'true' if the NFT copies have been returned, 'false' otherwise
+     */
+    function _tryReturnNfts(
+        NftType nftType,
+        address contractAddress,
+        address maker,
+        uint256 tokenId,
+        uint256 amount
+    ) private returns (bool) {
+        if (
+            _tryTransferEscrowedNfts(
+                nftType,
+                contractAddress,
+                maker,
+                tokenId,
+                amount
+            )
+        ) {
+            return true;
+        }
+
+        strandedNftCopies[contractAddress][tokenId][maker] += amount;
+        return false;
+    }
+}
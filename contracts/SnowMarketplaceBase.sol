@@ -0,0 +1,1158 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "./ISnowTracker.sol";
+import "./MarketplacePayments.sol";
+
+/**
+ * @dev Base of the SnowMarketplace contracts, that holds the marketplace
+ * storage layout, events and the internal functions shared by the
+ * SnowMarketplace and by the SnowMarketplaceExtension.
+ *
+ * The SnowMarketplaceExtension is executed through a delegatecall by the
+ * SnowMarketplace, so both contracts must inherit from this contract
+ * without declaring any other state variable.
+ *
+ * The SnowMarketplace is deployed behind a proxy, so the new state
+ * variables must be added after the existing ones, reducing the size of
+ * the '__gap' array by the number of slots they use.
+ */
+abstract contract SnowMarketplaceBase is
+    Initializable,
+    AccessControlUpgradeable
+{
+    //------------------------------------------------------------------//
+    //---------------------- Contract constants ------------------------//
+    //------------------------------------------------------------------//
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 public constant ORDERS_MANAGER_ROLE =
+        keccak256("ORDERS_MANAGER_ROLE");
+    uint256 public constant INVALID_BLOCK = 0;
+    string public constant EXPIRED_REASON = "expired";
+    string public constant UNSOLD_REASON = "unsold";
+    uint256 public constant BPS_DENOMINATOR =
+        MarketplacePayments.BPS_DENOMINATOR;
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 1000; // 10% max protocol fee
+    uint256 public constant MAX_BUNDLE_ITEMS = 20; // Max number of items in a bundle order
+
+    //------------------------------------------------------------------//
+    //---------------------- Contract immutables -----------------------//
+    //------------------------------------------------------------------//
+    uint256 public immutable maxActiveOrdesAmount; // Max concurrent active marketplace orders
+
+    //------------------------------------------------------------------//
+    //---------------------- Marketplace events ------------------------//
+    //------------------------------------------------------------------//
+
+    event OrderCreated(
+        uint256 indexed _orderId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OrderCanceled(
+        uint256 indexed _orderId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OrderCanceledWithReason(
+        uint256 indexed _orderId,
+        address indexed _by,
+        string _reason,
+        uint256 _atBlock
+    );
+
+    event OrderFulfilled(
+        uint256 indexed _orderId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OrderCopiesBought(
+        uint256 indexed _orderId,
+        address indexed _by,
+        uint256 _amount,
+        uint256 _atBlock
+    );
+
+    event OrderPriceUpdated(
+        uint256 indexed _orderId,
+        uint256 _oldPrice,
+        uint256 _newPrice,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OrderRestricted(
+        uint256 indexed _orderId,
+        address _allowedTaker,
+        bytes32 _allowedTakersRoot,
+        uint256 _atBlock
+    );
+
+    event CollectionPurchaseCapUpdated(
+        address indexed _tokenContract,
+        uint256 _cap,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event CollectionRegistered(
+        address indexed _tokenContract,
+        NftType _nftType,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event CollectionSettingsUpdated(
+        address indexed _tokenContract,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event CollectionRemoved(
+        address indexed _tokenContract,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event CartCheckedOut(
+        address indexed _by,
+        uint256 _ordersFulfilled,
+        uint256 _totalPrice,
+        uint256 _atBlock
+    );
+
+    event SignedListingFulfilled(
+        bytes32 indexed _listingHash,
+        address indexed _maker,
+        address indexed _by,
+        uint256 _amount,
+        uint256 _atBlock
+    );
+
+    event SignedListingsCanceled(
+        address indexed _maker,
+        uint256 _minValidNonce,
+        uint256 _atBlock
+    );
+
+    event OfferCreated(
+        uint256 indexed _offerId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OfferCanceled(
+        uint256 indexed _offerId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event OfferAccepted(
+        uint256 indexed _offerId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event BidPlaced(
+        uint256 indexed _orderId,
+        address indexed _by,
+        uint256 _amount,
+        uint256 _atBlock
+    );
+
+    event AuctionNftsUnclaimed(
+        uint256 indexed _orderId,
+        address indexed _winner,
+        uint256 _atBlock
+    );
+
+    event AuctionNftsClaimed(
+        uint256 indexed _orderId,
+        address indexed _winner,
+        address indexed _to,
+        uint256 _atBlock
+    );
+
+    event SalePaymentSplit(
+        address indexed _tokenContract,
+        uint256 indexed _tokenId,
+        address indexed _seller,
+        uint256 _protocolFee,
+        address _royaltyReceiver,
+        uint256 _royalty,
+        uint256 _sellerProceeds,
+        uint256 _atBlock
+    );
+
+    event ProtocolFeeUpdated(
+        uint256 _feeBps,
+        address indexed _treasury,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event PaymentTokenUpdated(
+        address indexed _token,
+        bool _isAllowed,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event ProceedsWithdrawn(
+        address indexed _paymentToken,
+        address indexed _by,
+        uint256 _amount,
+        uint256 _atBlock
+    );
+
+    event OrderEmergencyCanceled(
+        uint256 indexed _orderId,
+        address indexed _maker,
+        bool _nftsReturned,
+        bool _tokensRefunded,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event NftsRecovered(
+        address indexed _tokenContract,
+        uint256 indexed _tokenId,
+        uint256 _amount,
+        address indexed _to,
+        address _by,
+        uint256 _atBlock
+    );
+
+    event MarketplacePaused(address indexed _by, uint256 _atBlock);
+    event MarketplaceUnpaused(address indexed _by, uint256 _atBlock);
+
+    event OpenListingUpdated(
+        bool indexed _isActive,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event SnowContractUpdated(
+        address indexed _newConctract,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    //------------------------------------------------------------------//
+    //---------------------- Enumerators and structs -------------------//
+    //------------------------------------------------------------------//
+
+    enum NftType {
+        ERC1155,
+        ERC721
+    }
+
+    enum OrderType {
+        FixedPrice,
+        EnglishAuction,
+        DutchAuction,
+        Bundle,
+        Swap
+    }
+
+    enum PaymentAsset {
+        Snow,
+        Erc20,
+        NativeCurrency
+    }
+
+    enum OrderState {
+        Open,
+        Closed,
+        Cancelled,
+        Expired
+    }
+
+    struct MarketOrder {
+        uint256 id;
+        OrderType orderType;
+        uint256 price; // price of a single copy, reserve price (English auction), start price (Dutch auction), price of the whole bundle or SNOW top-up paid by the taker (swap)
+        NftType nftType; // not used by bundle orders (see 'bundleItems')
+        address tokenContractAddress; // zero address for bundle orders
+        uint256 tokenId; // not used by bundle orders
+        uint256 amount; // number of token copies put on sale
+        uint256 remainingAmount; // number of token copies still on sale
+        uint256 startBlock; // first block at which the order can be fulfilled (INVALID_BLOCK if none)
+        uint256 expiryBlock; // last block at which the order can be fulfilled (INVALID_BLOCK if none)
+        OrderState orderState;
+        uint256 filledAtBlock;
+        uint256 paidPrice; // total tokens paid by all the fills of the order
+        address maker;
+        address taker; // latest buyer of the order (highest bidder for English auctions)
+        bool isPeerToPeer; // true if the tokens paid go to the maker instead of being burned (or sent to the treasury)
+        PaymentAsset paymentAsset; // asset used to pay the order
+        address paymentToken; // ERC20 used to pay the order (zero address if not paid with an ERC20)
+    }
+
+    struct OrderRestriction {
+        address allowedTaker; // only wallet that can fulfill the order (zero address if any)
+        bytes32 allowedTakersRoot; // Merkle root of the wallets that can fulfill the order (zero if any)
+    }
+
+    struct PriceChange {
+        uint256 oldPrice;
+        uint256 newPrice;
+        address updatedBy; // wallet that updated the price
+        uint256 atBlock;
+    }
+
+    struct BundleItem {
+        NftType nftType;
+        address tokenContractAddress;
+        uint256 tokenId;
+        uint256 amount; // number of token copies in the bundle (if ERC721 the amount is always 1)
+    }
+
+    struct SwapTerms {
+        NftType wantedNftType;
+        address wantedContractAddress;
+        uint256 wantedTokenId; // ID of the wanted token (ignored if any token of the contract is accepted)
+        bool isAnyTokenId; // true if any token of the wanted contract is accepted
+        uint256 wantedAmount; // number of wanted token copies (if ERC721 the amount is always 1)
+        uint256 makerTopUp; // SNOW tokens escrowed by the maker and paid to the taker
+        uint256 takerTopUp; // SNOW tokens paid by the taker to the maker
+    }
+
+    struct CollectionSettings {
+        uint256 minPrice; // min price of a single copy (0 for no min price)
+        uint256 maxPrice; // max price of a single copy (0 for no max price)
+        bool hasFeeOverride; // true to apply 'feeBps' instead of the protocol fee
+        uint256 feeBps; // protocol fee of the collection sales (basis points)
+        bool hasRoyaltyOverride; // true to apply the royalty below instead of the ERC2981 one
+        address royaltyReceiver; // wallet that receives the royalty (zero address for no royalty)
+        uint256 royaltyBps; // royalty of the collection sales (basis points)
+        bool isPaused; // true if the collection NFTs can't be listed and sold
+    }
+
+    struct Collection {
+        bool isRegistered; // true if the collection NFTs can be listed in the marketplace
+        NftType nftType; // token standard verified through ERC165 at registration
+        CollectionSettings settings;
+    }
+
+    struct SalesStats {
+        uint256 volume; // total SNOW tokens paid
+        uint256 salesCount; // number of sales
+        uint256 lastSalePrice; // SNOW tokens paid for a single copy in the last sale
+        uint256 lastSaleBlock; // block of the last sale (0 if never sold)
+        uint256 uniqueBuyers; // number of different wallets that bought at least a copy
+    }
+
+    struct Auction {
+        uint256 minBidIncrement; // min amount of tokens to add to the highest bid to outbid it
+        uint256 endBlock; // last block at which a bid can be placed
+        uint256 highestBid; // current highest bid (escrowed in this contract)
+        address highestBidder; // current highest bidder
+    }
+
+    struct Offer {
+        uint256 id;
+        NftType nftType;
+        address tokenContractAddress;
+        uint256 tokenId; // ID of the wanted token (ignored if it is a collection offer)
+        bool isCollectionOffer; // true if any token of the contract can be sold to fulfill the offer
+        uint256 price; // tokens escrowed to buy a single copy of the token
+        uint256 expiryBlock; // last block at which the offer can be accepted
+        OrderState offerState;
+        uint256 acceptedAtBlock;
+        uint256 acceptedTokenId; // ID of the token sold to fulfill the offer
+        address bidder;
+        address seller;
+    }
+
+    struct SignedListing {
+        address maker; // signer of the listing and owner of the NFT to sell
+        NftType nftType;
+        address tokenContractAddress;
+        uint256 tokenId;
+        uint256 amount; // number of token copies put on sale
+        uint256 price; // price of a single copy
+        uint256 expiryBlock; // last block at which the listing can be fulfilled (INVALID_BLOCK if none)
+        uint256 nonce; // listing nonce (see {cancelSignedListings})
+        address snowContract; // SNOW soft-token contract in which the listing is settled
+    }
+
+    struct DutchAuction {
+        uint256 floorPrice; // min price of a single copy reached at the end of the decay
+        uint256 decayStartBlock; // block at which the price starts to decrease
+        uint256 decayEndBlock; // block at which the price reaches the floor price
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- Contract storage --------------------------//
+    //------------------------------------------------------------------//
+
+    uint256[] public activeOrders; // current marketplace active orders
+    mapping(uint256 => uint256) internal _activeOrderPositions; // order ID => index in activeOrders + 1 (0 if not active)
+    mapping(uint256 => MarketOrder) internal _orderDetails; // Details of all created orders
+    mapping(uint256 => Auction) public auctionDetails; // Details of all created auctions
+    mapping(uint256 => DutchAuction) public dutchAuctionDetails; // Details of all created Dutch auctions
+    mapping(uint256 => Offer) internal _offerDetails; // Details of all created offers
+    mapping(uint256 => BundleItem[]) public bundleItems; // bundle order ID => NFTs sold together in the order
+    mapping(uint256 => SwapTerms) public swapDetails; // swap order ID => asset wanted in exchange
+    mapping(uint256 => PriceChange[]) public orderPriceHistory; // order ID => price changes, from the oldest one
+    mapping(uint256 => OrderRestriction) public orderRestrictions; // order ID => wallets allowed to fulfill it
+
+    mapping(address => Collection) public registeredCollections; // token contract => registration and settings
+    mapping(address => SalesStats) internal _collectionStats; // token contract => stats of the SNOW sales
+    mapping(address => mapping(uint256 => SalesStats)) internal _tokenStats; // token contract => token ID => stats of the SNOW sales
+    mapping(address => mapping(address => bool)) internal _collectionBuyers; // token contract => wallet => true if bought a copy
+    mapping(address => mapping(uint256 => mapping(address => bool))) internal _tokenBuyers; // token contract => token ID => wallet => true if bought a copy
+    mapping(address => uint256) public collectionPurchaseCaps; // token contract => max copies bought by a wallet (0 if unlimited)
+    mapping(address => mapping(address => uint256)) public collectionPurchases; // token contract => wallet => copies bought
+    mapping(address => uint256[]) public makerOrderIds; // maker => IDs of the orders created
+    mapping(address => uint256[]) public takerOrderIds; // taker => IDs of the orders bought (one entry per purchase)
+
+    mapping(bytes32 => uint256) public signedListingSoldAmounts; // listing hash => copies sold
+    mapping(address => uint256) public minListingNonces; // maker => min nonce of a valid signed listing
+
+    uint256 public currentOfferId; // ID of the next offer to be created
+
+    mapping(address => mapping(uint256 => uint256)) public escrowedNftCopies; // token contract => token ID => copies owned by the orders
+
+    uint256 public onSaleErc721Tokens; // total ERC721 currently on sale
+    uint256 public onSaleErc1155Tokens; // total ERC1155 copies currently on sale
+
+    uint256 public currentOrderId; // ID of the next order to be created
+    uint256 public ordersFullfilled; // Total orders fullfilled sucessfully
+    uint256 public totalTokensSpent; // Total Snow tokens spent in the marketplace
+    uint256 public totalTokensEscrowed; // Total Snow tokens currently escrowed by auction bids, offers and swap top-ups
+    uint256 public totalFeesCollected; // Total Snow tokens paid to the treasury as protocol fees
+    uint256 public totalRoyaltiesPaid; // Total Snow tokens paid to the royalty receivers
+
+    mapping(address => bool) public allowedPaymentTokens; // ERC20 => true if it can be used to pay orders
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals; // ERC20 (zero address for the native currency) => wallet => withdrawable proceeds
+
+    uint256 public protocolFeeBps; // Protocol fee applied to peer-to-peer sales (basis points)
+    address public treasuryWallet; // Wallet that receives the protocol fees
+
+    address public snowSoftTokenAddress; // Reference to the SNOW soft-token contract
+
+    bool public isMarketplaceActive; // true if is possible to create a fulfill orders, false otherwise
+    bool public isOpenListingActive; // true if any NFT holder can create orders, false otherwise
+
+    uint256 public feeOverridesCount; // Number of registered collections with a protocol fee override greater than 0
+
+    mapping(uint256 => address) public unclaimedAuctionWinners; // auction order ID => winner that has to claim the NFTs
+    mapping(address => mapping(uint256 => mapping(address => uint256)))
+        public strandedNftCopies; // token contract => token ID => maker => copies not returned by an emergency cancel
+
+    uint256[47] private __gap; // Storage slots reserved to the variables added by the future upgrades
+
+    //------------------------------------------------------------------//
+    //-------------------- Constructor ---------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Contract constructor
+     *
+     * @param _maxActiveOrdesAmount max number of concurrent active orders in the marketplace
+     */
+    constructor(uint256 _maxActiveOrdesAmount) {
+        maxActiveOrdesAmount = _maxActiveOrdesAmount; // Set the limit to the max active orders amount
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Modifiers -----------------------------------//
+    //------------------------------------------------------------------//
+
+    // The checks are made by internal functions to keep the bytecode of
+    // the functions using the modifiers small
+
+    modifier marketplaceEnabled() {
+        _checkMarketplaceEnabled();
+        _;
+    }
+
+    modifier canCreateOrders() {
+        _checkCanCreateOrders(_msgSender());
+        _;
+    }
+
+    /**
+     * @dev check that the marketplace is active
+     */
+    function _checkMarketplaceEnabled() internal view {
+        require(isMarketplaceActive, "Marketplace not active");
+    }
+
+    /**
+     * @dev check that a wallet address is allowed to create orders
+     *
+     * @param account wallet address to check
+     */
+    function _checkCanCreateOrders(address account) internal view {
+        require(
+            isOpenListingActive || hasRole(ORDERS_MANAGER_ROLE, account),
+            "You are not allowed to create orders"
+        );
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Shared orders management --------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new MarketOrder that puts on sale the specified
+     * amount of copies of a token and place it in the 'activeOrders' list.
+     *
+     * @param orderType type of the order to create
+     * @param price number of tokens to spend to buy a single copy
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale (if ERC721 the amount is always 1)
+     * @param startBlock first block at which the order can be fulfilled
+     * @param expiryBlock last block at which the order can be fulfilled
+     *
+     * @return the ID of the MarketOrder created
+     */
+    function _createOrder(
+        OrderType orderType,
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startBlock,
+        uint256 expiryBlock
+    ) internal returns (uint256) {
+        // Check sender NFTs balance to create the order
+        _checkNftsOwnership(nftType, contractAddress, tokenId, amount);
+
+        require(price > 0, "Can't create a free order");
+        _checkCollection(nftType, contractAddress);
+        _checkCollectionPrice(contractAddress, price);
+
+        uint256 orderId = _storeOrder(
+            orderType,
+            price,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            startBlock,
+            expiryBlock
+        );
+
+        // Transfer NFT to the marketplace
+        _transferNfts(
+            nftType,
+            contractAddress,
+            _msgSender(),
+            address(this),
+            tokenId,
+            amount
+        );
+
+        emit OrderCreated(orderId, _msgSender(), block.number);
+
+        return orderId;
+    }
+
+    /**
+     * @dev Save the details of a new MarketOrder made by the sender and
+     * place it in the 'activeOrders' list, without escrowing its NFTs
+     *
+     * @param orderType type of the order to create
+     * @param price number of tokens to spend to buy a single copy
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale
+     * @param startBlock first block at which the order can be fulfilled
+     * @param expiryBlock last block at which the order can be fulfilled
+     *
+     * @return the ID of the MarketOrder created
+     */
+    function _storeOrder(
+        OrderType orderType,
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startBlock,
+        uint256 expiryBlock
+    ) internal returns (uint256) {
+        // Check if the max active orders limit has been reached
+        require(
+            activeOrders.length < maxActiveOrdesAmount,
+            "Max concurrent active orders limit reached!"
+        );
+
+        // Calculate order ID and increase counter
+        uint256 orderId = currentOrderId;
+        currentOrderId += 1;
+
+        // Create the order
+        MarketOrder memory order = MarketOrder(
+            orderId,
+            orderType,
+            price,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            amount,
+            startBlock,
+            expiryBlock,
+            OrderState.Open,
+            INVALID_BLOCK,
+            0,
+            _msgSender(),
+            address(0),
+            !hasRole(ORDERS_MANAGER_ROLE, _msgSender()),
+            PaymentAsset.Snow,
+            address(0)
+        );
+
+        // Insert in active orders and save order details
+        _orderDetails[orderId] = order;
+        activeOrders.push(orderId);
+        _activeOrderPositions[orderId] = activeOrders.length;
+        makerOrderIds[_msgSender()].push(orderId);
+
+        return orderId;
+    }
+
+    /**
+     * @dev Check that the sender owns the NFT copies to put on sale
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param tokenId ID of the token to put on sale
+     * @param amount number of token copies to put on sale (if ERC721 the amount is always 1)
+     */
+    function _checkNftsOwnership(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) internal view {
+        if (nftType == NftType.ERC1155) {
+            IERC1155 tokenInstance = IERC1155(contractAddress);
+            require(
+                tokenInstance.balanceOf(_msgSender(), tokenId) >= amount,
+                "No tokens available to create the order"
+            );
+        } else {
+            IERC721 collectionInstance = IERC721(contractAddress);
+            require(
+                collectionInstance.ownerOf(tokenId) == _msgSender(),
+                "You don't own the token to put on sale"
+            );
+        }
+    }
+
+    /**
+     * @dev Remove an order from the active ones, update its state and
+     * send back to the maker the NFT copies not sold yet (and the SNOW
+     * top-up escrowed by the maker of a swap order)
+     *
+     * @param orderId ID of the current active order to close
+     * @param finalState state to assign to the closed order
+     */
+    function _closeOrder(uint256 orderId, OrderState finalState) internal {
+        _removeActiveOrder(orderId);
+        // Update order details, NFTs on sale counter and return token to the maker
+        uint256 copiesToReturn = _orderDetails[orderId].remainingAmount;
+        _orderDetails[orderId].orderState = finalState;
+        _orderDetails[orderId].remainingAmount = 0;
+        _transferOrderNfts(
+            orderId,
+            _orderDetails[orderId].maker,
+            copiesToReturn
+        );
+
+        uint256 makerTopUp = swapDetails[orderId].makerTopUp;
+        if (makerTopUp > 0) {
+            totalTokensEscrowed = totalTokensEscrowed - makerTopUp;
+            ISnowTracker(snowSoftTokenAddress).spendFrom(
+                address(this),
+                _orderDetails[orderId].maker,
+                makerTopUp
+            );
+        }
+    }
+
+    /**
+     * @dev transfer from the marketplace the NFT copies of an order, that
+     * are all the items of the bundle if it is a bundle order
+     *
+     * @param orderId ID of the order whose NFTs must be sent
+     * @param to token receiver
+     * @param amount number of order copies to send (if bundle the amount is always 1)
+     */
+    function _transferOrderNfts(
+        uint256 orderId,
+        address to,
+        uint256 amount
+    ) internal {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.orderType != OrderType.Bundle) {
+            _transferNfts(
+                order.nftType,
+                order.tokenContractAddress,
+                address(this),
+                to,
+                order.tokenId,
+                amount
+            );
+            return;
+        }
+
+        BundleItem[] storage items = bundleItems[orderId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _transferNfts(
+                items[i].nftType,
+                items[i].tokenContractAddress,
+                address(this),
+                to,
+                items[i].tokenId,
+                items[i].amount
+            );
+        }
+    }
+
+    /**
+     * @dev remove a MarketOrder from the current active orders list in
+     * constant time, by swapping it with the last active order
+     *
+     * @param orderId ID of the order to remove from the list
+     */
+    function _removeActiveOrder(uint256 orderId) internal {
+        uint256 orderPosition = _activeOrderPositions[orderId];
+        require(
+            orderPosition != 0,
+            "The order to remove is not in the active list"
+        );
+
+        uint256 lastIndex = activeOrders.length - 1;
+        if (orderPosition - 1 != lastIndex) {
+            // Move the last order in the place of the one to delete
+            uint256 lastOrderId = activeOrders[lastIndex];
+            activeOrders[orderPosition - 1] = lastOrderId;
+            _activeOrderPositions[lastOrderId] = orderPosition;
+        }
+
+        activeOrders.pop();
+        delete _activeOrderPositions[orderId];
+    }
+
+    /**
+     * @dev transfer an NFT (ERC1155 or ERC721) from the 'from' address
+     * to the 'to' address switching mode based on the 'nftType' parameter.
+     * The NFTs on sale counters and the escrowed copies are updated only
+     * if the marketplace is the sender or the receiver of the NFT.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param from token sender
+     * @param to token receiver
+     * @param tokenId ID of the token to be sent
+     * @param amount amount of tokens to send (if ERC721 the amount is always 1)
+     */
+    function _transferNfts(
+        NftType nftType,
+        address contractAddress,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        if (from == address(this) && to != address(this)) {
+            escrowedNftCopies[contractAddress][tokenId] -= amount;
+        } else if (to == address(this)) {
+            escrowedNftCopies[contractAddress][tokenId] += amount;
+        }
+
+        if (nftType == NftType.ERC721) {
+            // Update counter
+            if (from == address(this) && to != address(this)) {
+                onSaleErc721Tokens -= 1;
+            } else if (to == address(this)) {
+                onSaleErc721Tokens += 1;
+            }
+            // Transfer NFT
+            IERC721 collectionInstance = IERC721(contractAddress);
+            collectionInstance.safeTransferFrom(from, to, tokenId);
+        } else {
+            // Can be only an ERC1155
+            // Update counter
+            if (from == address(this) && to != address(this)) {
+                onSaleErc1155Tokens -= amount;
+            } else if (to == address(this)) {
+                onSaleErc1155Tokens += amount;
+            }
+            // Transfer back NFT
+            IERC1155 tokenInstance = IERC1155(contractAddress);
+            tokenInstance.safeTransferFrom(from, to, tokenId, amount, "");
+        }
+    }
+
+    /**
+     * @dev try to transfer escrowed NFT copies from the marketplace to
+     * the 'to' address, without reverting if the transfer fails
+     * (see {_transferNfts})
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     * @param to token receiver
+     * @param tokenId ID of the token to be sent
+     * @param amount amount of tokens to send (if ERC721 the amount is always 1)
+     *
+     * @return 'true' if the copies have been transferred, 'false' if they
+     * are still escrowed by the marketplace
+     */
+    function _tryTransferEscrowedNfts(
+        NftType nftType,
+        address contractAddress,
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) internal returns (bool) {
+        if (nftType == NftType.ERC721) {
+            try
+                IERC721(contractAddress).safeTransferFrom(
+                    address(this),
+                    to,
+                    tokenId
+                )
+            {
+                onSaleErc721Tokens -= 1;
+            } catch {
+                return false;
+            }
+        } else {
+            try
+                IERC1155(contractAddress).safeTransferFrom(
+                    address(this),
+                    to,
+                    tokenId,
+                    amount,
+                    ""
+                )
+            {
+                onSaleErc1155Tokens -= amount;
+            } catch {
+                return false;
+            }
+        }
+        escrowedNftCopies[contractAddress][tokenId] -= amount;
+        return true;
+    }
+
+    /**
+     * @dev Record the NFT copies of a collection bought by the sender,
+     * checking that the purchase cap of the collection is not exceeded
+     *
+     * @param contractAddress address of the bought token smart contract
+     * @param amount number of copies bought
+     */
+    function _recordCollectionPurchase(address contractAddress, uint256 amount)
+        internal
+    {
+        uint256 purchaseCap = collectionPurchaseCaps[contractAddress];
+        if (purchaseCap == 0) {
+            return;
+        }
+
+        uint256 purchasedAmount = collectionPurchases[contractAddress][
+            _msgSender()
+        ] + amount;
+        require(
+            purchasedAmount <= purchaseCap,
+            "Purchase cap reached for this collection"
+        );
+        collectionPurchases[contractAddress][_msgSender()] = purchasedAmount;
+    }
+
+    /**
+     * @dev Record the NFT copies of a MarketOrder bought by the sender,
+     * checking the purchase cap of each collection involved (see
+     * {_recordCollectionPurchase})
+     *
+     * @param orderId ID of the bought order
+     * @param amount number of order copies bought
+     *
+     * Note: the copies of each item of a bundle order are recorded for
+     * the collection of the item
+     */
+    function _recordOrderPurchase(uint256 orderId, uint256 amount) internal {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.orderType != OrderType.Bundle) {
+            _recordCollectionPurchase(order.tokenContractAddress, amount);
+            return;
+        }
+
+        BundleItem[] storage items = bundleItems[orderId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _recordCollectionPurchase(
+                items[i].tokenContractAddress,
+                items[i].amount * amount
+            );
+        }
+    }
+
+    /**
+     * @dev Update the statistics of a collection and of one of its
+     * tokens with a sale paid with SNOW tokens
+     *
+     * @param contractAddress address of the sold token smart contract
+     * @param tokenId ID of the sold token
+     * @param buyer wallet that bought the token copies
+     * @param amount number of copies sold
+     * @param totalPrice total number of SNOW tokens paid
+     */
+    function _recordSale(
+        address contractAddress,
+        uint256 tokenId,
+        address buyer,
+        uint256 amount,
+        uint256 totalPrice
+    ) internal {
+        _updateSalesStats(
+            _collectionStats[contractAddress],
+            _collectionBuyers[contractAddress],
+            buyer,
+            amount,
+            totalPrice
+        );
+        _updateSalesStats(
+            _tokenStats[contractAddress][tokenId],
+            _tokenBuyers[contractAddress][tokenId],
+            buyer,
+            amount,
+            totalPrice
+        );
+    }
+
+    /**
+     * @dev Add a sale to a SalesStats
+     *
+     * @param stats the statistics to update
+     * @param buyers wallets that already bought a copy
+     * @param buyer wallet that bought the token copies
+     * @param amount number of copies sold
+     * @param totalPrice total number of SNOW tokens paid
+     */
+    function _updateSalesStats(
+        SalesStats storage stats,
+        mapping(address => bool) storage buyers,
+        address buyer,
+        uint256 amount,
+        uint256 totalPrice
+    ) private {
+        stats.volume += totalPrice;
+        stats.salesCount += 1;
+        stats.lastSalePrice = totalPrice / amount;
+        stats.lastSaleBlock = block.number;
+        if (!buyers[buyer]) {
+            buyers[buyer] = true;
+            stats.uniqueBuyers += 1;
+        }
+    }
+
+    /**
+     * @dev Check that the NFTs of a collection can be listed and sold,
+     * that is the collection is registered with the specified token
+     * standard and it is not paused
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the token smart contract
+     */
+    function _checkCollection(NftType nftType, address contractAddress)
+        internal
+        view
+    {
+        Collection storage collection = registeredCollections[contractAddress];
+        require(
+            collection.isRegistered && collection.nftType == nftType,
+            "Collection not registered"
+        );
+        require(!collection.settings.isPaused, "The collection is paused");
+    }
+
+    /**
+     * @dev Check that a price is within the price range of a collection
+     *
+     * @param contractAddress address of the token smart contract
+     * @param price price of a single copy
+     */
+    function _checkCollectionPrice(address contractAddress, uint256 price)
+        internal
+        view
+    {
+        CollectionSettings storage settings = registeredCollections[
+            contractAddress
+        ].settings;
+        require(
+            price >= settings.minPrice &&
+                (settings.maxPrice == 0 || price <= settings.maxPrice),
+            "Price out of the collection range"
+        );
+    }
+
+    /**
+     * @dev Check that the NFTs of an order can still be sold, that are
+     * all the items of the bundle if it is a bundle order
+     *
+     * @param orderId ID of the order to check
+     */
+    function _checkOrderCollections(uint256 orderId) internal view {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.orderType != OrderType.Bundle) {
+            _checkCollection(order.nftType, order.tokenContractAddress);
+            return;
+        }
+
+        BundleItem[] storage items = bundleItems[orderId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _checkCollection(items[i].nftType, items[i].tokenContractAddress);
+        }
+    }
+
+    /**
+     * @dev Check that the price of an order is within the price range of
+     * its collection, that for a bundle order is the range of the
+     * collection of each item applied to the bundle price divided across
+     * all the copies of the bundle
+     *
+     * @param orderId ID of the order to check
+     * @param price price of the order
+     */
+    function _checkOrderPrice(uint256 orderId, uint256 price) internal view {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.orderType != OrderType.Bundle) {
+            _checkCollectionPrice(order.tokenContractAddress, price);
+            return;
+        }
+
+        BundleItem[] storage items = bundleItems[orderId];
+        uint256 copies = 0;
+        for (uint256 i = 0; i < items.length; i++) {
+            copies += items[i].amount;
+        }
+        for (uint256 i = 0; i < items.length; i++) {
+            _checkCollectionPrice(items[i].tokenContractAddress, price / copies);
+        }
+    }
+
+    /**
+     * @dev get the protocol fee and the royalty applied to the sales of
+     * a collection, taking into account the collection overrides (the
+     * protocol fee is 0 while the treasury wallet is not set)
+     *
+     * @param contractAddress address of the sold token smart contract
+     *
+     * @return terms the fee and royalty terms of the sale
+     */
+    function _getSaleTerms(address contractAddress)
+        internal
+        view
+        returns (MarketplacePayments.SaleTerms memory terms)
+    {
+        CollectionSettings storage settings = registeredCollections[
+            contractAddress
+        ].settings;
+        // No protocol fee is taken without a treasury wallet to receive it
+        if (treasuryWallet != address(0)) {
+            terms.feeBps = settings.hasFeeOverride
+                ? settings.feeBps
+                : protocolFeeBps;
+        }
+        terms.hasRoyaltyOverride = settings.hasRoyaltyOverride;
+        terms.royaltyReceiver = settings.royaltyReceiver;
+        terms.royaltyBps = settings.royaltyBps;
+    }
+
+    /**
+     * @dev Pay the SNOW tokens of a sale. If the seller is the zero
+     * address (sale made by an orders manager) all the tokens are burned,
+     * otherwise the protocol fee is sent to the treasury wallet, the
+     * royalty to the ERC2981 royalty receiver (if the token contract
+     * supports royalties) and the remaining tokens to the seller. The
+     * fee and royalty overrides of the collection replace the defaults.
+     *
+     * @param payer wallet whose SNOW tokens are spent (the marketplace
+     * itself if the tokens are escrowed)
+     * @param seller wallet that receives the sale proceeds
+     * @param contractAddress address of the sold token smart contract
+     * @param tokenId ID of the sold token
+     * @param totalPrice total number of SNOW tokens paid
+     *
+     * Note: the sales made by an orders manager are primary sales, so
+     * they are exempt from the protocol fee and from the royalties
+     * (including the overrides of the collection) and no SalePaymentSplit
+     * event is emitted for them.
+     */
+    function _paySale(
+        address payer,
+        address seller,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 totalPrice
+    ) internal {
+        if (seller == address(0)) {
+            ISnowTracker(snowSoftTokenAddress).spendFrom(
+                payer,
+                address(0),
+                totalPrice
+            );
+            return;
+        }
+
+        MarketplacePayments.SaleSplit memory split = MarketplacePayments
+            .paySnowSale(
+                snowSoftTokenAddress,
+                payer,
+                seller,
+                treasuryWallet,
+                _getSaleTerms(contractAddress),
+                contractAddress,
+                tokenId,
+                totalPrice
+            );
+
+        totalFeesCollected = totalFeesCollected + split.protocolFee;
+        totalRoyaltiesPaid = totalRoyaltiesPaid + split.royalty;
+
+        emit SalePaymentSplit(
+            contractAddress,
+            tokenId,
+            seller,
+            split.protocolFee,
+            split.royaltyReceiver,
+            split.royalty,
+            split.sellerProceeds,
+            block.number
+        );
+    }
+}
@@ -0,0 +1,1249 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "./SnowMarketplaceBase.sol";
+import "./MarketplaceSignatures.sol";
+
+/**
+ * @dev Extension of the SnowMarketplace contract that implements the
+ * orders price updates, the restricted orders, the bundle orders, the
+ * swap orders, the signed listings fulfillment, the English auctions,
+ * the Dutch auctions and the offers.
+ *
+ * The extension is deployed on its own and the SnowMarketplace executes
+ * its functions through a delegatecall, so that they run on the
+ * marketplace storage (see {SnowMarketplaceBase}). This keeps the
+ * marketplace bytecode under the contract size limit. The extension
+ * must not be used directly, since its own storage is never initialized.
+ */
+contract SnowMarketplaceExtension is SnowMarketplaceBase {
+    //------------------------------------------------------------------//
+    //-------------------- Constructor ---------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Contract constructor
+     *
+     * @param _maxActiveOrdesAmount max number of concurrent active orders
+     * in the marketplace (must be the same value of the marketplace)
+     */
+    constructor(uint256 _maxActiveOrdesAmount)
+        SnowMarketplaceBase(_maxActiveOrdesAmount)
+    {}
+
+    //------------------------------------------------------------------//
+    //-------------------- Orders management ---------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new MarketOrder that will be placed in the
+     * 'activeOrders' list.
+     *
+     * @param price number of tokens to spend to buy the NFT in this order
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note The function call can't go through if:
+     * 1. the sender doesn't own the NFT that needs to be put on sale
+     * 2. the marketplace is disabled
+     * 3. the sender doesn't have the ORDERS_MANAGER_ROLE role granted
+     * and the open listing mode is disabled
+     *
+     * If the sender doesn't have the ORDERS_MANAGER_ROLE role granted the
+     * order is a peer-to-peer one and the SNOW tokens paid to fulfill it
+     * will be sent to the sender instead of being burned.
+     */
+    function createOrder(
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId
+    )
+        external
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        return
+            _createOrder(
+                OrderType.FixedPrice,
+                price,
+                nftType,
+                contractAddress,
+                tokenId,
+                1,
+                INVALID_BLOCK,
+                INVALID_BLOCK
+            );
+    }
+
+    /**
+     * @dev Create a new MarketOrder that can be fulfilled only inside
+     * the specified blocks range and place it in the 'activeOrders' list.
+     *
+     * @param price number of tokens to spend to buy a single copy
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale (if ERC721 must be 1)
+     * @param startBlock first block at which the order can be fulfilled.
+     * Use INVALID_BLOCK to let the order be fulfilled immediately.
+     * @param expiryBlock last block at which the order can be fulfilled.
+     * Use INVALID_BLOCK to create an order that never expires.
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the expiry block is
+     * already passed or if it is lower than the start block. Once expired
+     * the order can be swept by anyone through {SnowMarketplace-sweepExpiredOrders}.
+     */
+    function createScheduledOrder(
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startBlock,
+        uint256 expiryBlock
+    )
+        external
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        if (expiryBlock != INVALID_BLOCK) {
+            require(
+                expiryBlock >= block.number && expiryBlock >= startBlock,
+                "Invalid order blocks range"
+            );
+        }
+
+        return
+            _createOrder(
+                OrderType.FixedPrice,
+                price,
+                nftType,
+                contractAddress,
+                tokenId,
+                amount,
+                startBlock,
+                expiryBlock
+            );
+    }
+
+    /**
+     * @dev Create in a single transaction an ERC1155 MarketOrder
+     * that puts on sale multiple copies of the same token, where
+     * each copy has the same price.
+     *
+     * @param price Price for a single copy of the token to sell.
+     * @param contractAddress smart contract address of the token to sell
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale in the order.
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the sender is trying
+     * to call it with an amount less than 2 or if the balance of
+     * token copies in the sender wallet is less than the value specified
+     * for the 'amount' parameter
+     */
+    function createBatchERC1155Order(
+        uint256 price,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount
+    )
+        external
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(
+            amount > 1,
+            "Can't create a batch order with less than 2 NFT copies"
+        );
+
+        return
+            _createOrder(
+                OrderType.FixedPrice,
+                price,
+                NftType.ERC1155,
+                contractAddress,
+                tokenId,
+                amount,
+                INVALID_BLOCK,
+                INVALID_BLOCK
+            );
+    }
+
+    /**
+     * @dev Create a new MarketOrder paid with the specified asset instead
+     * of the SNOW soft-token and place it in the 'activeOrders' list.
+     *
+     * @param price number of payment asset units to spend to buy a single copy
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale (if ERC721 must be 1)
+     * @param paymentAsset asset used to pay the order
+     * @param paymentToken ERC20 used to pay the order (must be the zero
+     * address if the order is not paid with an ERC20)
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the ERC20 token must be allowed by a manager (see
+     * {SnowMarketplace-setPaymentTokenAllowed}). The ERC20 and native
+     * currency paid are kept by the marketplace until the receivers
+     * withdraw them (see {SnowMarketplace-withdrawProceeds}).
+     */
+    function createOrderWithPaymentAsset(
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        PaymentAsset paymentAsset,
+        address paymentToken
+    )
+        external
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        if (paymentAsset == PaymentAsset.Erc20) {
+            require(
+                allowedPaymentTokens[paymentToken],
+                "Payment token not allowed"
+            );
+        } else {
+            require(paymentToken == address(0), "Invalid payment token");
+        }
+
+        uint256 orderId = _createOrder(
+            OrderType.FixedPrice,
+            price,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            INVALID_BLOCK,
+            INVALID_BLOCK
+        );
+        _orderDetails[orderId].paymentAsset = paymentAsset;
+        _orderDetails[orderId].paymentToken = paymentToken;
+
+        return orderId;
+    }
+
+    /**
+     * @dev Update the price of an open fixed price or bundle MarketOrder,
+     * keeping its NFTs escrowed and its place in the 'activeOrders' list.
+     * The price change is saved in the order price history.
+     *
+     * @param orderId ID of the order to update
+     * @param newPrice new price of a single copy (of the whole bundle
+     * for bundle orders)
+     *
+     * Note: a peer-to-peer order can be updated only by its maker, while
+     * the other orders can be updated by any wallet with the
+     * ORDERS_MANAGER_ROLE role granted (see {SnowMarketplace-cancelOrder}).
+     * Reverts if the order is not open, if it is not a fixed price or
+     * bundle order or if the new price is 0. The takers can protect
+     * themselves from a price update through
+     * {SnowMarketplace-fulfillOrderAtMaxPrice}.
+     */
+    function updateOrderPrice(uint256 orderId, uint256 newPrice) external {
+        MarketOrder storage order = _orderDetails[orderId];
+        if (order.isPeerToPeer) {
+            require(
+                order.maker == _msgSender(),
+                "Only the maker can update this order"
+            );
+        } else {
+            _checkRole(ORDERS_MANAGER_ROLE);
+        }
+
+        require(
+            order.orderState == OrderState.Open,
+            "The order is not active anymore"
+        );
+        require(
+            order.orderType == OrderType.FixedPrice ||
+                order.orderType == OrderType.Bundle,
+            "Can't update the price of this order type"
+        );
+        require(newPrice > 0, "Can't create a free order");
+        _checkOrderPrice(orderId, newPrice);
+
+        uint256 oldPrice = order.price;
+        _orderDetails[orderId].price = newPrice;
+        orderPriceHistory[orderId].push(
+            PriceChange(oldPrice, newPrice, _msgSender(), block.number)
+        );
+
+        emit OrderPriceUpdated(
+            orderId,
+            oldPrice,
+            newPrice,
+            _msgSender(),
+            block.number
+        );
+    }
+
+    /**
+     * @dev Create a new MarketOrder that can be fulfilled only by a
+     * single wallet or by the wallets of an allow list, and place it in
+     * the 'activeOrders' list.
+     *
+     * @param price number of tokens to spend to buy a single copy
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale (if ERC721 must be 1)
+     * @param allowedTaker only wallet that can fulfill the order (zero
+     * address to use the allow list)
+     * @param allowedTakersRoot Merkle root of the allow list, whose leaves
+     * are the hashes of the allowed wallet addresses (zero to use the
+     * single allowed taker)
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: exactly one between the allowed taker and the allow list root
+     * must be specified. The wallets of the allow list fulfill the order
+     * by providing a Merkle proof (see {SnowMarketplace-fulfillOrderWithProof}).
+     */
+    function createRestrictedOrder(
+        uint256 price,
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address allowedTaker,
+        bytes32 allowedTakersRoot
+    )
+        public
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        require(
+            (allowedTaker == address(0)) != (allowedTakersRoot == bytes32(0)),
+            "Specify either an allowed taker or an allow list"
+        );
+
+        uint256 orderId = _createOrder(
+            OrderType.FixedPrice,
+            price,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            INVALID_BLOCK,
+            INVALID_BLOCK
+        );
+        orderRestrictions[orderId] = OrderRestriction(
+            allowedTaker,
+            allowedTakersRoot
+        );
+
+        emit OrderRestricted(
+            orderId,
+            allowedTaker,
+            allowedTakersRoot,
+            block.number
+        );
+
+        return orderId;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Signed listings management ------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Fulfill, partially or totally, a listing signed off-chain by
+     * its maker (EIP-712). The NFT copies are transferred directly from
+     * the maker to the sender, that pays them in SNOW tokens as for a
+     * MarketOrder (see {SnowMarketplace-fulfillOrder}).
+     *
+     * @param listing the listing signed by the maker
+     * @param signature the EIP-712 signature of the listing
+     * @param amount number of copies to buy (if ERC721 the amount is always 1)
+     *
+     * Note The function call can't go through if:
+     * 1. the signature is not valid or the listing has been signed for
+     * another SNOW soft-token contract
+     * 2. the listing nonce has been canceled or the listing is expired
+     * 3. the amount is 0 or greater than the copies still on sale
+     * 4. the maker doesn't own the NFT copies anymore or the marketplace
+     * is not approved to transfer them
+     * 5. the sender is the maker or his SNOW balance is too low
+     * 6. the open listing is not active and the maker is not an orders
+     * manager (as for {SnowMarketplace-createOrder})
+     * 7. the marketplace is disabled
+     */
+    function fulfillSignedListing(
+        SignedListing calldata listing,
+        bytes calldata signature,
+        uint256 amount
+    ) external marketplaceEnabled {
+        require(
+            listing.snowContract == snowSoftTokenAddress,
+            "The listing is not valid for the current SNOW contract"
+        );
+        require(
+            listing.nonce >= minListingNonces[listing.maker],
+            "The listing has been canceled"
+        );
+        require(
+            listing.expiryBlock == INVALID_BLOCK ||
+                block.number <= listing.expiryBlock,
+            "The listing is expired"
+        );
+        require(
+            listing.maker != _msgSender(),
+            "Can't fulfill your own listing"
+        );
+        require(
+            isOpenListingActive ||
+                hasRole(ORDERS_MANAGER_ROLE, listing.maker),
+            "The maker is not allowed to create orders"
+        );
+        _checkCollection(listing.nftType, listing.tokenContractAddress);
+        _checkCollectionPrice(listing.tokenContractAddress, listing.price);
+
+        bytes32 listingHash = MarketplaceSignatures.verifySignedListing(
+            listing,
+            signature
+        );
+        uint256 soldAmount = signedListingSoldAmounts[listingHash] + amount;
+        require(
+            amount > 0 &&
+                soldAmount <= listing.amount &&
+                (listing.nftType == NftType.ERC1155 || soldAmount == 1),
+            "Invalid amount of copies to buy"
+        );
+
+        // Check that the maker still owns the listed NFT copies
+        if (listing.nftType == NftType.ERC1155) {
+            require(
+                IERC1155(listing.tokenContractAddress).balanceOf(
+                    listing.maker,
+                    listing.tokenId
+                ) >= amount,
+                "The maker doesn't own the listed token anymore"
+            );
+        } else {
+            require(
+                IERC721(listing.tokenContractAddress).ownerOf(
+                    listing.tokenId
+                ) == listing.maker,
+                "The maker doesn't own the listed token anymore"
+            );
+        }
+
+        // Update the copies sold (reduce reentrancy risks)
+        signedListingSoldAmounts[listingHash] = soldAmount;
+        _recordCollectionPurchase(listing.tokenContractAddress, amount);
+        uint256 totalPrice = listing.price * amount;
+        totalTokensSpent = totalTokensSpent + totalPrice;
+        _recordSale(
+            listing.tokenContractAddress,
+            listing.tokenId,
+            _msgSender(),
+            amount,
+            totalPrice
+        );
+
+        _paySale(
+            _msgSender(),
+            hasRole(ORDERS_MANAGER_ROLE, listing.maker)
+                ? address(0)
+                : listing.maker,
+            listing.tokenContractAddress,
+            listing.tokenId,
+            totalPrice
+        );
+        _transferNfts(
+            listing.nftType,
+            listing.tokenContractAddress,
+            listing.maker,
+            _msgSender(),
+            listing.tokenId,
+            amount
+        );
+
+        emit SignedListingFulfilled(
+            listingHash,
+            listing.maker,
+            _msgSender(),
+            amount,
+            block.number
+        );
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Bundle orders management --------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new bundle MarketOrder, that sells at a single price
+     * a list of NFTs that can belong to different contracts, and place it
+     * in the 'activeOrders' list. All the items are escrowed by the
+     * marketplace and they are transferred together to the buyer.
+     *
+     * @param price number of tokens to spend to buy the whole bundle
+     * @param items list of the NFTs to sell in the bundle
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the bundle has less than
+     * 2 or more than MAX_BUNDLE_ITEMS items, if an item has 0 copies (or
+     * more than 1 if it is an ERC721) or if the sender doesn't own all the
+     * items, or if the bundle price divided across all its copies is out
+     * of the price range of the collection of an item. A bundle order
+     * doesn't pay royalties, since its items can belong to different
+     * contracts.
+     */
+    function createBundleOrder(uint256 price, BundleItem[] calldata items)
+        public
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(
+            items.length > 1 && items.length <= MAX_BUNDLE_ITEMS,
+            "Invalid number of bundle items"
+        );
+        require(price > 0, "Can't create a free order");
+
+        uint256 orderId = _storeOrder(
+            OrderType.Bundle,
+            price,
+            NftType.ERC1155,
+            address(0),
+            0,
+            1,
+            INVALID_BLOCK,
+            INVALID_BLOCK
+        );
+
+        for (uint256 i = 0; i < items.length; i++) {
+            BundleItem calldata item = items[i];
+            require(
+                item.amount > 0 &&
+                    (item.nftType == NftType.ERC1155 || item.amount == 1),
+                "Invalid amount of bundle item copies"
+            );
+            _checkCollection(item.nftType, item.tokenContractAddress);
+            _checkNftsOwnership(
+                item.nftType,
+                item.tokenContractAddress,
+                item.tokenId,
+                item.amount
+            );
+            bundleItems[orderId].push(item);
+            _transferNfts(
+                item.nftType,
+                item.tokenContractAddress,
+                _msgSender(),
+                address(this),
+                item.tokenId,
+                item.amount
+            );
+        }
+        _checkOrderPrice(orderId, price);
+
+        emit OrderCreated(orderId, _msgSender(), block.number);
+
+        return orderId;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Swap orders management ----------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new swap MarketOrder, that exchanges the escrowed NFT
+     * copies with the NFT copies wanted by the maker, and place it in the
+     * 'activeOrders' list. The swap can include a SNOW top-up paid by the
+     * maker (escrowed until the order is fulfilled or canceled) or by
+     * the taker.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be swapped belongs
+     * @param tokenId ID of the token to swap
+     * @param amount number of token copies to swap (if ERC721 must be 1)
+     * @param terms asset wanted in exchange and optional SNOW top-up
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the wanted contract is
+     * the zero address, if the wanted amount is not valid or if both the
+     * maker and the taker top-ups are greater than 0.
+     */
+    function createSwapOrder(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        SwapTerms calldata terms
+    )
+        public
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        require(
+            terms.wantedContractAddress != address(0) &&
+                terms.wantedAmount > 0 &&
+                (terms.wantedNftType == NftType.ERC1155 ||
+                    terms.wantedAmount == 1),
+            "Invalid wanted asset"
+        );
+        require(
+            terms.makerTopUp == 0 || terms.takerTopUp == 0,
+            "Only one side can pay a top-up"
+        );
+
+        _checkNftsOwnership(nftType, contractAddress, tokenId, amount);
+        _checkCollection(nftType, contractAddress);
+        _checkCollection(terms.wantedNftType, terms.wantedContractAddress);
+        uint256 orderId = _storeOrder(
+            OrderType.Swap,
+            terms.takerTopUp,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            INVALID_BLOCK,
+            INVALID_BLOCK
+        );
+        swapDetails[orderId] = terms;
+        if (terms.isAnyTokenId) {
+            swapDetails[orderId].wantedTokenId = 0;
+        }
+
+        if (terms.makerTopUp > 0) {
+            // Escrow the top-up paid by the maker
+            totalTokensEscrowed = totalTokensEscrowed + terms.makerTopUp;
+            ISnowTracker(snowSoftTokenAddress).spendFrom(
+                _msgSender(),
+                address(this),
+                terms.makerTopUp
+            );
+        }
+        _transferNfts(
+            nftType,
+            contractAddress,
+            _msgSender(),
+            address(this),
+            tokenId,
+            amount
+        );
+
+        emit OrderCreated(orderId, _msgSender(), block.number);
+
+        return orderId;
+    }
+
+    /**
+     * @dev Fulfill a swap order by giving the wanted NFT copies to the
+     * maker in exchange for the escrowed ones. The taker top-up is paid
+     * to the maker like a sale (see {_paySale}), so the protocol fee and
+     * the royalties of the escrowed NFT apply to it, while the escrowed
+     * maker top-up is transferred to the sender in full (the maker is the
+     * buyer of the wanted NFT, so no fee or royalty is due on his side).
+     *
+     * @param orderId ID of the swap order
+     * @param tokenId ID of the token to give (must be the wanted one if
+     * the order doesn't accept any token of the wanted contract)
+     *
+     * Note The function call can't go through if:
+     * 1. the order is not an open swap order
+     * 2. the token to give is not the wanted one, the sender doesn't own
+     * the wanted copies or the marketplace is not approved to transfer them
+     * 3. the sender is the maker of the order
+     * 4. the sender SNOW balance is lower than the taker top-up
+     * 5. the marketplace is disabled
+     */
+    function fulfillSwapOrder(uint256 orderId, uint256 tokenId)
+        external
+        marketplaceEnabled
+    {
+        MarketOrder storage order = _orderDetails[orderId];
+        SwapTerms storage terms = swapDetails[orderId];
+
+        require(
+            order.orderState == OrderState.Open &&
+                order.orderType == OrderType.Swap,
+            "The order is not an active swap"
+        );
+        require(
+            terms.isAnyTokenId || terms.wantedTokenId == tokenId,
+            "This token is not the one wanted by the swap"
+        );
+        require(order.maker != _msgSender(), "Can't fulfill your own order");
+        _checkOrderCollections(orderId);
+        _checkCollection(terms.wantedNftType, terms.wantedContractAddress);
+        _checkNftsOwnership(
+            terms.wantedNftType,
+            terms.wantedContractAddress,
+            tokenId,
+            terms.wantedAmount
+        );
+
+        // Update order details (reduce reentrancy risks)
+        _removeActiveOrder(orderId);
+        _orderDetails[orderId].remainingAmount = 0;
+        _orderDetails[orderId].orderState = OrderState.Closed;
+        _orderDetails[orderId].filledAtBlock = block.number;
+        _orderDetails[orderId].paidPrice = order.price;
+        _orderDetails[orderId].taker = _msgSender();
+        takerOrderIds[_msgSender()].push(orderId);
+        ordersFullfilled = ordersFullfilled + 1;
+
+        // Pay the top-up
+        if (order.price > 0) {
+            _paySale(
+                _msgSender(),
+                order.isPeerToPeer ? order.maker : address(0),
+                order.tokenContractAddress,
+                order.tokenId,
+                order.price
+            );
+            totalTokensSpent = totalTokensSpent + order.price;
+        } else if (terms.makerTopUp > 0) {
+            totalTokensEscrowed = totalTokensEscrowed - terms.makerTopUp;
+            ISnowTracker(snowSoftTokenAddress).spendFrom(
+                address(this),
+                _msgSender(),
+                terms.makerTopUp
+            );
+            totalTokensSpent = totalTokensSpent + terms.makerTopUp;
+        }
+
+        // Swap the NFTs
+        _transferNfts(
+            terms.wantedNftType,
+            terms.wantedContractAddress,
+            _msgSender(),
+            order.maker,
+            tokenId,
+            terms.wantedAmount
+        );
+        _transferOrderNfts(orderId, _msgSender(), order.amount);
+
+        emit OrderFulfilled(orderId, _msgSender(), block.number);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Auctions management -------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new English auction MarketOrder, settled in SNOW
+     * tokens, and place it in the 'activeOrders' list. All the copies
+     * of the auction are sold together to the highest bidder.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be auctioned belongs
+     * @param tokenId ID of the token to auction
+     * @param amount number of token copies to auction (if ERC721 must be 1)
+     * @param reservePrice min amount of tokens accepted as first bid
+     * @param minBidIncrement min amount of tokens to add to the highest
+     * bid in order to outbid it
+     * @param endBlock last block at which a bid can be placed
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the end block is
+     * already passed or if the min bid increment is equal to 0
+     */
+    function createAuctionOrder(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 endBlock
+    )
+        public
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        require(endBlock > block.number, "Invalid auction end block");
+        require(minBidIncrement > 0, "Min bid increment can't be 0");
+
+        uint256 orderId = _createOrder(
+            OrderType.EnglishAuction,
+            reservePrice,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            INVALID_BLOCK,
+            INVALID_BLOCK
+        );
+
+        auctionDetails[orderId] = Auction(
+            minBidIncrement,
+            endBlock,
+            0,
+            address(0)
+        );
+
+        return orderId;
+    }
+
+    /**
+     * @dev Place a bid on a running auction. The bid amount is escrowed
+     * in this contract and the previous highest bidder is refunded.
+     *
+     * @param orderId ID of the auction MarketOrder
+     * @param amount number of SNOW tokens to bid
+     *
+     * Note The function call can't go through if:
+     * 1. the order is not an open auction or its end block is passed
+     * 2. the bid is lower than the reserve price (first bid) or than
+     * the highest bid plus the min bid increment
+     * 3. the sender is the maker of the auction
+     * 4. the sender SNOW balance is lower than the bid amount
+     * 5. the marketplace is disabled
+     */
+    function placeBid(uint256 orderId, uint256 amount)
+        external
+        marketplaceEnabled
+    {
+        MarketOrder storage order = _orderDetails[orderId];
+        Auction memory auction = auctionDetails[orderId];
+
+        require(
+            order.orderType == OrderType.EnglishAuction &&
+                order.orderState == OrderState.Open,
+            "The auction is not active"
+        );
+        require(block.number <= auction.endBlock, "The auction is ended");
+        require(order.maker != _msgSender(), "Can't bid on your own auction");
+        _checkOrderCollections(orderId);
+
+        if (auction.highestBidder == address(0)) {
+            require(amount >= order.price, "Bid lower than the reserve price");
+        } else {
+            require(
+                amount >= auction.highestBid + auction.minBidIncrement,
+                "Bid lower than the min required"
+            );
+        }
+
+        // Update auction details (reduce reentrancy risks)
+        auctionDetails[orderId].highestBid = amount;
+        auctionDetails[orderId].highestBidder = _msgSender();
+        totalTokensEscrowed = totalTokensEscrowed + amount - auction.highestBid;
+
+        // Escrow the new bid and refund the previous highest bidder
+        ISnowTracker tracker = ISnowTracker(snowSoftTokenAddress);
+        tracker.spendFrom(_msgSender(), address(this), amount);
+        if (auction.highestBidder != address(0)) {
+            tracker.spendFrom(
+                address(this),
+                auction.highestBidder,
+                auction.highestBid
+            );
+        }
+
+        emit BidPlaced(orderId, _msgSender(), amount, block.number);
+    }
+
+    /**
+     * @dev Settle an auction after its end block. The auctioned NFT
+     * copies are sent to the highest bidder and the escrowed bid is
+     * burned or sent to the maker if it is a peer-to-peer order.
+     * If no bids have been placed the NFT copies are sent back to
+     * the maker. Anyone can call this function.
+     *
+     * @param orderId ID of the auction MarketOrder to settle
+     *
+     * Note: reverts if the order is not an open auction or if its
+     * end block has not been passed yet. If the highest bidder can't
+     * receive the NFT copies (e.g. a contract that rejects them) the
+     * auction is settled anyway and the copies stay escrowed until the
+     * highest bidder claims them (see
+     * {SnowMarketplaceAdminExtension-claimAuctionNfts}).
+     */
+    function settleAuction(uint256 orderId) external {
+        MarketOrder storage order = _orderDetails[orderId];
+        Auction memory auction = auctionDetails[orderId];
+
+        require(
+            order.orderType == OrderType.EnglishAuction &&
+                order.orderState == OrderState.Open,
+            "The auction is not active"
+        );
+        require(block.number > auction.endBlock, "The auction is not ended");
+
+        if (auction.highestBidder == address(0)) {
+            _closeOrder(orderId, OrderState.Expired);
+            emit OrderCanceledWithReason(
+                orderId,
+                _msgSender(),
+                UNSOLD_REASON,
+                block.number
+            );
+            return;
+        }
+
+        // Update order details (reduce reentrancy risks)
+        uint256 soldAmount = order.remainingAmount;
+        _removeActiveOrder(orderId);
+        _orderDetails[orderId].orderState = OrderState.Closed;
+        _orderDetails[orderId].remainingAmount = 0;
+        _orderDetails[orderId].filledAtBlock = block.number;
+        _orderDetails[orderId].taker = auction.highestBidder;
+        _orderDetails[orderId].paidPrice = auction.highestBid;
+        takerOrderIds[auction.highestBidder].push(orderId);
+        totalTokensEscrowed = totalTokensEscrowed - auction.highestBid;
+
+        // Pay the escrowed bid
+        _paySale(
+            address(this),
+            order.isPeerToPeer ? order.maker : address(0),
+            order.tokenContractAddress,
+            order.tokenId,
+            auction.highestBid
+        );
+
+        // Transfer the auctioned NFT copies or keep them for the winner
+        if (
+            !_tryTransferEscrowedNfts(
+                order.nftType,
+                order.tokenContractAddress,
+                auction.highestBidder,
+                order.tokenId,
+                soldAmount
+            )
+        ) {
+            unclaimedAuctionWinners[orderId] = auction.highestBidder;
+            emit AuctionNftsUnclaimed(
+                orderId,
+                auction.highestBidder,
+                block.number
+            );
+        }
+
+        ordersFullfilled = ordersFullfilled + 1;
+        totalTokensSpent = totalTokensSpent + auction.highestBid;
+        _recordSale(
+            order.tokenContractAddress,
+            order.tokenId,
+            auction.highestBidder,
+            soldAmount,
+            auction.highestBid
+        );
+
+        emit OrderFulfilled(orderId, auction.highestBidder, block.number);
+    }
+
+    /**
+     * @dev Create a new Dutch auction MarketOrder, where the price of a
+     * single copy decreases linearly from a start price to a floor price
+     * between two blocks, and place it in the 'activeOrders' list.
+     * The order can be fulfilled, also partially, from the decay start
+     * block at the current price (see {SnowMarketplace-getCurrentPrice}).
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract to which the NFT
+     * to be sold belongs
+     * @param tokenId ID of the token to sell
+     * @param amount number of token copies to put on sale (if ERC721 must be 1)
+     * @param startPrice price of a single copy at the decay start block
+     * @param floorPrice price of a single copy from the decay end block
+     * @param decayStartBlock block at which the price starts to decrease
+     * @param decayEndBlock block at which the price reaches the floor price
+     *
+     * @return the ID of the MarketOrder created
+     *
+     * Note: the transaction will be reverted if the floor price is 0 or
+     * greater than the start price or if the decay blocks range is empty
+     */
+    function createDutchAuctionOrder(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 decayStartBlock,
+        uint256 decayEndBlock
+    )
+        public
+        canCreateOrders
+        marketplaceEnabled
+        returns (uint256)
+    {
+        require(amount > 0, "Can't create an order with 0 NFT copies");
+        require(
+            nftType == NftType.ERC1155 || amount == 1,
+            "Can't sell more than 1 copy of an ERC721 token"
+        );
+        require(
+            floorPrice > 0 && floorPrice <= startPrice,
+            "Invalid Dutch auction prices"
+        );
+        require(
+            decayStartBlock < decayEndBlock,
+            "Invalid Dutch auction blocks range"
+        );
+        _checkCollectionPrice(contractAddress, floorPrice);
+
+        uint256 orderId = _createOrder(
+            OrderType.DutchAuction,
+            startPrice,
+            nftType,
+            contractAddress,
+            tokenId,
+            amount,
+            decayStartBlock,
+            INVALID_BLOCK
+        );
+
+        dutchAuctionDetails[orderId] = DutchAuction(
+            floorPrice,
+            decayStartBlock,
+            decayEndBlock
+        );
+
+        return orderId;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Offers management ---------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Create a new Offer to buy a single copy of a specific token,
+     * or of any token of a contract, escrowing the offered SNOW tokens
+     * in this contract until the offer is accepted or canceled.
+     *
+     * @param nftType could be either NftType.ERC1155 or NftType.ERC721
+     * @param contractAddress address of the contract of the wanted token
+     * @param tokenId ID of the wanted token (ignored for collection offers)
+     * @param isCollectionOffer 'true' if any token of the contract can be
+     * sold to fulfill the offer, 'false' otherwise
+     * @param price number of tokens offered for a single copy
+     * @param expiryBlock last block at which the offer can be accepted
+     *
+     * @return the ID of the Offer created
+     *
+     * Note The function call can't go through if:
+     * 1. the price is 0 or the expiry block is already passed
+     * 2. the sender SNOW balance is lower than the offered price
+     * 3. the marketplace is disabled
+     */
+    function createOffer(
+        NftType nftType,
+        address contractAddress,
+        uint256 tokenId,
+        bool isCollectionOffer,
+        uint256 price,
+        uint256 expiryBlock
+    ) external marketplaceEnabled returns (uint256) {
+        require(price > 0, "Can't create a free offer");
+        require(expiryBlock > block.number, "Invalid offer expiry block");
+        _checkCollection(nftType, contractAddress);
+        _checkCollectionPrice(contractAddress, price);
+
+        // Calculate offer ID and increase counter
+        uint256 offerId = currentOfferId;
+        currentOfferId += 1;
+
+        _offerDetails[offerId] = Offer(
+            offerId,
+            nftType,
+            contractAddress,
+            isCollectionOffer ? 0 : tokenId,
+            isCollectionOffer,
+            price,
+            expiryBlock,
+            OrderState.Open,
+            INVALID_BLOCK,
+            0,
+            _msgSender(),
+            address(0)
+        );
+        totalTokensEscrowed = totalTokensEscrowed + price;
+
+        // Escrow the offered tokens
+        ISnowTracker(snowSoftTokenAddress).spendFrom(
+            _msgSender(),
+            address(this),
+            price
+        );
+
+        emit OfferCreated(offerId, _msgSender(), block.number);
+
+        return offerId;
+    }
+
+    /**
+     * @dev Cancel an open Offer and refund the escrowed tokens to
+     * the bidder.
+     *
+     * @param offerId ID of the offer to cancel
+     *
+     * Note: an offer can be canceled by its bidder at any time, while
+     * anyone can cancel it once it is expired.
+     */
+    function cancelOffer(uint256 offerId) external {
+        Offer storage offer = _offerDetails[offerId];
+
+        require(
+            offer.offerState == OrderState.Open,
+            "The offer is not active anymore"
+        );
+        require(
+            offer.bidder == _msgSender() || block.number > offer.expiryBlock,
+            "Only the bidder can cancel this offer"
+        );
+
+        // Update offer details (reduce reentrancy risks)
+        _offerDetails[offerId].offerState = block.number > offer.expiryBlock
+            ? OrderState.Expired
+            : OrderState.Cancelled;
+        totalTokensEscrowed = totalTokensEscrowed - offer.price;
+
+        // Refund the escrowed tokens
+        ISnowTracker(snowSoftTokenAddress).spendFrom(
+            address(this),
+            offer.bidder,
+            offer.price
+        );
+
+        emit OfferCanceled(offerId, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev Accept an open Offer by selling a copy of the wanted token.
+     * The token is transferred from the sender to the bidder and the
+     * escrowed tokens are sent to the sender (or burned if the sender
+     * has been granted the ORDERS_MANAGER_ROLE role).
+     *
+     * @param offerId ID of the offer to accept
+     * @param tokenId ID of the token to sell (must be the wanted one
+     * if the offer is not a collection offer)
+     *
+     * Note The function call can't go through if:
+     * 1. the offer is not open or it is expired
+     * 2. the token to sell is not the wanted one
+     * 3. the sender doesn't own the token or the marketplace is not
+     * approved to transfer it
+     * 4. the sender is not allowed to create orders
+     * 5. the marketplace is disabled
+     */
+    function acceptOffer(uint256 offerId, uint256 tokenId)
+        external
+        canCreateOrders
+        marketplaceEnabled
+    {
+        Offer storage offer = _offerDetails[offerId];
+
+        require(
+            offer.offerState == OrderState.Open,
+            "The offer is not active anymore"
+        );
+        require(block.number <= offer.expiryBlock, "The offer is expired");
+        require(
+            offer.isCollectionOffer || offer.tokenId == tokenId,
+            "This token is not the one wanted by the offer"
+        );
+        require(offer.bidder != _msgSender(), "Can't accept your own offer");
+        _checkCollection(offer.nftType, offer.tokenContractAddress);
+
+        // Update offer details (reduce reentrancy risks)
+        _offerDetails[offerId].offerState = OrderState.Closed;
+        _offerDetails[offerId].acceptedAtBlock = block.number;
+        _offerDetails[offerId].acceptedTokenId = tokenId;
+        _offerDetails[offerId].seller = _msgSender();
+        totalTokensEscrowed = totalTokensEscrowed - offer.price;
+
+        // Pay the escrowed tokens
+        _paySale(
+            address(this),
+            hasRole(ORDERS_MANAGER_ROLE, _msgSender())
+                ? address(0)
+                : _msgSender(),
+            offer.tokenContractAddress,
+            tokenId,
+            offer.price
+        );
+
+        // Transfer the sold token to the bidder
+        _transferNfts(
+            offer.nftType,
+            offer.tokenContractAddress,
+            _msgSender(),
+            offer.bidder,
+            tokenId,
+            1
+        );
+
+        totalTokensSpent = totalTokensSpent + offer.price;
+        _recordSale(
+            offer.tokenContractAddress,
+            tokenId,
+            offer.bidder,
+            1,
+            offer.price
+        );
+
+        emit OfferAccepted(offerId, _msgSender(), block.number);
+    }
+}
@@ -0,0 +1,463 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "./SnowMarketplace.sol";
+
+/**
+ * @dev Read-only companion of the SnowMarketplace contract that lets
+ * a frontend query the full MarketOrder details with offset/limit
+ * pagination and filters, without calling {SnowMarketplace-orderDetails}
+ * once per order ID.
+ *
+ * The queries live in a separate contract to keep the marketplace
+ * bytecode under the contract size limit: all the functions are views
+ * meant to be called off-chain.
+ *
+ * ----- Pagination -----
+ *
+ * The 'offset' and 'limit' parameters are applied to the orders that
+ * match the filter: the first 'offset' matching orders are skipped and
+ * at most 'limit' orders are returned. A returned array shorter than
+ * 'limit' means that there are no more matching orders.
+ *
+ * The orders history is paginated with a cursor instead (see
+ * {getOrders}), so that a single query never scans more than
+ * MAX_SCANNED_ORDERS orders.
+ */
+contract SnowMarketplaceLens {
+    //------------------------------------------------------------------//
+    //---------------------- Enumerators and structs -------------------//
+    //------------------------------------------------------------------//
+
+    struct OrderFilter {
+        bool filterNftType; // true to return only the orders with the specified NFT type
+        SnowMarketplace.NftType nftType;
+        address tokenContractAddress; // zero address to return the orders of any contract
+        address maker; // zero address to return the orders of any maker
+        uint256 minPrice; // min price of a single copy (0 for no min price)
+        uint256 maxPrice; // max price of a single copy (0 for no max price)
+        bool filterOrderState; // true to return only the orders in the specified state
+        SnowMarketplace.OrderState orderState;
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- Contract immutables -----------------------//
+    //------------------------------------------------------------------//
+
+    SnowMarketplace public immutable marketplace; // Marketplace to query
+
+    uint256 public constant MAX_SCANNED_ORDERS = 500; // Max orders scanned by a single {getOrders} query
+
+    //------------------------------------------------------------------//
+    //-------------------- Constructor ---------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Contract constructor
+     *
+     * @param marketplaceAddress address of the SnowMarketplace to query
+     */
+    constructor(address marketplaceAddress) {
+        require(
+            marketplaceAddress != address(0),
+            "Marketplace address can't be the zero address"
+        );
+        marketplace = SnowMarketplace(marketplaceAddress);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Orders queries ------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the details of the current active orders that match a filter
+     *
+     * @param filter filter to apply to the active orders
+     * @param offset number of matching orders to skip
+     * @param limit max number of orders to return
+     *
+     * @return the list of the matching MarketOrders
+     */
+    function getActiveOrders(
+        OrderFilter calldata filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (SnowMarketplace.MarketOrder[] memory) {
+        return
+            _filterOrders(
+                marketplace.getActiveOrderIds(),
+                filter,
+                offset,
+                limit
+            );
+    }
+
+    /**
+     * @dev get the details of the orders ever created that match a
+     * filter, ordered by ID, scanning at most MAX_SCANNED_ORDERS orders
+     * starting from the cursor
+     *
+     * @param filter filter to apply to the orders
+     * @param cursor ID of the first order to scan (0 for the first page)
+     * @param limit max number of orders to return
+     *
+     * @return orders the list of the matching MarketOrders
+     * @return nextCursor ID of the first order to scan for the next page
+     * (equal to {SnowMarketplace-currentOrderId} when all the orders have
+     * been scanned)
+     *
+     * Note: a page can contain less than 'limit' orders also if there are
+     * more matching orders after the scanned ones, so the pages must be
+     * requested until 'nextCursor' reaches the number of orders created
+     */
+    function getOrders(
+        OrderFilter calldata filter,
+        uint256 cursor,
+        uint256 limit
+    )
+        external
+        view
+        returns (SnowMarketplace.MarketOrder[] memory orders, uint256 nextCursor)
+    {
+        uint256 ordersNumber = marketplace.currentOrderId();
+        if (cursor >= ordersNumber) {
+            return (orders, ordersNumber);
+        }
+
+        uint256 scannedOrders = ordersNumber - cursor;
+        if (scannedOrders > MAX_SCANNED_ORDERS) {
+            scannedOrders = MAX_SCANNED_ORDERS;
+        }
+        uint256[] memory orderIds = new uint256[](scannedOrders);
+        for (uint256 i = 0; i < scannedOrders; i++) {
+            orderIds[i] = cursor + i;
+        }
+
+        orders = _filterOrders(orderIds, filter, 0, limit);
+        // Restart after the last returned order if the page is full
+        nextCursor = limit > 0 && orders.length == limit
+            ? orders[limit - 1].id + 1
+            : cursor + scannedOrders;
+    }
+
+    /**
+     * @dev get the details of the orders created by a maker, from the
+     * oldest to the newest one
+     *
+     * @param maker wallet address of the maker
+     * @param offset number of orders to skip
+     * @param limit max number of orders to return
+     *
+     * @return the list of the MarketOrders created by the maker
+     */
+    function getMakerOrders(
+        address maker,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (SnowMarketplace.MarketOrder[] memory) {
+        uint256 ordersNumber = marketplace.getMakerOrdersCount(maker);
+        uint256 resultLength = _getPageLength(ordersNumber, offset, limit);
+
+        SnowMarketplace.MarketOrder[]
+            memory orders = new SnowMarketplace.MarketOrder[](resultLength);
+        for (uint256 i = 0; i < resultLength; i++) {
+            orders[i] = marketplace.orderDetails(
+                marketplace.makerOrderIds(maker, offset + i)
+            );
+        }
+
+        return orders;
+    }
+
+    /**
+     * @dev get the details of the orders bought by a taker, from the
+     * oldest to the newest purchase. An order partially bought more
+     * than once by the same taker is returned once per purchase.
+     *
+     * @param taker wallet address of the taker
+     * @param offset number of purchases to skip
+     * @param limit max number of orders to return
+     *
+     * @return the list of the MarketOrders bought by the taker
+     */
+    function getTakerOrders(
+        address taker,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (SnowMarketplace.MarketOrder[] memory) {
+        uint256 ordersNumber = marketplace.getTakerOrdersCount(taker);
+        uint256 resultLength = _getPageLength(ordersNumber, offset, limit);
+
+        SnowMarketplace.MarketOrder[]
+            memory orders = new SnowMarketplace.MarketOrder[](resultLength);
+        for (uint256 i = 0; i < resultLength; i++) {
+            orders[i] = marketplace.orderDetails(
+                marketplace.takerOrderIds(taker, offset + i)
+            );
+        }
+
+        return orders;
+    }
+
+    /**
+     * @dev get the price changes of an order, from the oldest to the
+     * newest one
+     *
+     * @param orderId ID of the order
+     *
+     * @return the list of the order price changes
+     */
+    function getOrderPriceHistory(uint256 orderId)
+        external
+        view
+        returns (SnowMarketplace.PriceChange[] memory)
+    {
+        uint256 changesNumber = marketplace.getOrderPriceHistoryCount(orderId);
+
+        SnowMarketplace.PriceChange[]
+            memory changes = new SnowMarketplace.PriceChange[](changesNumber);
+        for (uint256 i = 0; i < changesNumber; i++) {
+            (
+                changes[i].oldPrice,
+                changes[i].newPrice,
+                changes[i].updatedBy,
+                changes[i].atBlock
+            ) = marketplace.orderPriceHistory(orderId, i);
+        }
+
+        return changes;
+    }
+
+    /**
+     * @dev get the NFTs sold together in a bundle order
+     *
+     * @param orderId ID of the bundle order
+     *
+     * @return the list of the bundle items (empty if not a bundle order)
+     */
+    function getBundleItems(uint256 orderId)
+        external
+        view
+        returns (SnowMarketplace.BundleItem[] memory)
+    {
+        uint256 itemsNumber = marketplace.getBundleItemsCount(orderId);
+
+        SnowMarketplace.BundleItem[]
+            memory items = new SnowMarketplace.BundleItem[](itemsNumber);
+        for (uint256 i = 0; i < itemsNumber; i++) {
+            (
+                items[i].nftType,
+                items[i].tokenContractAddress,
+                items[i].tokenId,
+                items[i].amount
+            ) = marketplace.bundleItems(orderId, i);
+        }
+
+        return items;
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Statistics queries --------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the floor price of a collection, that is the lowest price
+     * of a single copy among its open orders that can be fulfilled with
+     * SNOW tokens at the current block
+     *
+     * @param contractAddress address of the collection smart contract
+     *
+     * @return the floor price (0 if no order can be fulfilled)
+     *
+     * Note: the auctions, the swaps and the bundle orders are not taken
+     * into account. The other sales statistics are provided by
+     * {SnowMarketplace-getCollectionStats}.
+     */
+    function getCollectionFloorPrice(address contractAddress)
+        external
+        view
+        returns (uint256)
+    {
+        return _getFloorPrice(contractAddress, 0, true);
+    }
+
+    /**
+     * @dev get the floor price of a token, that is the lowest price of
+     * a single copy among its open orders that can be fulfilled with SNOW
+     * tokens at the current block
+     *
+     * @param contractAddress address of the token smart contract
+     * @param tokenId ID of the token
+     *
+     * @return the floor price (0 if no order can be fulfilled)
+     *
+     * Note: the auctions, the swaps and the bundle orders are not taken
+     * into account. The other sales statistics are provided by
+     * {SnowMarketplace-getTokenStats}.
+     */
+    function getTokenFloorPrice(address contractAddress, uint256 tokenId)
+        external
+        view
+        returns (uint256)
+    {
+        return _getFloorPrice(contractAddress, tokenId, false);
+    }
+
+    //------------------------------------------------------------------//
+    //-------------------- Utilities -----------------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev Check if a MarketOrder matches a filter
+     *
+     * @param order the order to check
+     * @param filter the filter to apply
+     *
+     * @return 'true' if the order matches the filter, 'false' otherwise
+     *
+     * Note: the price range is applied to the current price of a single
+     * copy (see {SnowMarketplace-getCurrentPrice}), that for a Dutch
+     * auction is lower than the start price saved in the order
+     */
+    function matchesFilter(
+        SnowMarketplace.MarketOrder memory order,
+        OrderFilter calldata filter
+    ) public view returns (bool) {
+        uint256 price = order.orderType ==
+            SnowMarketplaceBase.OrderType.DutchAuction
+            ? marketplace.getCurrentPrice(order.id)
+            : order.price;
+        return
+            (!filter.filterNftType || order.nftType == filter.nftType) &&
+            (filter.tokenContractAddress == address(0) ||
+                order.tokenContractAddress == filter.tokenContractAddress) &&
+            (filter.maker == address(0) || order.maker == filter.maker) &&
+            price >= filter.minPrice &&
+            (filter.maxPrice == 0 || price <= filter.maxPrice) &&
+            (!filter.filterOrderState ||
+                order.orderState == filter.orderState);
+    }
+
+    /**
+     * @dev get a page of the orders that match a filter
+     *
+     * @param orderIds IDs of the orders to filter
+     * @param filter filter to apply to the orders
+     * @param offset number of matching orders to skip
+     * @param limit max number of orders to return
+     *
+     * @return the list of the matching MarketOrders
+     */
+    function _filterOrders(
+        uint256[] memory orderIds,
+        OrderFilter calldata filter,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (SnowMarketplace.MarketOrder[] memory) {
+        SnowMarketplace.MarketOrder[]
+            memory matchingOrders = new SnowMarketplace.MarketOrder[](
+                _getPageLength(orderIds.length, offset, limit)
+            );
+        uint256 matchesFound = 0;
+        uint256 ordersAdded = 0;
+
+        for (
+            uint256 i = 0;
+            i < orderIds.length && ordersAdded < matchingOrders.length;
+            i++
+        ) {
+            SnowMarketplace.MarketOrder memory order = marketplace.orderDetails(
+                orderIds[i]
+            );
+            if (!matchesFilter(order, filter)) {
+                continue;
+            }
+            if (matchesFound >= offset) {
+                matchingOrders[ordersAdded] = order;
+                ordersAdded += 1;
+            }
+            matchesFound += 1;
+        }
+
+        // Shrink the result to the number of orders actually found
+        assembly {
+            mstore(matchingOrders, ordersAdded)
+        }
+
+        return matchingOrders;
+    }
+
+    /**
+     * @dev get the lowest price of a single copy among the active orders
+     * of a collection (or of one of its tokens) that can be fulfilled
+     * with SNOW tokens at the current block
+     *
+     * @param contractAddress address of the token smart contract
+     * @param tokenId ID of the token (ignored if 'isAnyToken' is 'true')
+     * @param isAnyToken 'true' to consider the orders of any token of the
+     * contract, 'false' otherwise
+     *
+     * @return the floor price (0 if no order can be fulfilled)
+     */
+    function _getFloorPrice(
+        address contractAddress,
+        uint256 tokenId,
+        bool isAnyToken
+    ) private view returns (uint256) {
+        uint256[] memory orderIds = marketplace.getActiveOrderIds();
+        uint256 floorPrice = 0;
+
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            SnowMarketplace.MarketOrder memory order = marketplace.orderDetails(
+                orderIds[i]
+            );
+            if (
+                order.tokenContractAddress != contractAddress ||
+                (!isAnyToken && order.tokenId != tokenId) ||
+                order.paymentAsset != SnowMarketplaceBase.PaymentAsset.Snow ||
+                !marketplace.isOrderFulfillable(orderIds[i])
+            ) {
+                continue;
+            }
+
+            uint256 price = marketplace.getCurrentPrice(orderIds[i]);
+            if (floorPrice == 0 || price < floorPrice) {
+                floorPrice = price;
+            }
+        }
+
+        return floorPrice;
+    }
+
+    /**
+     * @dev get the max number of elements of a page
+     *
+     * @param totalElements number of elements to paginate
+     * @param offset number of elements to skip
+     * @param limit max number of elements of the page
+     *
+     * @return the number of elements in the page
+     */
+    function _getPageLength(
+        uint256 totalElements,
+        uint256 offset,
+        uint256 limit
+    ) private pure returns (uint256) {
+        if (offset >= totalElements) {
+            return 0;
+        }
+        uint256 availableElements = totalElements - offset;
+        return availableElements < limit ? availableElements : limit;
+    }
+}
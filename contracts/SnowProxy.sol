@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+/* Created by 3Tech Studio
+ * @author dev.andreavendrame@gmail.com
+ *
+ *  _____ _____         _       _____ _             _ _
+ * |____ |_   _|       | |     /  ___| |           | (_)
+ *     / / | | ___  ___| |__   \ `--.| |_ _   _  __| |_  ___
+ *     \ \ | |/ _ \/ __| '_ \   `--. \ __| | | |/ _` | |/ _ \
+ * .___/ / | |  __/ (__| | | | /\__/ / |_| |_| | (_| | | (_) |
+ * \____/  \_/\___|\___|_| |_| \____/ \__|\__,_|\__,_|_|\___/
+ *
+ */
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @dev Transparent proxy that holds the storage of the upgradeable
+ * SnowMarketplace and SnowTracker contracts.
+ *
+ * The proxy deploys its own ProxyAdmin, owned by the 'initialOwner'
+ * wallet, that is the only one able to upgrade the implementation
+ * (see {ProxyAdmin-upgradeAndCall}). The ProxyAdmin address is stored in
+ * the ERC1967 admin slot and emitted by the 'AdminChanged' event.
+ */
+contract SnowProxy is TransparentUpgradeableProxy {
+    /**
+     * @dev Contract constructor
+     *
+     * @param implementation address of the first implementation
+     * @param initialOwner owner of the ProxyAdmin that can upgrade the proxy
+     * @param initializerData encoded call to the implementation initializer
+     */
+    constructor(
+        address implementation,
+        address initialOwner,
+        bytes memory initializerData
+    )
+        payable
+        TransparentUpgradeableProxy(
+            implementation,
+            initialOwner,
+            initializerData
+        )
+    {}
+}
@@ -12,8 +12,12 @@
  */
 pragma solidity 0.8.20;
 
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @dev This contract allows to create a soft-token, which means
@@ -21,20 +25,57 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
  * the behavior of an ERC20 token.
  *
  * The aforementioned soft-token can be:
- * 1. Added to the balance of a specified wallet;
+ * 1. Added to the balance of a specified wallet, either permanently, as
+ * a grant lot that expires at a specified block or as a vesting schedule
+ * that unlocks the tokens linearly over a block range;
  * 2. Removed from the balance of a specified wallet;
  * 3. Transferred between two wallet addresses;
- * 4. Spent, by wallet addresses that have been granted the SPENDER_ROLE role.
+ * 4. Spent, by wallet addresses that have been granted the SPENDER_ROLE role,
+ * either by removing them from the supply or by moving them to another wallet;
+ * 5. Spent, by addresses that a holder approved, up to the approved amount
+ * (allowance), in the same two ways.
+ *
+ * The expired grant lots are not part of the balance of a wallet anymore
+ * and anyone can burn them from the supply (see {sweepExpiredTokens}).
+ * The tokens of the grant lots can't be moved to another wallet (through
+ * a transfer, a spend or an escrow), so that they can't outlive their
+ * expiry block: they can only be removed from the supply, taking them
+ * from the soonest-expiring lots first and then from the permanent
+ * balance (see {transferableBalance}).
+ *
+ * The locked tokens of the vesting schedules are part of the total balance
+ * of a wallet, but they can't be spent (in any of the ways above) until
+ * they are unlocked. A Manager can revoke a vesting schedule, removing its
+ * locked tokens from the supply.
+ *
+ * The soft-token can also be read as an ERC20 token (balanceOf, totalSupply,
+ * metadata and Transfer events), so that wallets and block explorers can
+ * display it. The ERC20 'transfer' and 'transferFrom' functions work only
+ * if a Manager enables the transferable mode, otherwise they revert. The
+ * transferable mode affects only the ERC20 interface: the soft-token
+ * functions ({transferTokens}, {spendFrom} and the Spender ones) work in
+ * both modes.
  *
  * ----- Contract actors -----
  *
  * - Holder (No roles granted): wallet address that owns 0
  * or more "soft-tokens".
  * - Manager (granted MANAGER_ROLE): wallet that is able to manage
- * soft-token wallets balances by adding arbitrary amounts.
+ * soft-token wallets balances by adding arbitrary amounts and to enable
+ * or disable the ERC20 transfers. It also takes the snapshots of the
+ * balances used to distribute the seasonal rewards and creates and
+ * revokes the vesting schedules.
  * - Spender (granted SPENDER_ROLE): an address, that acts as a subject
  * who is able to spend tokes on behalf of a general Holder (the Spender
- * is a role that is intended to be granted to marketplace contracts).
+ * is a role that is intended to be granted to trusted contracts only).
+ * The allowances don't apply to the Spender, that can still remove or
+ * move the tokens of any Holder without its consent (see {removeTokens}
+ * and {spendTokens}), so a compromised Spender can drain every wallet:
+ * the contracts that act on behalf of the Holders, like the marketplace,
+ * must spend through the allowances instead (see {spendFrom}).
+ * - Approved spender (No roles granted): an address, like a marketplace
+ * contract, that is able to spend the tokens of a Holder up to the
+ * allowance that the Holder approved (see {approve} and {spendFrom}).
  * - Pauser: wallet entitled to pause and resume the overall
  * contract interactions (add, remove, transfer and spend tokens actions).
  *
@@ -42,10 +83,34 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
  *
  * 1. Current total unique holders
  * 2. Current total supply
- * 3. Balance of soft-token of a specified wallet address
+ * 3. Balance of soft-token of a specified wallet address (excluding the
+ * expired grant lots) and its grant lots
+ * 4. Allowance of a spender on the balance of a specified wallet address
+ * 5. Whether the ERC20 transfers are enabled (transferable mode)
+ * 6. Balance of a specified wallet address, total supply and unique
+ * holders at the end of a past block (see {balanceOfAt} for the limits
+ * of the history)
+ * 7. Block of each snapshot taken by a Manager (see {snapshot})
+ * 8. Vesting schedules of each wallet address and its locked, unlocked
+ * (spendable) and total balance
+ *
+ * ----- Upgradeability -----
+ *
+ * The contract is deployed behind a {SnowProxy} (transparent proxy) that
+ * holds the balances and is initialized through {initialize} in place of
+ * the constructor. The new state variables must be added after the
+ * existing ones, reducing the size of the '__gap' array by the number of
+ * slots they use.
  *
  */
-contract SnowTracker is Pausable, AccessControl {
+contract SnowTracker is
+    Initializable,
+    PausableUpgradeable,
+    AccessControlUpgradeable,
+    IERC20Metadata
+{
+    using Checkpoints for Checkpoints.Trace208;
+
     //------------------------------------------------------------------//
     //---------------------- Contract constants ------------------------//
     //------------------------------------------------------------------//
@@ -54,6 +119,16 @@ contract SnowTracker is Pausable, AccessControl {
     bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
     bytes32 public constant SPENDER_ROLE = keccak256("SPENDER_ROLE");
 
+    // Max vesting schedules that can lock the tokens of a wallet address
+    uint256 public constant MAX_VESTING_SCHEDULES = 20;
+    // Max grant lots (with different expiry blocks) of a wallet address
+    uint256 public constant MAX_GRANT_LOTS = 20;
+
+    // ERC20 metadata
+    string public constant name = "Snow";
+    string public constant symbol = "SNOW";
+    uint8 public constant decimals = 0;
+
     //------------------------------------------------------------------//
     //---------------------- Contract events ---------------------------//
     //------------------------------------------------------------------//
@@ -83,21 +158,123 @@ contract SnowTracker is Pausable, AccessControl {
         uint256 indexed _blockNumber
     );
 
+    event TokensApproved(
+        address indexed _owner,
+        address indexed _spender,
+        uint256 _amount
+    );
+
+    event TransferableModeUpdated(
+        bool _isTransferable,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event SnapshotTaken(
+        uint256 indexed _snapshotId,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event GrantLotAdded(
+        address indexed _to,
+        uint256 _amount,
+        uint256 _expiryBlock,
+        address indexed _by
+    );
+
+    event TokensExpired(
+        address indexed _from,
+        uint256 _amount,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    event VestingScheduleCreated(
+        uint256 indexed _scheduleId,
+        address indexed _beneficiary,
+        uint256 _amount,
+        uint256 _startBlock,
+        uint256 _endBlock
+    );
+
+    event VestingScheduleRevoked(
+        uint256 indexed _scheduleId,
+        uint256 _revokedAmount,
+        address indexed _by,
+        uint256 _atBlock
+    );
+
+    //------------------------------------------------------------------//
+    //---------------------- Structs -----------------------------------//
+    //------------------------------------------------------------------//
+
+    struct GrantLot {
+        uint256 amount; // tokens of the lot not spent yet
+        uint256 expiryBlock; // first block in which the tokens can't be spent anymore
+    }
+
+    struct VestingSchedule {
+        address beneficiary; // wallet that receives the tokens
+        uint256 amount; // total tokens of the schedule (the vested ones if it has been revoked)
+        uint256 startBlock; // block from which the tokens start to unlock
+        uint256 endBlock; // block in which all the tokens are unlocked
+        bool isRevoked; // true if the locked tokens have been removed by a manager
+    }
+
     //------------------------------------------------------------------//
     //---------------------- Contract storage --------------------------//
     //------------------------------------------------------------------//
 
-    // Balances tracking
-    mapping(address => uint256) public balances;
+    // Balances tracking (including the expired grant lots not swept yet)
+    mapping(address => uint256) private _balances;
 
     // Synthetic information
     uint256 public uniqueHolders;
     uint256 public totalSupply;
 
+    // Allowances tracking (holder => spender => spendable tokens)
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    // True if the ERC20 'transfer' and 'transferFrom' functions are enabled
+    bool public isTransferable;
+
+    // Balances history (values at the end of each block that changed them)
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+    Checkpoints.Trace208 private _uniqueHoldersCheckpoints;
+
+    // Snapshots tracking (snapshot ID => block in which it has been taken)
+    mapping(uint256 => uint256) public snapshotBlocks;
+    uint256 public snapshotsCount; // also the ID of the last snapshot
+
+    // Grant lots of each wallet address, sorted by expiry block
+    mapping(address => GrantLot[]) private _grantLots;
+
+    // Vesting schedules tracking (schedule ID => schedule)
+    mapping(uint256 => VestingSchedule) public vestingSchedules;
+    uint256 public vestingSchedulesCount; // also the ID of the next schedule
+    mapping(address => uint256[]) private _beneficiarySchedules;
+
+    // Storage slots reserved to the variables added by the future upgrades
+    uint256[36] private __gap;
+
     //------------------------------------------------------------------//
     //---------------------- Constructor and setup ---------------------//
     //------------------------------------------------------------------//
     constructor() {
+        // The implementation can be used only through the proxy
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Contract initializer, executed by the proxy in place of the
+     * constructor
+     */
+    function initialize() external initializer {
+        __Pausable_init();
+        __AccessControl_init();
+
         // Grant roles to contract deployer
         _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
         _grantRole(PAUSER_ROLE, _msgSender());
@@ -122,6 +299,58 @@ contract SnowTracker is Pausable, AccessControl {
         _unpause();
     }
 
+    //------------------------------------------------------------------//
+    //---------------------- Transferable mode management --------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev enable or disable the ERC20 'transfer' and 'transferFrom'
+     * functions (the other token interactions, like {transferTokens} and
+     * {spendFrom}, are not affected)
+     *
+     * @param _isTransferable true to enable the ERC20 transfers, false to
+     * make them revert
+     */
+    function setTransferable(bool _isTransferable)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        isTransferable = _isTransferable;
+        emit TransferableModeUpdated(
+            _isTransferable,
+            _msgSender(),
+            block.number
+        );
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- Snapshots management ----------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev take a snapshot of the balances, the total supply and the
+     * unique holders at the current block
+     *
+     * @return snapshotId ID of the snapshot (IDs start from 1)
+     *
+     * Note: the snapshot refers to the values at the end of the current
+     * block, that can be queried through {balanceOfAt}, {totalSupplyAt}
+     * and {uniqueHoldersAt} with the block saved in {snapshotBlocks}
+     * once the block has been mined. The expired grant lots not swept
+     * yet are part of the snapshot (see {balanceOfAt}).
+     */
+    function snapshot()
+        external
+        onlyRole(MANAGER_ROLE)
+        returns (uint256 snapshotId)
+    {
+        snapshotsCount = snapshotsCount + 1;
+        snapshotId = snapshotsCount;
+        snapshotBlocks[snapshotId] = block.number;
+
+        emit SnapshotTaken(snapshotId, _msgSender(), block.number);
+    }
+
     //------------------------------------------------------------------//
     //---------------------- Token interactions ------------------------//
     //------------------------------------------------------------------//
@@ -140,24 +369,42 @@ contract SnowTracker is Pausable, AccessControl {
         whenNotPaused
         returns (uint256)
     {
-        require(amount > 0, "Can't add zero tokens");
-        require(to != address(0), "Can't add tokens to the zero address");
-
-        // Update total holders
-        if (balances[to] == 0) {
-            uniqueHolders += 1;
-        }
+        _addTokens(to, amount);
+        return balances(to);
+    }
 
-        // Update total supply
-        totalSupply = totalSupply + amount;
+    /**
+     * @dev add tokens to the balance of a specified wallet address as a
+     * grant lot that can't be spent anymore starting from the expiry block
+     *
+     * @param to wallet address to add the tokens to
+     * @param amount number of tokens to add
+     * @param expiryBlock first block in which the tokens are expired
+     *
+     * @return the new balance of the wallet address
+     *
+     * Note: reverts if the number of tokens to add is equal to 0, if
+     * the expiry block is not in the future or if the wallet address
+     * already has MAX_GRANT_LOTS lots not expired yet (the tokens are
+     * added to the existing lot with the same expiry block, if any)
+     */
+    function addExpiringTokens(
+        address to,
+        uint256 amount,
+        uint256 expiryBlock
+    ) public onlyRole(MANAGER_ROLE) whenNotPaused returns (uint256) {
+        require(
+            expiryBlock > block.number,
+            "The expiry block must be in the future"
+        );
 
-        // Update balance
-        uint256 newBalance = balances[to] + amount;
-        balances[to] = newBalance;
+        _sweepExpiredTokens(to);
+        _addTokens(to, amount);
+        _insertGrantLot(to, amount, expiryBlock);
 
-        emit TokensAdded(to, _msgSender(), amount);
+        emit GrantLotAdded(to, amount, expiryBlock, _msgSender());
 
-        return newBalance;
+        return balances(to);
     }
 
     /**
@@ -197,41 +444,154 @@ contract SnowTracker is Pausable, AccessControl {
     }
 
     /**
-     * @dev remove tokens from the balance of a specified wallet address
+     * @dev add in batch expiring tokens to the balance of different
+     * addresses (see {addExpiringTokens})
      *
-     * @param from wallet address to remove the tokens from
-     * @param amount number of tokens to remove
+     * @param to array of addresses to which add the specified tokens amounts
+     * @param amounts value of tokens to add to the address at the same index
+     * in the 'to' parameter
+     * @param expiryBlock first block in which the tokens of all the lots
+     * are expired
      *
-     * Note: reverts if the transaction sender tries to
-     * remove more tokens than the current balance
+     * @return the total amount of tokens distributed
+     *
+     * Note: reverts in the same cases of {batchAddTokens} and if the
+     * expiry block is not in the future
      */
-    function removeTokens(address from, uint256 amount)
-        public
-        onlyRole(SPENDER_ROLE)
+    function batchAddExpiringTokens(
+        address[] memory to,
+        uint256[] memory amounts,
+        uint256 expiryBlock
+    ) external onlyRole(MANAGER_ROLE) whenNotPaused returns (uint256) {
+        require(to.length > 0, "Can't add tokens to 0 addresses");
+        require(
+            to.length == amounts.length,
+            "Parameters lengths are not equal, check the provided values"
+        );
+
+        uint256 totalTokensDistributed = 0;
+        for (uint256 i = 0; i < to.length; i++) {
+            addExpiringTokens(to[i], amounts[i], expiryBlock);
+            totalTokensDistributed += amounts[i];
+        }
+
+        return totalTokensDistributed;
+    }
+
+    /**
+     * @dev add tokens to the balance of a specified wallet address that
+     * unlock linearly from the start block to the end block
+     *
+     * @param to wallet address to add the tokens to
+     * @param amount number of tokens to add
+     * @param startBlock block from which the tokens start to unlock
+     * @param endBlock block in which all the tokens are unlocked
+     *
+     * @return scheduleId ID of the vesting schedule
+     *
+     * Note: reverts if the number of tokens to add is equal to 0, if
+     * the end block is not after the start block or if the wallet address
+     * already has MAX_VESTING_SCHEDULES schedules still locking tokens
+     */
+    function addVestingTokens(
+        address to,
+        uint256 amount,
+        uint256 startBlock,
+        uint256 endBlock
+    )
+        external
+        onlyRole(MANAGER_ROLE)
         whenNotPaused
-        returns (uint256)
+        returns (uint256 scheduleId)
     {
-        require(amount > 0, "Can't remove zero tokens");
+        require(startBlock < endBlock, "Invalid vesting block range");
+        _pruneVestingSchedules(to);
         require(
-            amount <= balances[from],
-            "Can't remove more than the available tokens"
+            _beneficiarySchedules[to].length < MAX_VESTING_SCHEDULES,
+            "Too many vesting schedules"
         );
 
-        // Update total supply
-        totalSupply = totalSupply - amount;
+        _addTokens(to, amount);
 
-        // Update balance
-        uint256 newBalance = balances[from] - amount;
-        balances[from] = newBalance;
+        scheduleId = vestingSchedulesCount;
+        vestingSchedulesCount = vestingSchedulesCount + 1;
+        vestingSchedules[scheduleId] = VestingSchedule(
+            to,
+            amount,
+            startBlock,
+            endBlock,
+            false
+        );
+        _beneficiarySchedules[to].push(scheduleId);
 
-        // Update total holders
-        if (balances[from] == 0) {
-            uniqueHolders = uniqueHolders - 1;
+        emit VestingScheduleCreated(
+            scheduleId,
+            to,
+            amount,
+            startBlock,
+            endBlock
+        );
+    }
+
+    /**
+     * @dev revoke a vesting schedule, removing its locked tokens from
+     * the balance of the beneficiary and from the supply
+     *
+     * @param scheduleId ID of the vesting schedule to revoke
+     *
+     * @return revokedAmount number of locked tokens removed
+     *
+     * Note: the tokens already unlocked are kept by the beneficiary
+     */
+    function revokeVesting(uint256 scheduleId)
+        external
+        onlyRole(MANAGER_ROLE)
+        whenNotPaused
+        returns (uint256 revokedAmount)
+    {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        require(
+            schedule.beneficiary != address(0),
+            "Invalid vesting schedule ID"
+        );
+        require(!schedule.isRevoked, "Vesting schedule already revoked");
+
+        uint256 vestedAmount = _vestedAmount(schedule);
+        revokedAmount = schedule.amount - vestedAmount;
+        schedule.amount = vestedAmount;
+        schedule.isRevoked = true;
+        _pruneVestingSchedules(schedule.beneficiary);
+
+        if (revokedAmount > 0) {
+            _burnTokens(schedule.beneficiary, revokedAmount);
         }
 
-        emit TokensRemoved(from, _msgSender(), amount);
+        emit VestingScheduleRevoked(
+            scheduleId,
+            revokedAmount,
+            _msgSender(),
+            block.number
+        );
+    }
 
-        return newBalance;
+    /**
+     * @dev remove tokens from the balance of a specified wallet address
+     *
+     * @param from wallet address to remove the tokens from
+     * @param amount number of tokens to remove
+     *
+     * Note: reverts if the transaction sender tries to
+     * remove more tokens than the current balance. The allowance of the
+     * wallet is not checked, since the SPENDER_ROLE role can remove the
+     * tokens of any wallet address without its consent.
+     */
+    function removeTokens(address from, uint256 amount)
+        public
+        onlyRole(SPENDER_ROLE)
+        whenNotPaused
+        returns (uint256)
+    {
+        return _removeTokens(from, amount);
     }
 
     /**
@@ -279,34 +639,874 @@ contract SnowTracker is Pausable, AccessControl {
      *
      * Note: reverts if the transaction sender tries to transfer
      * to the receiver wallet address more tokens than his current balance
+     * outside the grant lots (see {transferableBalance}).
+     * Works also if the transferable mode is disabled, that applies only
+     * to the ERC20 {transfer} and {transferFrom} functions.
      */
     function transferTokens(address to, uint256 amount) external whenNotPaused {
-        require(
-            balances[_msgSender()] >= amount,
-            "Can't transfer more tokens than the available balance"
-        );
+        _transferTokens(_msgSender(), to, amount);
+    }
 
-        require(amount > 0, "Can't transfer 0 tokens");
-        require(to != address(0), "Can't transfer tokens to the zero address");
+    /**
+     * @dev spend tokens on behalf of a holder by moving them
+     * to another wallet address instead of removing them from the supply
+     *
+     * @param from wallet address that spends the tokens
+     * @param to wallet address that receives the tokens
+     * @param amount number of tokens to spend
+     *
+     * Note: reverts if the {from} wallet address doesn't have
+     * enough tokens outside the grant lots to cover the specified amount
+     * (see {transferableBalance}). The allowance of the
+     * wallet is not checked, since the SPENDER_ROLE role can spend the
+     * tokens of any wallet address without its consent (see {spendFrom}
+     * to spend within an allowance).
+     */
+    function spendTokens(
+        address from,
+        address to,
+        uint256 amount
+    ) external onlyRole(SPENDER_ROLE) whenNotPaused {
+        _transferTokens(from, to, amount);
+        emit TokensSpent(from, amount, block.number);
+    }
 
-        // Check if is needed to increase the unique holders amount (receiver side)
-        if (balances[to] == 0) {
-            uniqueHolders = uniqueHolders + 1;
-        }
+    /**
+     * @dev burn the expired grant lots of a specified wallet address,
+     * removing them from the supply
+     *
+     * @param account wallet address whose expired lots are burned
+     *
+     * @return sweptAmount number of expired tokens burned
+     *
+     * Note: anyone can sweep the expired tokens of any wallet address
+     */
+    function sweepExpiredTokens(address account)
+        external
+        whenNotPaused
+        returns (uint256 sweptAmount)
+    {
+        return _sweepExpiredTokens(account);
+    }
 
-        // Remove tokens from sender
-        uint256 newSenderBalance = balances[_msgSender()] - amount;
-        balances[_msgSender()] = newSenderBalance;
+    /**
+     * @dev set the number of tokens that a spender is allowed to spend
+     * on behalf of the transaction sender (see {spendFrom})
+     *
+     * @param spender address allowed to spend the tokens
+     * @param amount maximum number of tokens the spender can spend
+     *
+     * @return true if the allowance has been set
+     *
+     * Note: the amount replaces the current allowance, so it can be
+     * set to 0 to revoke the permission of the spender.
+     */
+    function approve(address spender, uint256 amount)
+        external
+        whenNotPaused
+        returns (bool)
+    {
+        require(spender != address(0), "Can't approve the zero address");
 
-        // Add tokens to receiver
-        uint256 newReceiverBalance = balances[to] + amount;
-        balances[to] = newReceiverBalance;
+        allowance[_msgSender()][spender] = amount;
+        emit TokensApproved(_msgSender(), spender, amount);
+        emit Approval(_msgSender(), spender, amount);
 
-        // Check if is needed to decrease the unique holders amount (sender side)
-        if (newSenderBalance == 0) {
-            uniqueHolders = uniqueHolders - 1;
+        return true;
+    }
+
+    /**
+     * @dev spend tokens on behalf of a holder within the allowance that
+     * the holder approved to the transaction sender, either by moving them
+     * to another wallet address or by removing them from the supply
+     *
+     * @param from wallet address that spends the tokens
+     * @param to wallet address that receives the tokens (the zero address
+     * to remove them from the supply)
+     * @param amount number of tokens to spend
+     *
+     * Note: reverts if the amount exceeds the allowance or the balance
+     * of the {from} wallet address, that is the balance outside the grant
+     * lots if the tokens are moved to another wallet address (see
+     * {transferableBalance}). The allowance is not needed (and it is not
+     * decreased) if the sender spends its own tokens.
+     */
+    function spendFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external whenNotPaused {
+        if (from != _msgSender()) {
+            _spendAllowance(from, amount);
+        }
+
+        if (to == address(0)) {
+            _removeTokens(from, amount);
+        } else {
+            _transferTokens(from, to, amount);
         }
+        emit TokensSpent(from, amount, block.number);
+    }
+
+    /**
+     * @dev ERC20 transfer of tokens from the transaction sender to
+     * a specified wallet address
+     *
+     * @param to wallet address that receives the tokens
+     * @param amount number of tokens to transfer
+     *
+     * @return true if the tokens have been transferred
+     *
+     * Note: reverts if the transferable mode is disabled. A transfer of
+     * 0 tokens succeeds without changing the balances, as required by
+     * the ERC20 standard.
+     */
+    function transfer(address to, uint256 amount)
+        external
+        whenNotPaused
+        returns (bool)
+    {
+        require(isTransferable, "The token is not transferable");
+        _erc20Transfer(_msgSender(), to, amount);
+
+        return true;
+    }
+
+    /**
+     * @dev ERC20 transfer of tokens on behalf of a holder within the
+     * allowance that the holder approved to the transaction sender
+     *
+     * @param from wallet address that sends the tokens
+     * @param to wallet address that receives the tokens
+     * @param amount number of tokens to transfer
+     *
+     * @return true if the tokens have been transferred
+     *
+     * Note: reverts if the transferable mode is disabled. A transfer of
+     * 0 tokens succeeds without changing the balances, as required by
+     * the ERC20 standard.
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external whenNotPaused returns (bool) {
+        require(isTransferable, "The token is not transferable");
+        _spendAllowance(from, amount);
+        _erc20Transfer(from, to, amount);
 
-        emit TokensTransfered(_msgSender(), to, block.number, amount);
+        return true;
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- ERC20 queries -----------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the balance of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the number of tokens owned by the wallet address, including
+     * the locked ones (the same value returned by {totalBalance}, see
+     * {balances} for the tokens that can be spent)
+     */
+    function balanceOf(address account) external view returns (uint256) {
+        return totalBalance(account);
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- Balances queries --------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the unlocked balance of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the number of tokens that the wallet address can spend, that
+     * doesn't include the expired grant lots and the locked tokens
+     */
+    function balances(address account) public view returns (uint256) {
+        return totalBalance(account) - lockedBalance(account);
+    }
+
+    /**
+     * @dev get the balance of a specified wallet address that can be
+     * moved to another wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the number of tokens that the wallet address can spend,
+     * excluding the ones of the grant lots (that can only be removed from
+     * the supply)
+     *
+     * Note: the loop is bounded by MAX_GRANT_LOTS
+     */
+    function transferableBalance(address account)
+        external
+        view
+        returns (uint256)
+    {
+        return balances(account) - _activeGrantLotsAmount(account);
+    }
+
+    /**
+     * @dev get the total balance of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the number of tokens owned by the wallet address, including
+     * the locked ones and excluding the expired grant lots
+     */
+    function totalBalance(address account) public view returns (uint256) {
+        return _balances[account] - expiredTokens(account);
+    }
+
+    /**
+     * @dev get the locked balance of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return lockedAmount the number of tokens of the vesting schedules of
+     * the wallet address that haven't been unlocked yet
+     *
+     * Note: the loop is bounded by MAX_VESTING_SCHEDULES
+     */
+    function lockedBalance(address account)
+        public
+        view
+        returns (uint256 lockedAmount)
+    {
+        uint256[] storage scheduleIds = _beneficiarySchedules[account];
+        for (uint256 i = 0; i < scheduleIds.length; i++) {
+            VestingSchedule storage schedule = vestingSchedules[
+                scheduleIds[i]
+            ];
+            lockedAmount += schedule.amount - _vestedAmount(schedule);
+        }
+    }
+
+    /**
+     * @dev get the vesting schedules of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the IDs of the vesting schedules that may still lock tokens
+     * (see {vestingSchedules})
+     *
+     * Note: the revoked schedules are removed immediately, while the fully
+     * unlocked ones are removed when the wallet address spends its tokens
+     * or receives a new vesting schedule
+     */
+    function getVestingScheduleIds(address account)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _beneficiarySchedules[account];
+    }
+
+    /**
+     * @dev get the number of expired tokens of a specified wallet address
+     * that haven't been swept yet (see {sweepExpiredTokens})
+     *
+     * @param account wallet address to query
+     *
+     * @return expiredAmount the total amount of the expired grant lots
+     */
+    function expiredTokens(address account)
+        public
+        view
+        returns (uint256 expiredAmount)
+    {
+        GrantLot[] storage lots = _grantLots[account];
+        for (
+            uint256 i = 0;
+            i < lots.length && lots[i].expiryBlock <= block.number;
+            i++
+        ) {
+            expiredAmount += lots[i].amount;
+        }
+    }
+
+    /**
+     * @dev get the grant lots of a specified wallet address
+     *
+     * @param account wallet address to query
+     *
+     * @return the grant lots sorted by expiry block, including the expired
+     * ones that haven't been swept yet
+     */
+    function getGrantLots(address account)
+        external
+        view
+        returns (GrantLot[] memory)
+    {
+        return _grantLots[account];
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- History queries ---------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev get the balance of a specified wallet address at the end of
+     * a past block
+     *
+     * @param account wallet address to query
+     * @param blockNumber number of the block to query
+     *
+     * @return the balance of the wallet address at the end of the block
+     *
+     * Note: reverts if the block has not been mined yet. The history
+     * has two known limitations:
+     * 1. the historical balance is the raw one, so it includes the tokens
+     * locked by the vesting schedules and the expired grant lots until
+     * they are swept (see {sweepExpiredTokens}), while {balances} and
+     * {balanceOf} exclude the expired lots: for a block between the
+     * expiry and the sweep of a lot the historical balance is greater;
+     * 2. the balance held when the checkpoints have been introduced is
+     * seeded at the first token interaction of the wallet address after
+     * the upgrade as the balance of every previous block, so it is
+     * returned also for the blocks before the wallet address received
+     * those tokens (the balances history before the upgrade is unknown).
+     */
+    function balanceOfAt(address account, uint256 blockNumber)
+        external
+        view
+        returns (uint256)
+    {
+        return
+            _lookupCheckpoints(
+                _balanceCheckpoints[account],
+                blockNumber,
+                _balances[account]
+            );
+    }
+
+    /**
+     * @dev get the total supply at the end of a past block
+     *
+     * @param blockNumber number of the block to query
+     *
+     * @return the total supply at the end of the block
+     *
+     * Note: reverts if the block has not been mined yet. The limitations
+     * of {balanceOfAt} apply also to the total supply: it includes the
+     * expired grant lots until they are swept, and the supply held when
+     * the checkpoints have been introduced (seeded at the first token
+     * movement after the upgrade) is returned for every previous block.
+     */
+    function totalSupplyAt(uint256 blockNumber)
+        external
+        view
+        returns (uint256)
+    {
+        return
+            _lookupCheckpoints(
+                _totalSupplyCheckpoints,
+                blockNumber,
+                totalSupply
+            );
+    }
+
+    /**
+     * @dev get the number of unique holders at the end of a past block
+     *
+     * @param blockNumber number of the block to query
+     *
+     * @return the number of unique holders at the end of the block
+     *
+     * Note: reverts if the block has not been mined yet (see {totalSupplyAt})
+     */
+    function uniqueHoldersAt(uint256 blockNumber)
+        external
+        view
+        returns (uint256)
+    {
+        return
+            _lookupCheckpoints(
+                _uniqueHoldersCheckpoints,
+                blockNumber,
+                uniqueHolders
+            );
+    }
+
+    //------------------------------------------------------------------//
+    //---------------------- Internal functions ------------------------//
+    //------------------------------------------------------------------//
+
+    /**
+     * @dev decrease the allowance that a holder approved to the
+     * transaction sender
+     *
+     * @param from wallet address that approved the allowance
+     * @param amount number of tokens to spend
+     */
+    function _spendAllowance(address from, uint256 amount) private {
+        uint256 currentAllowance = allowance[from][_msgSender()];
+        require(
+            currentAllowance >= amount,
+            "Can't spend more tokens than the allowance"
+        );
+        allowance[from][_msgSender()] = currentAllowance - amount;
+    }
+
+    /**
+     * @dev add tokens to the balance and to the supply keeping
+     * the unique holders counter updated
+     *
+     * @param to wallet address to add the tokens to
+     * @param amount number of tokens to add
+     */
+    function _addTokens(address to, uint256 amount) private {
+        require(amount > 0, "Can't add zero tokens");
+        require(to != address(0), "Can't add tokens to the zero address");
+        _seedCheckpoints(address(0), to);
+
+        // Update total holders
+        if (_balances[to] == 0) {
+            uniqueHolders += 1;
+        }
+
+        // Update total supply
+        totalSupply = totalSupply + amount;
+
+        // Update balance
+        uint256 newBalance = _balances[to] + amount;
+        _balances[to] = newBalance;
+
+        _writeCheckpoints(address(0), to);
+
+        emit TokensAdded(to, _msgSender(), amount);
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @dev remove tokens from the balance and from the supply, taking
+     * them from the soonest-expiring grant lots first
+     *
+     * @param from wallet address to remove the tokens from
+     * @param amount number of tokens to remove
+     *
+     * @return the new balance of the wallet address
+     */
+    function _removeTokens(address from, uint256 amount)
+        private
+        returns (uint256)
+    {
+        require(amount > 0, "Can't remove zero tokens");
+        _sweepExpiredTokens(from);
+        require(
+            amount <= _balances[from] - _pruneVestingSchedules(from),
+            "Can't remove more than the available tokens"
+        );
+
+        _consumeGrantLots(from, amount);
+        return _burnTokens(from, amount);
+    }
+
+    /**
+     * @dev remove tokens from the balance and from the supply keeping
+     * the unique holders counter updated
+     *
+     * @param from wallet address to remove the tokens from
+     * @param amount number of tokens to remove
+     *
+     * @return the new balance of the wallet address
+     */
+    function _burnTokens(address from, uint256 amount)
+        private
+        returns (uint256)
+    {
+        _seedCheckpoints(from, address(0));
+
+        // Update total supply
+        totalSupply = totalSupply - amount;
+
+        // Update balance
+        uint256 newBalance = _balances[from] - amount;
+        _balances[from] = newBalance;
+
+        // Update total holders
+        if (_balances[from] == 0) {
+            uniqueHolders = uniqueHolders - 1;
+        }
+
+        _writeCheckpoints(from, address(0));
+
+        emit TokensRemoved(from, _msgSender(), amount);
+        emit Transfer(from, address(0), amount);
+
+        return newBalance;
+    }
+
+    /**
+     * @dev move tokens between two wallet addresses through the ERC20
+     * interface, allowing the transfers of 0 tokens (see {_transferTokens})
+     *
+     * @param from wallet address that sends the tokens
+     * @param to wallet address that receives the tokens
+     * @param amount number of tokens to move
+     */
+    function _erc20Transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        if (amount > 0) {
+            _transferTokens(from, to, amount);
+            return;
+        }
+
+        require(to != address(0), "Can't transfer tokens to the zero address");
+        emit Transfer(from, to, 0);
+    }
+
+    /**
+     * @dev move tokens between two wallet addresses keeping
+     * the unique holders counter updated. The tokens are taken from the
+     * permanent balance of the sender, since the grant lots can't be moved.
+     *
+     * @param from wallet address that sends the tokens
+     * @param to wallet address that receives the tokens
+     * @param amount number of tokens to move
+     */
+    function _transferTokens(
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        _seedCheckpoints(from, to);
+        _sweepExpiredTokens(from);
+        require(
+            _balances[from] -
+                _pruneVestingSchedules(from) -
+                _activeGrantLotsAmount(from) >=
+                amount,
+            "Can't transfer more tokens than the available balance"
+        );
+
+        require(amount > 0, "Can't transfer 0 tokens");
+        require(to != address(0), "Can't transfer tokens to the zero address");
+
+        // Check if is needed to increase the unique holders amount (receiver side)
+        if (_balances[to] == 0) {
+            uniqueHolders = uniqueHolders + 1;
+        }
+
+        // Remove tokens from sender
+        uint256 newSenderBalance = _balances[from] - amount;
+        _balances[from] = newSenderBalance;
+
+        // Add tokens to receiver
+        uint256 newReceiverBalance = _balances[to] + amount;
+        _balances[to] = newReceiverBalance;
+
+        // Check if is needed to decrease the unique holders amount (sender side)
+        if (newSenderBalance == 0) {
+            uniqueHolders = uniqueHolders - 1;
+        }
+
+        _writeCheckpoints(from, to);
+
+        emit TokensTransfered(from, to, block.number, amount);
+        emit Transfer(from, to, amount);
+    }
+
+    /**
+     * @dev burn the expired grant lots of a wallet address and remove
+     * them from its lots
+     *
+     * @param account wallet address whose expired lots are burned
+     *
+     * @return sweptAmount number of expired tokens burned
+     */
+    function _sweepExpiredTokens(address account)
+        private
+        returns (uint256 sweptAmount)
+    {
+        GrantLot[] storage lots = _grantLots[account];
+        uint256 expiredLots = 0;
+        while (
+            expiredLots < lots.length &&
+            lots[expiredLots].expiryBlock <= block.number
+        ) {
+            sweptAmount += lots[expiredLots].amount;
+            expiredLots++;
+        }
+        if (expiredLots == 0) {
+            return 0;
+        }
+
+        _removeFirstGrantLots(account, expiredLots);
+        _burnTokens(account, sweptAmount);
+
+        emit TokensExpired(account, sweptAmount, _msgSender(), block.number);
+    }
+
+    /**
+     * @dev take the spent tokens from the grant lots of a wallet address,
+     * starting from the soonest-expiring one, until the amount is covered
+     * or there are no lots left (the rest is taken from the permanent
+     * balance)
+     *
+     * @param account wallet address that spends the tokens
+     * @param amount number of tokens spent
+     *
+     * Note: the expired lots must be swept before calling this function
+     */
+    function _consumeGrantLots(address account, uint256 amount) private {
+        GrantLot[] storage lots = _grantLots[account];
+        uint256 consumedLots = 0;
+        while (amount > 0 && consumedLots < lots.length) {
+            uint256 lotAmount = lots[consumedLots].amount;
+            if (lotAmount > amount) {
+                lots[consumedLots].amount = lotAmount - amount;
+                break;
+            }
+            amount = amount - lotAmount;
+            consumedLots++;
+        }
+
+        _removeFirstGrantLots(account, consumedLots);
+    }
+
+    /**
+     * @dev get the tokens of the grant lots of a wallet address that are
+     * not expired yet
+     *
+     * @param account wallet address to query
+     *
+     * @return amount the total amount of the lots not expired yet
+     */
+    function _activeGrantLotsAmount(address account)
+        private
+        view
+        returns (uint256 amount)
+    {
+        GrantLot[] storage lots = _grantLots[account];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].expiryBlock > block.number) {
+                amount += lots[i].amount;
+            }
+        }
+    }
+
+    /**
+     * @dev add a grant lot to a wallet address keeping the lots sorted
+     * by expiry block, or add the tokens to the lot with the same expiry
+     * block if it exists
+     *
+     * @param account wallet address that receives the lot
+     * @param amount number of tokens of the lot
+     * @param expiryBlock first block in which the tokens are expired
+     *
+     * Note: the expired lots must be swept before calling this function
+     */
+    function _insertGrantLot(
+        address account,
+        uint256 amount,
+        uint256 expiryBlock
+    ) private {
+        GrantLot[] storage lots = _grantLots[account];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].expiryBlock == expiryBlock) {
+                lots[i].amount += amount;
+                return;
+            }
+        }
+        require(lots.length < MAX_GRANT_LOTS, "Too many grant lots");
+        lots.push();
+
+        uint256 i = lots.length - 1;
+        while (i > 0 && lots[i - 1].expiryBlock > expiryBlock) {
+            lots[i] = lots[i - 1];
+            i--;
+        }
+        lots[i] = GrantLot(amount, expiryBlock);
+    }
+
+    /**
+     * @dev remove the first grant lots of a wallet address, shifting the
+     * remaining ones to the beginning of the list
+     *
+     * @param account wallet address whose lots are removed
+     * @param count number of lots to remove
+     */
+    function _removeFirstGrantLots(address account, uint256 count) private {
+        if (count == 0) {
+            return;
+        }
+
+        GrantLot[] storage lots = _grantLots[account];
+        for (uint256 i = count; i < lots.length; i++) {
+            lots[i - count] = lots[i];
+        }
+        for (uint256 i = 0; i < count; i++) {
+            lots.pop();
+        }
+    }
+
+    /**
+     * @dev get the unlocked tokens of a vesting schedule
+     *
+     * @param schedule the vesting schedule
+     *
+     * @return the number of tokens unlocked at the current block
+     */
+    function _vestedAmount(VestingSchedule storage schedule)
+        private
+        view
+        returns (uint256)
+    {
+        if (schedule.isRevoked || block.number >= schedule.endBlock) {
+            return schedule.amount;
+        }
+        if (block.number <= schedule.startBlock) {
+            return 0;
+        }
+
+        return
+            (schedule.amount * (block.number - schedule.startBlock)) /
+            (schedule.endBlock - schedule.startBlock);
+    }
+
+    /**
+     * @dev remove the revoked and the fully unlocked schedules from the
+     * vesting schedules of a wallet address
+     *
+     * @param account wallet address whose schedules are pruned
+     *
+     * @return lockedAmount the number of tokens still locked by the
+     * remaining schedules (see {lockedBalance})
+     */
+    function _pruneVestingSchedules(address account)
+        private
+        returns (uint256 lockedAmount)
+    {
+        uint256[] storage scheduleIds = _beneficiarySchedules[account];
+        uint256 i = 0;
+        while (i < scheduleIds.length) {
+            VestingSchedule storage schedule = vestingSchedules[
+                scheduleIds[i]
+            ];
+            if (schedule.isRevoked || block.number >= schedule.endBlock) {
+                scheduleIds[i] = scheduleIds[scheduleIds.length - 1];
+                scheduleIds.pop();
+            } else {
+                lockedAmount += schedule.amount - _vestedAmount(schedule);
+                i++;
+            }
+        }
+    }
+
+    /**
+     * @dev save the current balances of the specified wallet addresses,
+     * the total supply and the unique holders as the values of the
+     * current block
+     *
+     * @param from wallet address that sent the tokens (the zero address
+     * if the tokens have been added)
+     * @param to wallet address that received the tokens (the zero address
+     * if the tokens have been removed)
+     */
+    function _writeCheckpoints(address from, address to) private {
+        uint48 currentBlock = SafeCast.toUint48(block.number);
+        if (from != address(0)) {
+            _balanceCheckpoints[from].push(
+                currentBlock,
+                SafeCast.toUint208(_balances[from])
+            );
+        }
+        if (to != address(0)) {
+            _balanceCheckpoints[to].push(
+                currentBlock,
+                SafeCast.toUint208(_balances[to])
+            );
+        }
+        _totalSupplyCheckpoints.push(
+            currentBlock,
+            SafeCast.toUint208(totalSupply)
+        );
+        _uniqueHoldersCheckpoints.push(
+            currentBlock,
+            SafeCast.toUint208(uniqueHolders)
+        );
+    }
+
+    /**
+     * @dev save the current values of the specified wallet addresses, of
+     * the total supply and of the unique holders as the initial values of
+     * their history, if it is empty (the values held before the
+     * checkpoints have been introduced)
+     *
+     * @param from wallet address that sends the tokens (the zero address
+     * if the tokens are added)
+     * @param to wallet address that receives the tokens (the zero address
+     * if the tokens are removed)
+     *
+     * Note: must be called before updating the balances
+     */
+    function _seedCheckpoints(address from, address to) private {
+        if (from != address(0)) {
+            _seedCheckpoint(_balanceCheckpoints[from], _balances[from]);
+        }
+        if (to != address(0)) {
+            _seedCheckpoint(_balanceCheckpoints[to], _balances[to]);
+        }
+        _seedCheckpoint(_totalSupplyCheckpoints, totalSupply);
+        _seedCheckpoint(_uniqueHoldersCheckpoints, uniqueHolders);
+    }
+
+    /**
+     * @dev save a value as the initial value of an empty history
+     *
+     * @param checkpoints history to seed
+     * @param value current value (nothing is saved if it is 0)
+     */
+    function _seedCheckpoint(
+        Checkpoints.Trace208 storage checkpoints,
+        uint256 value
+    ) private {
+        if (value > 0 && checkpoints.length() == 0) {
+            checkpoints.push(0, SafeCast.toUint208(value));
+        }
+    }
+
+    /**
+     * @dev get the value of a history at the end of a past block
+     *
+     * @param checkpoints history to query
+     * @param blockNumber number of the block to query
+     * @param currentValue value returned if the history is empty (not
+     * changed since the checkpoints have been introduced)
+     *
+     * @return the value at the end of the block
+     */
+    function _lookupCheckpoints(
+        Checkpoints.Trace208 storage checkpoints,
+        uint256 blockNumber,
+        uint256 currentValue
+    ) private view returns (uint256) {
+        uint48 key = _pastBlockKey(blockNumber);
+        if (checkpoints.length() == 0) {
+            return currentValue;
+        }
+        return checkpoints.upperLookupRecent(key);
+    }
+
+    /**
+     * @dev check that a block has already been mined, so that its
+     * checkpointed values can't change anymore
+     *
+     * @param blockNumber number of the block to check
+     *
+     * @return the block number as a checkpoint key
+     */
+    function _pastBlockKey(uint256 blockNumber) private view returns (uint48) {
+        require(blockNumber < block.number, "The block is not mined yet");
+        return SafeCast.toUint48(blockNumber);
     }
 }
@@ -20,5 +20,13 @@ module.exports = {
 		coinmarketcap: process.env.COINMARKETCAP_KEY,
 	},
 
-	solidity: "0.8.20",
+	solidity: {
+		version: "0.8.20",
+		settings: {
+			optimizer: {
+				enabled: true,
+				runs: 200,
+			},
+		},
+	},
 };
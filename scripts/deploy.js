@@ -0,0 +1,33 @@
+/**
+ * Deploy the SnowTracker and the SnowMarketplace behind their proxies.
+ * The holders let the marketplace spend their SNOW tokens by approving it
+ * on the SnowTracker (see SnowTracker.approve).
+ *
+ * The marketplace doesn't need the SnowTracker SPENDER_ROLE, so the script
+ * doesn't grant it. The SPENDER_ROLE keeps the power to remove or move the
+ * tokens of any wallet without an allowance (see SnowTracker.removeTokens
+ * and SnowTracker.spendTokens): grant it only to trusted contracts.
+ *
+ * Usage: MAX_ACTIVE_ORDERS=100 npx hardhat run scripts/deploy.js --network <network>
+ */
+const { ethers } = require("hardhat");
+const { deploySnowTracker, deploySnowMarketplace, getProxyAdmin } = require("./deployment");
+
+async function main() {
+	const [deployer] = await ethers.getSigners();
+	const maxActiveOrdersAmount = parseInt(process.env.MAX_ACTIVE_ORDERS || "100");
+
+	const snowTracker = await deploySnowTracker(deployer);
+	console.log(`SnowTracker proxy deployed at ${snowTracker.address}`);
+
+	const marketplace = await deploySnowMarketplace(snowTracker.address, maxActiveOrdersAmount, deployer);
+	console.log(`SnowMarketplace proxy deployed at ${marketplace.address}`);
+
+	console.log(`SnowTracker ProxyAdmin: ${(await getProxyAdmin(snowTracker.address)).address}`);
+	console.log(`SnowMarketplace ProxyAdmin: ${(await getProxyAdmin(marketplace.address)).address}`);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
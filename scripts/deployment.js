@@ -0,0 +1,115 @@
+const { ethers } = require("hardhat");
+
+// ERC1967 storage slot that contains the address of the proxy ProxyAdmin
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/**
+ * Deploy a contract and wait for its deployment
+ */
+async function deployContract(contractName, args = [], options = {}) {
+	const Factory = await ethers.getContractFactory(contractName, options);
+	const contract = await Factory.deploy(...args);
+	await contract.deployed();
+
+	return contract;
+}
+
+/**
+ * Deploy a SnowProxy that points to an implementation and initialize it,
+ * returning the implementation contract attached to the proxy address
+ */
+async function deployProxy(implementation, initializerArgs, owner) {
+	const proxyOwner = owner || (await ethers.getSigners())[0];
+	const proxy = await deployContract("SnowProxy", [
+		implementation.address,
+		proxyOwner.address,
+		implementation.interface.encodeFunctionData("initialize", initializerArgs),
+	]);
+
+	return implementation.attach(proxy.address);
+}
+
+/**
+ * Deploy a new SnowTracker implementation
+ */
+async function deploySnowTrackerImplementation() {
+	return deployContract("SnowTracker");
+}
+
+/**
+ * Deploy the SnowTracker behind a proxy whose ProxyAdmin is owned by 'owner'
+ * (the first signer if not specified)
+ */
+async function deploySnowTracker(owner) {
+	return deployProxy(await deploySnowTrackerImplementation(), [], owner);
+}
+
+/**
+ * Deploy a new SnowMarketplace implementation together with its extensions
+ * and the libraries linked to them
+ */
+async function deployMarketplaceImplementation(
+	maxActiveOrdersAmount,
+	extensionMaxActiveOrdersAmount = maxActiveOrdersAmount
+) {
+	const libraries = {};
+	for (const libraryName of ["MarketplacePayments", "MarketplaceSignatures"]) {
+		libraries[libraryName] = (await deployContract(libraryName)).address;
+	}
+
+	const extension = await deployContract("SnowMarketplaceExtension", [extensionMaxActiveOrdersAmount], { libraries });
+	const adminExtension = await deployContract("SnowMarketplaceAdminExtension", [extensionMaxActiveOrdersAmount]);
+
+	return deployContract("SnowMarketplace", [maxActiveOrdersAmount, extension.address, adminExtension.address], {
+		libraries,
+	});
+}
+
+/**
+ * Deploy the SnowMarketplace behind a proxy whose ProxyAdmin is owned by
+ * 'owner' (the first signer if not specified)
+ */
+async function deploySnowMarketplace(
+	snowTrackerAddress,
+	maxActiveOrdersAmount,
+	owner,
+	extensionMaxActiveOrdersAmount = maxActiveOrdersAmount
+) {
+	const implementation = await deployMarketplaceImplementation(maxActiveOrdersAmount, extensionMaxActiveOrdersAmount);
+
+	return deployProxy(implementation, [snowTrackerAddress], owner);
+}
+
+/**
+ * Get the ProxyAdmin that is able to upgrade a SnowProxy
+ */
+async function getProxyAdmin(proxyAddress) {
+	const adminSlotValue = await ethers.provider.getStorageAt(proxyAddress, ADMIN_SLOT);
+
+	return ethers.getContractAt("ProxyAdmin", ethers.utils.getAddress(ethers.utils.hexDataSlice(adminSlotValue, 12)));
+}
+
+/**
+ * Point a SnowProxy to a new implementation, signing the upgrade with
+ * 'owner' (the first signer if not specified)
+ */
+async function upgradeProxy(proxyAddress, newImplementationAddress, owner) {
+	const proxyOwner = owner || (await ethers.getSigners())[0];
+	const proxyAdmin = await getProxyAdmin(proxyAddress);
+	const tx = await proxyAdmin.connect(proxyOwner).upgradeAndCall(proxyAddress, newImplementationAddress, "0x");
+	await tx.wait();
+
+	return tx;
+}
+
+module.exports = {
+	ADMIN_SLOT,
+	deployContract,
+	deployProxy,
+	deploySnowTrackerImplementation,
+	deploySnowTracker,
+	deployMarketplaceImplementation,
+	deploySnowMarketplace,
+	getProxyAdmin,
+	upgradeProxy,
+};
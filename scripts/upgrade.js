@@ -0,0 +1,32 @@
+/**
+ * Upgrade the SnowTracker and/or the SnowMarketplace proxies to newly
+ * deployed implementations. Only the proxies whose address is specified
+ * are upgraded.
+ *
+ * Usage: SNOW_TRACKER_PROXY=0x... MARKETPLACE_PROXY=0x... MAX_ACTIVE_ORDERS=100 \
+ *     npx hardhat run scripts/upgrade.js --network <network>
+ */
+const { ethers } = require("hardhat");
+const { deploySnowTrackerImplementation, deployMarketplaceImplementation, upgradeProxy } = require("./deployment");
+
+async function main() {
+	const [deployer] = await ethers.getSigners();
+
+	if (process.env.SNOW_TRACKER_PROXY) {
+		const implementation = await deploySnowTrackerImplementation();
+		await upgradeProxy(process.env.SNOW_TRACKER_PROXY, implementation.address, deployer);
+		console.log(`SnowTracker proxy upgraded to ${implementation.address}`);
+	}
+
+	if (process.env.MARKETPLACE_PROXY) {
+		const maxActiveOrdersAmount = parseInt(process.env.MAX_ACTIVE_ORDERS || "100");
+		const implementation = await deployMarketplaceImplementation(maxActiveOrdersAmount);
+		await upgradeProxy(process.env.MARKETPLACE_PROXY, implementation.address, deployer);
+		console.log(`SnowMarketplace proxy upgraded to ${implementation.address}`);
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
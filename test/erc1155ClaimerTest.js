@@ -451,6 +451,30 @@ describe("Claim ERC1155 - Test", function () {
 		expect(activeEvents.length).to.equal(currentActiveEvents.length + 1);
 	});
 
+	it("Should keep the remaining Simple Claim events in the active list when disabling one of them", async function () {
+		const { erc1155ClaimerInstance, simpleErc1155Instante } = await loadFixture(deployContractsFixture);
+
+		const SIMPLE_CLAIM_EVENT_TYPE = 0; // enum in the smart contract
+		for (let i = 0; i < 3; i++) {
+			await erc1155ClaimerInstance.createSimpleClaimEvent(simpleErc1155Instante.address, i);
+		}
+
+		// The last active event takes the place of the disabled one
+		await erc1155ClaimerInstance.disableClaimEvent(SIMPLE_CLAIM_EVENT_TYPE, 0);
+		expect(bigArrayToArray(await erc1155ClaimerInstance.getSimpleClaimEventsActive())).to.deep.equal([2, 1]);
+
+		await erc1155ClaimerInstance.disableClaimEvent(SIMPLE_CLAIM_EVENT_TYPE, 1);
+		expect(bigArrayToArray(await erc1155ClaimerInstance.getSimpleClaimEventsActive())).to.deep.equal([2]);
+
+		// Reverts because the event has already been disabled
+		await expect(erc1155ClaimerInstance.disableClaimEvent(SIMPLE_CLAIM_EVENT_TYPE, 1)).to.be.revertedWith(
+			"Simple Claim event not in the active list"
+		);
+
+		await erc1155ClaimerInstance.disableClaimEvent(SIMPLE_CLAIM_EVENT_TYPE, 2);
+		expect((await erc1155ClaimerInstance.getSimpleClaimEventsActive()).length).to.equal(0);
+	});
+
 	it("Should NOT allow a wallet WITHOUT the MANAGER_ROLE role to disable an exisiting Simple Claim event", async function () {
 		const { userOne, erc1155ClaimerInstance, simpleErc1155Instante } = await loadFixture(deployContractsFixture);
 
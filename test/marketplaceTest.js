@@ -1,8 +1,16 @@
 const { expect, assert } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
-
-const anyValue = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { loadFixture, mine, setStorageAt, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+	deploySnowTracker,
+	deploySnowTrackerImplementation,
+	deploySnowMarketplace,
+	deployMarketplaceImplementation,
+	getProxyAdmin,
+	upgradeProxy,
+} = require("../scripts/deployment");
 
 describe("Snow token tracker and marketplace - Test", function () {
 	const DEFAULT_ADMIN_ROLE = "0x0000000000000000000000000000000000000000000000000000000000000000";
@@ -13,19 +21,18 @@ describe("Snow token tracker and marketplace - Test", function () {
 	const ZERO_ADDRESS = ethers.constants.AddressZero;
 
 	const MAX_ACTIVE_ORDERS_AMOUNT = 10;
+	// Collection settings: min price, max price, fee override, royalty override and paused state
+	const DEFAULT_COLLECTION_SETTINGS = [0, 0, false, 0, false, ZERO_ADDRESS, 0, false];
 
 	async function deployContractsFixture() {
 		// Define process actors
 		const [deployer, userOne, userTwo, userThree] = await ethers.getSigners();
 
 		// Deploy the SnowTracker contract
-		const SnowTracker = await ethers.getContractFactory("SnowTracker");
-		const snowTracker = await SnowTracker.deploy();
-		await snowTracker.deployed();
+		const snowTracker = await deploySnowTracker();
 
 		// Deploy the Marketplace contract
-		const Marketplace = await ethers.getContractFactory("SnowMarketplace");
-		const marketplace = await Marketplace.deploy(snowTracker.address, MAX_ACTIVE_ORDERS_AMOUNT);
+		const marketplace = await deployMarketplace(snowTracker.address, MAX_ACTIVE_ORDERS_AMOUNT);
 		await marketplace.deployed();
 
 		// Deploy a simple ERC721 token to test the marketplace
@@ -41,6 +48,10 @@ describe("Snow token tracker and marketplace - Test", function () {
 		// Grant to the deployer the SPENDER_ROLE role
 		await snowTracker.grantRole(SPENDER_ROLE, deployer.address);
 
+		// Allow the NFTs of the test collections to be listed in the marketplace
+		await marketplace.registerCollection(simple721.address, 1, DEFAULT_COLLECTION_SETTINGS);
+		await marketplace.registerCollection(simple1155.address, 0, DEFAULT_COLLECTION_SETTINGS);
+
 		return {
 			deployer,
 			userOne,
@@ -55,17 +66,23 @@ describe("Snow token tracker and marketplace - Test", function () {
 
 	it("Should not allow to deploy with zero address as contract parameter", async function () {
 		// Deploy the SnowTracker contract
-		const SnowTracker = await ethers.getContractFactory("SnowTracker");
-		const snowTracker = await SnowTracker.deploy();
-		await snowTracker.deployed();
+		const snowTracker = await deploySnowTracker();
 
 		// Reverts becasue can't use the zero address in the constructor
-		const Marketplace = await ethers.getContractFactory("SnowMarketplace");
-		await expect(Marketplace.deploy(ZERO_ADDRESS, MAX_ACTIVE_ORDERS_AMOUNT)).to.be.revertedWith(
+		await expect(deployMarketplace(ZERO_ADDRESS, MAX_ACTIVE_ORDERS_AMOUNT)).to.be.revertedWith(
 			"Snow contract address can't be the zero address"
 		);
 	});
 
+	it("Should not allow to deploy with an extension that is not compatible with the marketplace", async function () {
+		const { snowTracker } = await loadFixture(deployContractsFixture);
+
+		// Reverts because the extension has been deployed with another max active orders amount
+		await expect(
+			deployMarketplace(snowTracker.address, MAX_ACTIVE_ORDERS_AMOUNT, MAX_ACTIVE_ORDERS_AMOUNT + 1)
+		).to.be.revertedWith("Invalid marketplace extension");
+	});
+
 	it("Should allow a wallet with the PAUSER_ROLE role to pause and unpause the Snow Tracker", async function () {
 		const { deployer, userOne, snowTracker } = await loadFixture(deployContractsFixture);
 
@@ -629,8 +646,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 		// Mint to deployer wallet ERC1155 tokens
 		const tokenId = 1234;
 		const amount = 9;
-		const toMint = 20;
-		const ERC1155_NFT_TYPE = 0;
+		const toMint = 100;
 		const CANCELED_ORDER_STATE = 2;
 		const orderPrice = 10;
 		await simple1155.mint(deployer.address, tokenId, toMint, "0x00");
@@ -639,58 +655,55 @@ describe("Snow token tracker and marketplace - Test", function () {
 		// Approve the tokens spending from the marketplace side
 		await simple1155.setApprovalForAll(marketplace.address, true);
 
-		// Create orders
-		const orderIds = bigArrayToArray(
-			await marketplace.callStatic.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount)
+		// Create a single order with multiple copies
+		const orderId = await marketplace.callStatic.createBatchERC1155Order(
+			orderPrice,
+			simple1155.address,
+			tokenId,
+			amount
 		);
 		await marketplace.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount);
 		var currentNftsBalance = await simple1155.balanceOf(marketplace.address, tokenId);
 
 		// Check the number of ERC1155 NFT copies put on sale
 		expect(currentNftsBalance).to.equal(amount);
+		expect(await marketplace.onSaleErc1155Tokens()).to.equal(amount);
+
+		// Check that only one active order slot is used
+		expect((await marketplace.getActiveOrderIds()).length).to.equal(1);
+		const orderDetails = await marketplace.orderDetails(orderId);
+		expect(orderDetails.amount).to.equal(amount);
+		expect(orderDetails.remainingAmount).to.equal(amount);
+
+		// Reverts because the sender doesn't own enough copies
+		await expect(
+			marketplace.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, toMint)
+		).to.be.revertedWith("No tokens available to create the order");
+
+		// Fill all the remaining active order slots
+		for (let i = 1; i < MAX_ACTIVE_ORDERS_AMOUNT; i++) {
+			await marketplace.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, 2);
+		}
 
 		// Reverts because the limit of concurrent active orders has been reached
 		await expect(marketplace.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, 2)).to.be.revertedWith(
 			"Max concurrent active orders limit reached!"
 		);
 
-		var deletedOrders = [];
-		for (let i = 0; i < orderIds.length; i++) {
-			const toDelete = Math.random() < 0.5 ? false : true;
-			if (toDelete) {
-				deletedOrders.push(orderIds[i]);
-				await marketplace.cancelOrder(orderIds[i]);
-			}
-		}
+		// Cancel the order and check that all the copies are sent back
+		await marketplace.cancelOrder(orderId);
 
-		// Check the number of ERC1155 NFT copies put on sale (after removing some NFTs)
 		currentNftsBalance = await simple1155.balanceOf(marketplace.address, tokenId);
-		expect(currentNftsBalance).to.equal(amount - deletedOrders.length);
-
-		var currentActiveOrderIds = bigArrayToArray(await marketplace.getActiveOrderIds());
-
-		var wrongElements = 0;
-
-		// Check removal consistency in a two steps
-		for (let i = 0; i < currentActiveOrderIds.length; i++) {
-			if (deletedOrders.includes(currentActiveOrderIds[i])) {
-				wrongElements++;
-			}
-		}
-
-		for (let i = 0; i < deletedOrders.length; i++) {
-			if (currentActiveOrderIds.includes(deletedOrders[i])) {
-				wrongElements++;
-			}
-		}
+		expect(currentNftsBalance).to.equal((MAX_ACTIVE_ORDERS_AMOUNT - 1) * 2);
+		expect(await marketplace.onSaleErc1155Tokens()).to.equal((MAX_ACTIVE_ORDERS_AMOUNT - 1) * 2);
 
-		for (let i = 0; i < deletedOrders.length; i++) {
-			const orderDetails = await marketplace.orderDetails(deletedOrders[i]);
-			expect(orderDetails.orderState).to.equal(CANCELED_ORDER_STATE);
-			expect(orderDetails.filledAtBlock).to.equal(0);
-		}
+		const currentActiveOrderIds = bigArrayToArray(await marketplace.getActiveOrderIds());
+		expect(currentActiveOrderIds.includes(orderId.toNumber())).to.equal(false);
 
-		expect(wrongElements).to.equal(0);
+		const canceledOrderDetails = await marketplace.orderDetails(orderId);
+		expect(canceledOrderDetails.orderState).to.equal(CANCELED_ORDER_STATE);
+		expect(canceledOrderDetails.remainingAmount).to.equal(0);
+		expect(canceledOrderDetails.filledAtBlock).to.equal(0);
 	});
 
 	it("Should emit the correct errors when trying to create a new order with incorrect requirements", async function () {
@@ -708,10 +721,8 @@ describe("Snow token tracker and marketplace - Test", function () {
 		// Approve the tokens spending from the marketplace side
 		await simple1155.setApprovalForAll(marketplace.address, true);
 
-		// Create orders
-		const orderIds = bigArrayToArray(
-			await marketplace.callStatic.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount)
-		);
+		// Create order
+		await marketplace.callStatic.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount);
 
 		// Reverts becasue user One doesn't have the ORDERS_MANAGER_ROLE role granted
 		await expect(marketplace.connect(userOne).createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount))
@@ -779,7 +790,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 
 			// Give to the userOne enough tokens to fulfill the order
 			const orderId = activeOrders[0].toNumber();
-			await expect(marketplace.connect(userOne).fulfillOrder(orderId)).to.be.revertedWith(
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
 				"Not enough tokens available to buy the NFT"
 			);
 		});
@@ -792,7 +803,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 
 			// Give to the userOne enough tokens to fulfill the order
 			const orderId = activeOrders[0].toNumber();
-			await expect(marketplace.connect(userOne).fulfillOrder(orderId)).to.be.reverted;
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.reverted;
 		});
 
 		it("Should NOT allow to fulfill an invalid MarketOrder", async function () {
@@ -806,9 +817,9 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const orderId = activeOrders[0].toNumber();
 
 			// Give the marketplace the permission to spend users tokens
-			await snowTracker.grantRole(SPENDER_ROLE, marketplace.address);
+			await approveMarketplace(snowTracker, marketplace);
 
-			await expect(marketplace.connect(userOne).fulfillOrder(INVALID_ORDER_ID)).to.be.revertedWith(
+			await expect(marketplace.connect(userOne).fulfillOrder(INVALID_ORDER_ID, 1)).to.be.revertedWith(
 				"Invalid order ID provided"
 			);
 		});
@@ -825,7 +836,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const orderDetails = await marketplace.orderDetails(orderId);
 
 			// Give the marketplace the permission to spend users tokens
-			await snowTracker.grantRole(SPENDER_ROLE, marketplace.address);
+			await approveMarketplace(snowTracker, marketplace);
 
 			// Check NFTs on sale number
 			const initialErc721OnSale = await marketplace.onSaleErc721Tokens();
@@ -840,10 +851,10 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const initialTotalMarketTokensSpent = await marketplace.totalTokensSpent();
 
 			// Fulfill market order
-			await marketplace.connect(userOne).fulfillOrder(orderId);
+			await marketplace.connect(userOne).fulfillOrder(orderId, 1);
 
 			// Reverts because the order is no longer active
-			await expect(marketplace.connect(userOne).fulfillOrder(orderId)).to.be.revertedWith(
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
 				"The order is not active anymore"
 			);
 
@@ -882,7 +893,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const orderDetails = await marketplace.orderDetails(orderId);
 
 			// Give the marketplace the permission to spend users tokens
-			await snowTracker.grantRole(SPENDER_ROLE, marketplace.address);
+			await approveMarketplace(snowTracker, marketplace);
 
 			// Check NFTs on sale number
 			const initialErc1155OnSale = await marketplace.onSaleErc1155Tokens();
@@ -897,7 +908,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const initialTotalMarketTokensSpent = await marketplace.totalTokensSpent();
 
 			// Fulfill market order
-			await marketplace.connect(userOne).fulfillOrder(orderId);
+			await marketplace.connect(userOne).fulfillOrder(orderId, 1);
 
 			const currenUserOneBalance = await snowTracker.balances(userOne.address);
 			expect(currenUserOneBalance).to.equal(initialUserOneBalance.toNumber() - orderDetails.price.toNumber());
@@ -936,7 +947,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const orderDetails = await marketplace.orderDetails(orderId);
 
 			// Give the marketplace the permission to spend users tokens
-			await snowTracker.grantRole(SPENDER_ROLE, marketplace.address);
+			await approveMarketplace(snowTracker, marketplace);
 
 			// Check NFTs on sale number
 			const initialErc1155OnSale = await marketplace.onSaleErc1155Tokens();
@@ -949,7 +960,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			await expect(marketplace.connect(userOne).pauseMarketplace()).to.be.reverted;
 
 			// Fulfill market order
-			await expect(marketplace.connect(userOne).fulfillOrder(orderId)).to.be.revertedWith("Marketplace not active");
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith("Marketplace not active");
 		});
 
 		it("Should allow to fulfill an ERC1155 MarketOrder if the marketplace is paused and then unpaused", async function () {
@@ -964,7 +975,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			const orderDetails = await marketplace.orderDetails(orderId);
 
 			// Give the marketplace the permission to spend users tokens
-			await snowTracker.grantRole(SPENDER_ROLE, marketplace.address);
+			await approveMarketplace(snowTracker, marketplace);
 
 			// Check NFTs on sale number
 			const initialErc1155OnSale = await marketplace.onSaleErc1155Tokens();
@@ -980,7 +991,7 @@ describe("Snow token tracker and marketplace - Test", function () {
 			await marketplace.unpauseMarketplace();
 
 			// Fulfill market order
-			await expect(marketplace.connect(userOne).fulfillOrder(orderId)).to.not.be.reverted;
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.not.be.reverted;
 		});
 
 		it("Should NOT allow a wallet address WITHOUT the ORDERS_MANAGER_ROLE role to cancel an ERC721 order", async function () {
@@ -1114,7 +1125,3092 @@ describe("Snow token tracker and marketplace - Test", function () {
 			await marketplace.cancelOrder(orderId);
 		});
 	});
-});
+
+	describe("Open listing testing", function () {
+		async function openListingFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// Mint an ERC721 token to the userOne wallet, that has no roles granted
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+
+			// Enable the open listing mode
+			await marketplace.setOpenListing(true);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		it("Should allow only a wallet with the MANAGER_ROLE role to enable and disable the open listing mode", async function () {
+			const { marketplace, userOne } = await loadFixture(deployContractsFixture);
+
+			expect(await marketplace.isOpenListingActive()).to.equal(false);
+
+			// Reverts because the userOne doesn't have the MANAGER_ROLE role granted
+			await expect(marketplace.connect(userOne).setOpenListing(true)).to.be.reverted;
+
+			await expect(marketplace.setOpenListing(true)).to.emit(marketplace, "OpenListingUpdated");
+			expect(await marketplace.isOpenListingActive()).to.equal(true);
+
+			await marketplace.setOpenListing(false);
+			expect(await marketplace.isOpenListingActive()).to.equal(false);
+		});
+
+		it("Should allow any NFT holder to create a peer-to-peer order only if the open listing mode is active", async function () {
+			const { marketplace, userOne, simple721 } = await loadFixture(openListingFixture);
+
+			const tokenId = 0;
+			const ERC721_NFT_TYPE = 1;
+			const orderPrice = 50;
+
+			// Reverts because the open listing mode is disabled
+			await marketplace.setOpenListing(false);
+			await expect(
+				marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId)
+			).to.be.revertedWith("You are not allowed to create orders");
+
+			await marketplace.setOpenListing(true);
+			const orderId = await marketplace
+				.connect(userOne)
+				.callStatic.createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+
+			const orderDetails = await marketplace.orderDetails(orderId);
+			expect(orderDetails.maker).to.equal(userOne.address);
+			expect(orderDetails.isPeerToPeer).to.equal(true);
+			expect(await simple721.ownerOf(tokenId)).to.equal(marketplace.address);
+		});
+
+		it("Should allow only the maker to cancel a peer-to-peer order", async function () {
+			const { deployer, marketplace, userOne, userTwo, simple721 } = await loadFixture(openListingFixture);
+
+			const tokenId = 0;
+			const ERC721_NFT_TYPE = 1;
+			const orderPrice = 50;
+			const orderId = await marketplace
+				.connect(userOne)
+				.callStatic.createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+
+			// Reverts because only the maker can cancel a peer-to-peer order
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await expect(marketplace.connect(userTwo).cancelOrder(orderId)).to.be.revertedWith(
+				"Only the maker can cancel this order"
+			);
+			await expect(marketplace.cancelOrder(orderId)).to.be.revertedWith("Only the maker can cancel this order");
+
+			await marketplace.connect(userOne).cancelOrder(orderId);
+			expect(await simple721.ownerOf(tokenId)).to.equal(userOne.address);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+		});
+
+		it("Should send the SNOW tokens paid for a peer-to-peer order to the maker", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721 } = await loadFixture(openListingFixture);
+
+			const tokenId = 0;
+			const ERC721_NFT_TYPE = 1;
+			const orderPrice = 50;
+			const orderId = await marketplace
+				.connect(userOne)
+				.callStatic.createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, tokenId);
+
+			// Reverts because the maker can't buy his own order
+			await snowTracker.addTokens(userOne.address, orderPrice);
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
+				"Can't fulfill your own order"
+			);
+
+			await snowTracker.addTokens(userTwo.address, orderPrice);
+			const initialTotalSupply = await snowTracker.totalSupply();
+
+			await marketplace.connect(userTwo).fulfillOrder(orderId, 1);
+
+			expect(await simple721.ownerOf(tokenId)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(0);
+			expect(await snowTracker.balances(userOne.address)).to.equal(orderPrice * 2);
+			expect(await snowTracker.totalSupply()).to.equal(initialTotalSupply);
+			expect(await marketplace.totalTokensSpent()).to.equal(orderPrice);
+		});
+
+		it("Should NOT allow a wallet without the SPENDER_ROLE role to spend tokens on behalf of another wallet", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			const tokensToSpend = 10;
+			await snowTracker.addTokens(userOne.address, tokensToSpend);
+
+			await expect(snowTracker.connect(userTwo).spendTokens(userOne.address, userTwo.address, tokensToSpend)).to.be
+				.reverted;
+
+			await expect(snowTracker.spendTokens(userOne.address, userTwo.address, tokensToSpend)).to.emit(
+				snowTracker,
+				"TokensSpent"
+			);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(tokensToSpend);
+			expect(await snowTracker.uniqueHolders()).to.equal(1);
+		});
+	});
+
+	describe("Multi-copy orders testing", function () {
+		async function createMultiCopyOrderFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			const tokenId = 1234;
+			const amount = 5;
+			const orderPrice = 10;
+			await simple1155.mint(deployer.address, tokenId, amount, "0x00");
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple1155.setApprovalForAll(marketplace.address, true);
+			await marketplace.createBatchERC1155Order(orderPrice, simple1155.address, tokenId, amount);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 5000);
+			await snowTracker.addTokens(userTwo.address, 5000);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		it("Should allow to partially fill a multi-copy ERC1155 order", async function () {
+			const { marketplace, snowTracker, userOne, simple1155 } = await loadFixture(createMultiCopyOrderFixture);
+
+			const orderId = (await marketplace.getActiveOrderIds())[0];
+			const orderDetails = await marketplace.orderDetails(orderId);
+			const copiesToBuy = 3;
+
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, copiesToBuy))
+				.to.emit(marketplace, "OrderCopiesBought")
+				.withArgs(orderId, userOne.address, copiesToBuy, anyValue)
+				.and.to.not.emit(marketplace, "OrderFulfilled");
+
+			expect(await simple1155.balanceOf(userOne.address, orderDetails.tokenId)).to.equal(copiesToBuy);
+			expect(await snowTracker.balances(userOne.address)).to.equal(5000 - orderDetails.price * copiesToBuy);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(orderDetails.amount - copiesToBuy);
+			expect(await marketplace.totalTokensSpent()).to.equal(orderDetails.price * copiesToBuy);
+			expect(await marketplace.ordersFullfilled()).to.equal(0);
+
+			// The order is still open and active
+			const currentOrderDetails = await marketplace.orderDetails(orderId);
+			const OPEN_ORDER_STATE = 0;
+			expect(currentOrderDetails.orderState).to.equal(OPEN_ORDER_STATE);
+			expect(currentOrderDetails.remainingAmount).to.equal(orderDetails.amount - copiesToBuy);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(1);
+		});
+
+		it("Should close a multi-copy ERC1155 order only when it is sold out", async function () {
+			const { marketplace, userOne, userTwo, simple1155 } = await loadFixture(createMultiCopyOrderFixture);
+
+			const orderId = (await marketplace.getActiveOrderIds())[0];
+			const orderDetails = await marketplace.orderDetails(orderId);
+
+			await marketplace.connect(userOne).fulfillOrder(orderId, 2);
+
+			// Reverts because there aren't enough copies left
+			await expect(marketplace.connect(userTwo).fulfillOrder(orderId, 4)).to.be.revertedWith(
+				"Invalid amount of copies to buy"
+			);
+
+			// Reverts because can't buy 0 copies
+			await expect(marketplace.connect(userTwo).fulfillOrder(orderId, 0)).to.be.revertedWith(
+				"Invalid amount of copies to buy"
+			);
+
+			await expect(marketplace.connect(userTwo).fulfillOrder(orderId, 3)).to.emit(marketplace, "OrderFulfilled");
+
+			const currentOrderDetails = await marketplace.orderDetails(orderId);
+			const CLOSED_SUCCESSFULLY_ORDER_STATE = 1;
+			expect(currentOrderDetails.orderState).to.equal(CLOSED_SUCCESSFULLY_ORDER_STATE);
+			expect(currentOrderDetails.remainingAmount).to.equal(0);
+			expect(currentOrderDetails.paidPrice).to.equal(orderDetails.price.mul(5));
+			expect(currentOrderDetails.filledAtBlock).to.be.greaterThan(0);
+			expect(await marketplace.ordersFullfilled()).to.equal(1);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(0);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(0);
+			expect(await simple1155.balanceOf(userTwo.address, orderDetails.tokenId)).to.equal(3);
+		});
+
+		it("Should send back only the unsold copies when canceling a partially filled order", async function () {
+			const { deployer, marketplace, userOne, simple1155 } = await loadFixture(createMultiCopyOrderFixture);
+
+			const orderId = (await marketplace.getActiveOrderIds())[0];
+			const orderDetails = await marketplace.orderDetails(orderId);
+
+			await marketplace.connect(userOne).fulfillOrder(orderId, 2);
+			await marketplace.cancelOrder(orderId);
+
+			expect(await simple1155.balanceOf(deployer.address, orderDetails.tokenId)).to.equal(3);
+			expect(await simple1155.balanceOf(marketplace.address, orderDetails.tokenId)).to.equal(0);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(0);
+		});
+	});
+
+	describe("Scheduled orders testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const orderPrice = 50;
+
+		async function scheduledOrderFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			await simple721.safeMint(deployer.address);
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple721.setApprovalForAll(marketplace.address, true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 5000);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		it("Should NOT allow to create a scheduled order with an invalid blocks range", async function () {
+			const { marketplace, simple721 } = await loadFixture(scheduledOrderFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+
+			// Reverts because the expiry block is lower than the start block
+			await expect(
+				marketplace.createScheduledOrder(
+					orderPrice,
+					ERC721_NFT_TYPE,
+					simple721.address,
+					0,
+					1,
+					currentBlock + 20,
+					currentBlock + 10
+				)
+			).to.be.revertedWith("Invalid order blocks range");
+
+			// Reverts because the expiry block is already passed
+			await expect(
+				marketplace.createScheduledOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, 0, 1)
+			).to.be.revertedWith("Invalid order blocks range");
+
+			// Reverts because an ERC721 order can't contain more than 1 copy
+			await expect(
+				marketplace.createScheduledOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 2, 0, 0)
+			).to.be.revertedWith("Can't sell more than 1 copy of an ERC721 token");
+		});
+
+		it("Should allow to fulfill a scheduled order only inside its blocks range", async function () {
+			const { marketplace, simple721, userOne } = await loadFixture(scheduledOrderFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			const startBlock = currentBlock + 10;
+			const expiryBlock = currentBlock + 20;
+			const orderId = await marketplace.callStatic.createScheduledOrder(
+				orderPrice,
+				ERC721_NFT_TYPE,
+				simple721.address,
+				0,
+				1,
+				startBlock,
+				expiryBlock
+			);
+			await marketplace.createScheduledOrder(
+				orderPrice,
+				ERC721_NFT_TYPE,
+				simple721.address,
+				0,
+				1,
+				startBlock,
+				expiryBlock
+			);
+
+			const orderDetails = await marketplace.orderDetails(orderId);
+			expect(orderDetails.startBlock).to.equal(startBlock);
+			expect(orderDetails.expiryBlock).to.equal(expiryBlock);
+
+			// Reverts because the order is not started yet
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
+				"The order is not started yet"
+			);
+
+			await mine(10);
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.not.be.reverted;
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+		});
+
+		it("Should NOT allow to fulfill an expired order and let anyone sweep it", async function () {
+			const { deployer, marketplace, simple721, userOne, userTwo } = await loadFixture(scheduledOrderFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			const expiryBlock = currentBlock + 5;
+			const orderId = await marketplace.callStatic.createScheduledOrder(
+				orderPrice,
+				ERC721_NFT_TYPE,
+				simple721.address,
+				0,
+				1,
+				0,
+				expiryBlock
+			);
+			await marketplace.createScheduledOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, 0, expiryBlock);
+
+			// Nothing to sweep because the order is not expired yet
+			expect(await marketplace.isOrderExpired(orderId)).to.equal(false);
+			expect(await marketplace.callStatic.sweepExpiredOrders([orderId])).to.equal(0);
+
+			await mine(10);
+			expect(await marketplace.isOrderExpired(orderId)).to.equal(true);
+
+			// Reverts because the order is expired
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith("The order is expired");
+
+			await expect(marketplace.connect(userTwo).sweepExpiredOrders([orderId]))
+				.to.emit(marketplace, "OrderCanceledWithReason")
+				.withArgs(orderId, userTwo.address, "expired", anyValue);
+
+			const EXPIRED_ORDER_STATE = 3;
+			const orderDetails = await marketplace.orderDetails(orderId);
+			expect(orderDetails.orderState).to.equal(EXPIRED_ORDER_STATE);
+			expect(await simple721.ownerOf(0)).to.equal(deployer.address);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(0);
+
+			// Already swept orders are skipped
+			expect(await marketplace.callStatic.sweepExpiredOrders([orderId])).to.equal(0);
+		});
+	});
+
+	describe("English auctions testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const reservePrice = 100;
+		const minBidIncrement = 10;
+
+		async function createAuctionFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			await simple721.safeMint(deployer.address);
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple721.setApprovalForAll(marketplace.address, true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 1000);
+			await snowTracker.addTokens(userTwo.address, 1000);
+
+			const endBlock = (await ethers.provider.getBlockNumber()) + 20;
+			const orderId = await marketplace.callStatic.createAuctionOrder(
+				ERC721_NFT_TYPE,
+				simple721.address,
+				0,
+				1,
+				reservePrice,
+				minBidIncrement,
+				endBlock
+			);
+			await marketplace.createAuctionOrder(
+				ERC721_NFT_TYPE,
+				simple721.address,
+				0,
+				1,
+				reservePrice,
+				minBidIncrement,
+				endBlock
+			);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155, orderId };
+		}
+
+		it("Should create an auction order in the active orders list", async function () {
+			const { deployer, marketplace, simple721, orderId } = await loadFixture(createAuctionFixture);
+
+			const ENGLISH_AUCTION_ORDER_TYPE = 1;
+			const orderDetails = await marketplace.orderDetails(orderId);
+			expect(orderDetails.orderType).to.equal(ENGLISH_AUCTION_ORDER_TYPE);
+			expect(orderDetails.price).to.equal(reservePrice);
+			expect(orderDetails.maker).to.equal(deployer.address);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.include(orderId.toNumber());
+
+			const auctionDetails = await marketplace.auctionDetails(orderId);
+			expect(auctionDetails.minBidIncrement).to.equal(minBidIncrement);
+			expect(auctionDetails.highestBidder).to.equal(ZERO_ADDRESS);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+
+			// Reverts because the end block is already passed
+			await simple721.safeMint(deployer.address);
+			await expect(
+				marketplace.createAuctionOrder(ERC721_NFT_TYPE, simple721.address, 1, 1, reservePrice, minBidIncrement, 1)
+			).to.be.revertedWith("Invalid auction end block");
+		});
+
+		it("Should escrow the highest bid and refund the outbid bidder", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, orderId } = await loadFixture(createAuctionFixture);
+
+			// Reverts because the bid is lower than the reserve price
+			await expect(marketplace.connect(userOne).placeBid(orderId, reservePrice - 1)).to.be.revertedWith(
+				"Bid lower than the reserve price"
+			);
+
+			// Reverts because an auction can't be fulfilled at a fixed price
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
+				"Can't fulfill an auction, place a bid instead"
+			);
+
+			await expect(marketplace.connect(userOne).placeBid(orderId, reservePrice))
+				.to.emit(marketplace, "BidPlaced")
+				.withArgs(orderId, userOne.address, reservePrice, anyValue);
+			expect(await snowTracker.balances(userOne.address)).to.equal(1000 - reservePrice);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(reservePrice);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(reservePrice);
+
+			// Reverts because the bid doesn't respect the min increment
+			await expect(
+				marketplace.connect(userTwo).placeBid(orderId, reservePrice + minBidIncrement - 1)
+			).to.be.revertedWith("Bid lower than the min required");
+
+			const newBid = reservePrice + minBidIncrement;
+			await marketplace.connect(userTwo).placeBid(orderId, newBid);
+			expect(await snowTracker.balances(userOne.address)).to.equal(1000);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000 - newBid);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(newBid);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(newBid);
+
+			const auctionDetails = await marketplace.auctionDetails(orderId);
+			expect(auctionDetails.highestBid).to.equal(newBid);
+			expect(auctionDetails.highestBidder).to.equal(userTwo.address);
+		});
+
+		it("Should let anyone settle an ended auction with bids", async function () {
+			const { marketplace, snowTracker, simple721, userOne, userThree, orderId } = await loadFixture(
+				createAuctionFixture
+			);
+
+			await marketplace.connect(userOne).placeBid(orderId, reservePrice);
+
+			// Reverts because the auction is not ended
+			await expect(marketplace.connect(userThree).settleAuction(orderId)).to.be.revertedWith(
+				"The auction is not ended"
+			);
+
+			// Reverts because an auction with bids can't be canceled
+			await expect(marketplace.cancelOrder(orderId)).to.be.revertedWith("Can't cancel an auction with bids");
+
+			await mine(20);
+
+			// Reverts because the auction is ended
+			await expect(marketplace.connect(userOne).placeBid(orderId, reservePrice * 2)).to.be.revertedWith(
+				"The auction is ended"
+			);
+
+			const initialTotalSupply = await snowTracker.totalSupply();
+			await expect(marketplace.connect(userThree).settleAuction(orderId))
+				.to.emit(marketplace, "OrderFulfilled")
+				.withArgs(orderId, userOne.address, anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(0);
+			expect(await snowTracker.totalSupply()).to.equal(initialTotalSupply - reservePrice);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+			expect(await marketplace.totalTokensSpent()).to.equal(reservePrice);
+			expect(await marketplace.ordersFullfilled()).to.equal(1);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+
+			const orderDetails = await marketplace.orderDetails(orderId);
+			const CLOSED_SUCCESSFULLY_ORDER_STATE = 1;
+			expect(orderDetails.orderState).to.equal(CLOSED_SUCCESSFULLY_ORDER_STATE);
+			expect(orderDetails.taker).to.equal(userOne.address);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(0);
+
+			// Reverts because the auction has already been settled
+			await expect(marketplace.settleAuction(orderId)).to.be.revertedWith("The auction is not active");
+		});
+
+		it("Should settle an auction whose highest bidder can't receive the NFT", async function () {
+			const { deployer, marketplace, snowTracker, simple721, userOne, userThree, orderId } = await loadFixture(
+				createAuctionFixture
+			);
+
+			const RejectingWallet = await ethers.getContractFactory("RejectingWallet");
+			const bidder = await RejectingWallet.deploy(marketplace.address);
+			await bidder.deployed();
+			await snowTracker.addTokens(bidder.address, 1000);
+			await bidder.placeBid(snowTracker.address, orderId, reservePrice);
+			await mine(20);
+
+			// The bid is paid and the NFT stays escrowed for the highest bidder
+			await expect(marketplace.connect(userThree).settleAuction(orderId))
+				.to.emit(marketplace, "AuctionNftsUnclaimed")
+				.withArgs(orderId, bidder.address, anyValue);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+			expect(await marketplace.unclaimedAuctionWinners(orderId)).to.equal(bidder.address);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+			expect((await marketplace.orderDetails(orderId)).taker).to.equal(bidder.address);
+
+			// Reverts because the escrowed NFT can't be recovered by the admin
+			await expect(
+				marketplace.recoverNfts(ERC721_NFT_TYPE, simple721.address, [0], [1], deployer.address)
+			).to.be.revertedWith("The NFT is escrowed by an open order");
+			// Reverts because only the highest bidder can claim the NFT
+			await expect(marketplace.connect(userOne).claimAuctionNfts(orderId, userOne.address)).to.be.revertedWith(
+				"No NFTs to claim"
+			);
+
+			await expect(bidder.claimAuctionNfts(orderId, userOne.address))
+				.to.emit(marketplace, "AuctionNftsClaimed")
+				.withArgs(orderId, bidder.address, userOne.address, anyValue);
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+			await expect(bidder.claimAuctionNfts(orderId, userOne.address)).to.be.revertedWith("No NFTs to claim");
+		});
+
+		it("Should send back the NFT to the maker when settling an auction without bids", async function () {
+			const { deployer, marketplace, simple721, userThree, orderId } = await loadFixture(createAuctionFixture);
+
+			await mine(20);
+			await expect(marketplace.connect(userThree).settleAuction(orderId))
+				.to.emit(marketplace, "OrderCanceledWithReason")
+				.withArgs(orderId, userThree.address, "unsold", anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(deployer.address);
+			expect(await marketplace.ordersFullfilled()).to.equal(0);
+		});
+
+		it("Should NOT allow to update the Snow contract reference while bids are escrowed", async function () {
+			const { marketplace, userOne, orderId } = await loadFixture(createAuctionFixture);
+
+			await marketplace.connect(userOne).placeBid(orderId, reservePrice);
+			await expect(marketplace.updateSnowTokenContract(userOne.address)).to.be.revertedWith(
+				"Can't update the contract while tokens are escrowed"
+			);
+		});
+	});
+
+	describe("Dutch auctions testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const tokenId = 1234;
+		const startPrice = 1000;
+		const floorPrice = 200;
+		const decayBlocks = 100;
+
+		async function createDutchAuctionFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			await simple1155.mint(deployer.address, tokenId, 5, "0x00");
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple1155.setApprovalForAll(marketplace.address, true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 5000);
+
+			const decayStartBlock = (await ethers.provider.getBlockNumber()) + 10;
+			const decayEndBlock = decayStartBlock + decayBlocks;
+			const orderId = await marketplace.callStatic.createDutchAuctionOrder(
+				ERC1155_NFT_TYPE,
+				simple1155.address,
+				tokenId,
+				5,
+				startPrice,
+				floorPrice,
+				decayStartBlock,
+				decayEndBlock
+			);
+			await marketplace.createDutchAuctionOrder(
+				ERC1155_NFT_TYPE,
+				simple1155.address,
+				tokenId,
+				5,
+				startPrice,
+				floorPrice,
+				decayStartBlock,
+				decayEndBlock
+			);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple1155, orderId, decayStartBlock };
+		}
+
+		it("Should NOT allow to create a Dutch auction with invalid parameters", async function () {
+			const { marketplace, simple1155 } = await loadFixture(createDutchAuctionFixture);
+
+			// Reverts because the floor price is greater than the start price
+			await expect(
+				marketplace.createDutchAuctionOrder(ERC1155_NFT_TYPE, simple1155.address, tokenId, 1, 100, 200, 10, 20)
+			).to.be.revertedWith("Invalid Dutch auction prices");
+
+			// Reverts because the decay blocks range is empty
+			await expect(
+				marketplace.createDutchAuctionOrder(ERC1155_NFT_TYPE, simple1155.address, tokenId, 1, 200, 100, 20, 20)
+			).to.be.revertedWith("Invalid Dutch auction blocks range");
+		});
+
+		it("Should decrease linearly the price of a Dutch auction", async function () {
+			const { marketplace, orderId, decayStartBlock } = await loadFixture(createDutchAuctionFixture);
+
+			expect(await marketplace.getCurrentPrice(orderId)).to.equal(startPrice);
+
+			// Move to the middle of the decay blocks range
+			await mine(decayStartBlock + decayBlocks / 2 - (await ethers.provider.getBlockNumber()));
+			expect(await marketplace.getCurrentPrice(orderId)).to.equal((startPrice + floorPrice) / 2);
+
+			// Move after the end of the decay blocks range
+			await mine(decayBlocks);
+			expect(await marketplace.getCurrentPrice(orderId)).to.equal(floorPrice);
+		});
+
+		it("Should charge and record the current price when fulfilling a Dutch auction", async function () {
+			const { marketplace, snowTracker, simple1155, userOne, orderId, decayStartBlock } = await loadFixture(
+				createDutchAuctionFixture
+			);
+
+			// Reverts because the decay is not started yet
+			await expect(marketplace.connect(userOne).fulfillOrder(orderId, 1)).to.be.revertedWith(
+				"The order is not started yet"
+			);
+
+			// The fulfill transaction is mined in the block after the current one
+			const copiesToBuy = 2;
+			const fillBlock = decayStartBlock + decayBlocks / 4;
+			await mine(fillBlock - 1 - (await ethers.provider.getBlockNumber()));
+			const expectedPrice = startPrice - ((startPrice - floorPrice) * (decayBlocks / 4)) / decayBlocks;
+
+			await marketplace.connect(userOne).fulfillOrder(orderId, copiesToBuy);
+
+			expect(await simple1155.balanceOf(userOne.address, tokenId)).to.equal(copiesToBuy);
+			expect(await snowTracker.balances(userOne.address)).to.equal(5000 - expectedPrice * copiesToBuy);
+			expect(await marketplace.totalTokensSpent()).to.equal(expectedPrice * copiesToBuy);
+
+			const orderDetails = await marketplace.orderDetails(orderId);
+			expect(orderDetails.paidPrice).to.equal(expectedPrice * copiesToBuy);
+			expect(orderDetails.remainingAmount).to.equal(3);
+		});
+	});
+
+	describe("Offers testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const offerPrice = 300;
+
+		async function createOfferFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			// Mint two ERC721 tokens to the userOne wallet
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 1000);
+			await marketplace.setOpenListing(true);
+
+			const expiryBlock = (await ethers.provider.getBlockNumber()) + 20;
+			const offerId = await marketplace
+				.connect(userTwo)
+				.callStatic.createOffer(ERC721_NFT_TYPE, simple721.address, 1, false, offerPrice, expiryBlock);
+			await marketplace
+				.connect(userTwo)
+				.createOffer(ERC721_NFT_TYPE, simple721.address, 1, false, offerPrice, expiryBlock);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155, offerId };
+		}
+
+		it("Should escrow the offered SNOW tokens when creating an offer", async function () {
+			const { marketplace, snowTracker, userTwo, simple721, offerId } = await loadFixture(createOfferFixture);
+
+			const offerDetails = await marketplace.offerDetails(offerId);
+			expect(offerDetails.bidder).to.equal(userTwo.address);
+			expect(offerDetails.tokenId).to.equal(1);
+			expect(offerDetails.price).to.equal(offerPrice);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000 - offerPrice);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(offerPrice);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(offerPrice);
+
+			// Reverts because the expiry block is already passed
+			await expect(
+				marketplace.connect(userTwo).createOffer(ERC721_NFT_TYPE, simple721.address, 1, false, offerPrice, 1)
+			).to.be.revertedWith("Invalid offer expiry block");
+		});
+
+		it("Should allow the NFT owner to accept an offer", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721, offerId } = await loadFixture(
+				createOfferFixture
+			);
+
+			// Reverts because the token is not the one wanted by the offer
+			await expect(marketplace.connect(userOne).acceptOffer(offerId, 0)).to.be.revertedWith(
+				"This token is not the one wanted by the offer"
+			);
+
+			await expect(marketplace.connect(userOne).acceptOffer(offerId, 1))
+				.to.emit(marketplace, "OfferAccepted")
+				.withArgs(offerId, userOne.address, anyValue);
+
+			expect(await simple721.ownerOf(1)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userOne.address)).to.equal(offerPrice);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(0);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+			expect(await marketplace.totalTokensSpent()).to.equal(offerPrice);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+
+			const CLOSED_SUCCESSFULLY_ORDER_STATE = 1;
+			const offerDetails = await marketplace.offerDetails(offerId);
+			expect(offerDetails.offerState).to.equal(CLOSED_SUCCESSFULLY_ORDER_STATE);
+			expect(offerDetails.seller).to.equal(userOne.address);
+
+			// Reverts because the offer has already been accepted
+			await expect(marketplace.connect(userOne).acceptOffer(offerId, 1)).to.be.revertedWith(
+				"The offer is not active anymore"
+			);
+		});
+
+		it("Should allow to accept a collection offer with any token of the collection", async function () {
+			const { marketplace, userOne, userTwo, simple721 } = await loadFixture(createOfferFixture);
+
+			const expiryBlock = (await ethers.provider.getBlockNumber()) + 20;
+			const offerId = await marketplace
+				.connect(userTwo)
+				.callStatic.createOffer(ERC721_NFT_TYPE, simple721.address, 0, true, offerPrice, expiryBlock);
+			await marketplace
+				.connect(userTwo)
+				.createOffer(ERC721_NFT_TYPE, simple721.address, 0, true, offerPrice, expiryBlock);
+
+			await marketplace.connect(userOne).acceptOffer(offerId, 0);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect((await marketplace.offerDetails(offerId)).acceptedTokenId).to.equal(0);
+		});
+
+		it("Should allow only the bidder to cancel an offer before its expiry block", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, userThree, offerId } = await loadFixture(createOfferFixture);
+
+			// Reverts because only the bidder can cancel the offer
+			await expect(marketplace.connect(userThree).cancelOffer(offerId)).to.be.revertedWith(
+				"Only the bidder can cancel this offer"
+			);
+
+			await expect(marketplace.connect(userTwo).cancelOffer(offerId)).to.emit(marketplace, "OfferCanceled");
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+
+			// Reverts because the offer has been canceled
+			await expect(marketplace.connect(userOne).acceptOffer(offerId, 1)).to.be.revertedWith(
+				"The offer is not active anymore"
+			);
+		});
+
+		it("Should NOT allow to accept an expired offer and let anyone refund it", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, userThree, offerId } = await loadFixture(createOfferFixture);
+
+			await mine(20);
+
+			// Reverts because the offer is expired
+			await expect(marketplace.connect(userOne).acceptOffer(offerId, 1)).to.be.revertedWith("The offer is expired");
+
+			await marketplace.connect(userThree).cancelOffer(offerId);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000);
+
+			const EXPIRED_ORDER_STATE = 3;
+			expect((await marketplace.offerDetails(offerId)).offerState).to.equal(EXPIRED_ORDER_STATE);
+		});
+	});
+
+	describe("Fees and royalties testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const ROYALTIES_BPS = 500;
+		const PROTOCOL_FEE_BPS = 250;
+		const orderPrice = 1000;
+
+		async function createRoyaltiesFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// Deploy a collection with royalties paid to the deployer
+			const Erc721Collection = await ethers.getContractFactory("Erc721Collection");
+			const erc721Collection = await Erc721Collection.deploy(0, 10, ROYALTIES_BPS, "my_custom_URI");
+			await erc721Collection.grantRole(await erc721Collection.MINTER_ROLE(), deployer.address);
+			await erc721Collection.safeMint(userOne.address);
+			await erc721Collection.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.registerCollection(erc721Collection.address, 1, DEFAULT_COLLECTION_SETTINGS);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+			await marketplace.setOpenListing(true);
+			await marketplace.updateProtocolFee(PROTOCOL_FEE_BPS, userThree.address);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, erc721Collection };
+		}
+
+		it("Should allow only the manager to update the protocol fee", async function () {
+			const { marketplace, userOne, userThree } = await loadFixture(createRoyaltiesFixture);
+
+			expect(await marketplace.protocolFeeBps()).to.equal(PROTOCOL_FEE_BPS);
+			expect(await marketplace.treasuryWallet()).to.equal(userThree.address);
+
+			// Reverts because the sender is not a manager
+			await expect(marketplace.connect(userOne).updateProtocolFee(100, userOne.address)).to.be.reverted;
+			// Reverts because the fee is greater than the max allowed
+			await expect(marketplace.updateProtocolFee(1001, userThree.address)).to.be.revertedWith(
+				"Protocol fee too high"
+			);
+			// Reverts because the treasury is the zero address
+			await expect(marketplace.updateProtocolFee(100, ZERO_ADDRESS)).to.be.revertedWith(
+				"Treasury can't be the zero address"
+			);
+
+			await expect(marketplace.updateProtocolFee(0, ZERO_ADDRESS)).to.emit(marketplace, "ProtocolFeeUpdated");
+		});
+
+		it("Should split the price of a peer-to-peer sale between treasury, royalty receiver and maker", async function () {
+			const { deployer, marketplace, snowTracker, userOne, userTwo, userThree, erc721Collection } = await loadFixture(
+				createRoyaltiesFixture
+			);
+
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, erc721Collection.address, 0);
+
+			const protocolFee = (orderPrice * PROTOCOL_FEE_BPS) / 10000;
+			const royalty = (orderPrice * ROYALTIES_BPS) / 10000;
+			const sellerProceeds = orderPrice - protocolFee - royalty;
+
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1))
+				.to.emit(marketplace, "SalePaymentSplit")
+				.withArgs(
+					erc721Collection.address,
+					0,
+					userOne.address,
+					protocolFee,
+					deployer.address,
+					royalty,
+					sellerProceeds,
+					anyValue
+				);
+
+			expect(await snowTracker.balances(userTwo.address)).to.equal(5000 - orderPrice);
+			expect(await snowTracker.balances(userThree.address)).to.equal(protocolFee);
+			expect(await snowTracker.balances(deployer.address)).to.equal(royalty);
+			expect(await snowTracker.balances(userOne.address)).to.equal(sellerProceeds);
+			expect(await marketplace.totalTokensSpent()).to.equal(orderPrice);
+			expect(await marketplace.totalFeesCollected()).to.equal(protocolFee);
+			expect(await marketplace.totalRoyaltiesPaid()).to.equal(royalty);
+		});
+
+		it("Should pay fees and royalties also when accepting an offer", async function () {
+			const { deployer, marketplace, snowTracker, userOne, userTwo, userThree, erc721Collection } = await loadFixture(
+				createRoyaltiesFixture
+			);
+
+			const expiryBlock = (await ethers.provider.getBlockNumber()) + 20;
+			await marketplace
+				.connect(userTwo)
+				.createOffer(ERC721_NFT_TYPE, erc721Collection.address, 0, false, orderPrice, expiryBlock);
+			await marketplace.connect(userOne).acceptOffer(0, 0);
+
+			expect(await snowTracker.balances(userThree.address)).to.equal(25);
+			expect(await snowTracker.balances(deployer.address)).to.equal(50);
+			expect(await snowTracker.balances(userOne.address)).to.equal(925);
+			expect(await snowTracker.balances(marketplace.address)).to.equal(0);
+		});
+
+		it("Should charge only the protocol fee if the token contract doesn't support royalties", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, userThree, simple721 } = await loadFixture(
+				createRoyaltiesFixture
+			);
+
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+
+			expect(await snowTracker.balances(userThree.address)).to.equal(25);
+			expect(await snowTracker.balances(userOne.address)).to.equal(975);
+			expect(await marketplace.totalRoyaltiesPaid()).to.equal(0);
+		});
+
+		it("Should burn the whole price of a sale made by an orders manager", async function () {
+			const { deployer, marketplace, snowTracker, userOne, userTwo, userThree, erc721Collection } = await loadFixture(
+				createRoyaltiesFixture
+			);
+
+			// The fee and royalty overrides of the collection are not applied either
+			await marketplace.updateCollectionSettings(erc721Collection.address, [
+				0,
+				0,
+				true,
+				PROTOCOL_FEE_BPS,
+				true,
+				userOne.address,
+				ROYALTIES_BPS,
+				false,
+			]);
+
+			await erc721Collection.safeMint(deployer.address);
+			await erc721Collection.setApprovalForAll(marketplace.address, true);
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await marketplace.createOrder(orderPrice, ERC721_NFT_TYPE, erc721Collection.address, 1);
+			const initialTotalSupply = await snowTracker.totalSupply();
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.not.emit(marketplace, "SalePaymentSplit");
+
+			expect(await snowTracker.balances(userTwo.address)).to.equal(5000 - orderPrice);
+			expect(await snowTracker.balances(userOne.address)).to.equal(0);
+			expect(await snowTracker.balances(userThree.address)).to.equal(0);
+			expect(await snowTracker.balances(deployer.address)).to.equal(0);
+			expect(await snowTracker.totalSupply()).to.equal(initialTotalSupply.sub(orderPrice));
+			expect(await marketplace.totalFeesCollected()).to.equal(0);
+			expect(await marketplace.totalRoyaltiesPaid()).to.equal(0);
+		});
+	});
+
+	describe("Cart checkout testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const orderPrice = 100;
+
+		async function createCartFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// Put on sale three ERC721 tokens
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple721.setApprovalForAll(marketplace.address, true);
+			for (let i = 0; i < 3; i++) {
+				await simple721.safeMint(deployer.address);
+				await marketplace.createOrder(orderPrice * (i + 1), ERC721_NFT_TYPE, simple721.address, i);
+			}
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 5000);
+			await snowTracker.addTokens(userTwo.address, 5000);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721 };
+		}
+
+		it("Should fulfill multiple orders in a single transaction", async function () {
+			const { marketplace, snowTracker, userOne, simple721 } = await loadFixture(createCartFixture);
+
+			await expect(marketplace.connect(userOne).fulfillOrders([0, 1, 2], 600, false))
+				.to.emit(marketplace, "CartCheckedOut")
+				.withArgs(userOne.address, 3, 600, anyValue);
+
+			for (let i = 0; i < 3; i++) {
+				expect(await simple721.ownerOf(i)).to.equal(userOne.address);
+			}
+			expect(await snowTracker.balances(userOne.address)).to.equal(5000 - 600);
+			expect(await marketplace.ordersFullfilled()).to.equal(3);
+			expect(await marketplace.totalTokensSpent()).to.equal(600);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(0);
+		});
+
+		it("Should NOT fulfill a cart whose total price is over the max allowed", async function () {
+			const { marketplace, userOne, simple721, deployer } = await loadFixture(createCartFixture);
+
+			await expect(marketplace.connect(userOne).fulfillOrders([0, 1, 2], 599, false)).to.be.revertedWith(
+				"Total price exceeds the max allowed"
+			);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+			await expect(marketplace.connect(userOne).fulfillOrders([], 599, false)).to.be.revertedWith(
+				"No orders to fulfill"
+			);
+		});
+
+		it("Should skip the orders already taken only if partial carts are allowed", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721 } = await loadFixture(createCartFixture);
+
+			await marketplace.connect(userTwo).fulfillOrder(1, 1);
+
+			// Reverts because the order 1 has already been fulfilled
+			await expect(marketplace.connect(userOne).fulfillOrders([0, 1, 2], 600, false)).to.be.revertedWith(
+				"The order is not active anymore"
+			);
+
+			expect(await marketplace.isOrderFulfillable(1)).to.equal(false);
+			await expect(marketplace.connect(userOne).fulfillOrders([0, 1, 2], 400, true))
+				.to.emit(marketplace, "CartCheckedOut")
+				.withArgs(userOne.address, 2, 400, anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect(await simple721.ownerOf(1)).to.equal(userTwo.address);
+			expect(await simple721.ownerOf(2)).to.equal(userOne.address);
+			expect(await snowTracker.balances(userOne.address)).to.equal(5000 - 400);
+		});
+
+		it("Should keep the remaining orders in the active list when closing one of them", async function () {
+			const { marketplace, userOne } = await loadFixture(createCartFixture);
+
+			// The last active order takes the place of the closed one
+			await marketplace.cancelOrder(0);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.deep.equal([2, 1]);
+
+			await marketplace.connect(userOne).fulfillOrder(1, 1);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.deep.equal([2]);
+
+			// Reverts because the order is not active anymore
+			await expect(marketplace.cancelOrder(1)).to.be.revertedWith("The order to remove is not in the active list");
+
+			await marketplace.cancelOrder(2);
+			expect((await marketplace.getActiveOrderIds()).length).to.equal(0);
+		});
+	});
+
+	describe("Orders queries testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const OPEN_ORDER_STATE = 0;
+		const CLOSED_ORDER_STATE = 1;
+		const NO_FILTER = {
+			filterNftType: false,
+			nftType: 0,
+			tokenContractAddress: ZERO_ADDRESS,
+			maker: ZERO_ADDRESS,
+			minPrice: 0,
+			maxPrice: 0,
+			filterOrderState: false,
+			orderState: 0,
+		};
+
+		async function createOrdersQueriesFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			const Lens = await ethers.getContractFactory("SnowMarketplaceLens");
+			const lens = await Lens.deploy(marketplace.address);
+			await lens.deployed();
+
+			// The deployer puts on sale three ERC721 tokens and an ERC1155 token
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await simple721.setApprovalForAll(marketplace.address, true);
+			await simple1155.setApprovalForAll(marketplace.address, true);
+			for (let i = 0; i < 3; i++) {
+				await simple721.safeMint(deployer.address);
+				await marketplace.createOrder(100 * (i + 1), ERC721_NFT_TYPE, simple721.address, i);
+			}
+			await simple1155.mint(deployer.address, 0, 5, "0x00");
+			await marketplace.createBatchERC1155Order(50, simple1155.address, 0, 5);
+
+			// userOne puts on sale a token with the open listing mode
+			await marketplace.setOpenListing(true);
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.connect(userOne).createOrder(1000, ERC721_NFT_TYPE, simple721.address, 3);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155, lens };
+		}
+
+		it("Should return the details of the active orders with pagination", async function () {
+			const { marketplace, lens } = await loadFixture(createOrdersQueriesFixture);
+
+			const allOrders = await lens.getActiveOrders(NO_FILTER, 0, 10);
+			expect(allOrders.length).to.equal(5);
+			expect(bigArrayToArray(allOrders.map((order) => order.id))).to.deep.equal(
+				bigArrayToArray(await marketplace.getActiveOrderIds())
+			);
+
+			const secondPage = await lens.getActiveOrders(NO_FILTER, 2, 2);
+			expect(bigArrayToArray(secondPage.map((order) => order.id))).to.deep.equal([2, 3]);
+
+			expect((await lens.getActiveOrders(NO_FILTER, 5, 2)).length).to.equal(0);
+		});
+
+		it("Should filter the orders by NFT type, contract, maker and price range", async function () {
+			const { lens, userOne, simple1155, simple721 } = await loadFixture(createOrdersQueriesFixture);
+
+			const erc1155Orders = await lens.getActiveOrders(
+				{ ...NO_FILTER, filterNftType: true, nftType: ERC1155_NFT_TYPE },
+				0,
+				10
+			);
+			expect(bigArrayToArray(erc1155Orders.map((order) => order.id))).to.deep.equal([3]);
+
+			const contractOrders = await lens.getActiveOrders(
+				{ ...NO_FILTER, tokenContractAddress: simple1155.address },
+				0,
+				10
+			);
+			expect(bigArrayToArray(contractOrders.map((order) => order.id))).to.deep.equal([3]);
+
+			const makerOrders = await lens.getActiveOrders({ ...NO_FILTER, maker: userOne.address }, 0, 10);
+			expect(bigArrayToArray(makerOrders.map((order) => order.id))).to.deep.equal([4]);
+
+			const priceRangeOrders = await lens.getActiveOrders(
+				{ ...NO_FILTER, tokenContractAddress: simple721.address, minPrice: 150, maxPrice: 1000 },
+				0,
+				10
+			);
+			expect(bigArrayToArray(priceRangeOrders.map((order) => order.id))).to.deep.equal([1, 2, 4]);
+		});
+
+		it("Should filter all the created orders by state", async function () {
+			const { marketplace, lens, userTwo } = await loadFixture(createOrdersQueriesFixture);
+
+			await marketplace.connect(userTwo).fulfillOrder(1, 1);
+			await marketplace.cancelOrder(0);
+
+			const [closedOrders, nextCursor] = await lens.getOrders(
+				{ ...NO_FILTER, filterOrderState: true, orderState: CLOSED_ORDER_STATE },
+				0,
+				10
+			);
+			expect(bigArrayToArray(closedOrders.map((order) => order.id))).to.deep.equal([1]);
+			expect(nextCursor).to.equal(await marketplace.currentOrderId());
+
+			// The next page starts after the last returned order
+			const openFilter = { ...NO_FILTER, filterOrderState: true, orderState: OPEN_ORDER_STATE };
+			const [firstPage, secondCursor] = await lens.getOrders(openFilter, 0, 2);
+			expect(bigArrayToArray(firstPage.map((order) => order.id))).to.deep.equal([2, 3]);
+			const [secondPage, lastCursor] = await lens.getOrders(openFilter, secondCursor, 2);
+			expect(bigArrayToArray(secondPage.map((order) => order.id))).to.deep.equal([4]);
+			expect(lastCursor).to.equal(5);
+			expect((await lens.getOrders(openFilter, lastCursor, 2)).orders.length).to.equal(0);
+		});
+
+		it("Should filter the Dutch auctions by their current price", async function () {
+			const { deployer, marketplace, lens, simple1155 } = await loadFixture(createOrdersQueriesFixture);
+
+			await simple1155.mint(deployer.address, 1, 1, "0x00");
+			const decayStartBlock = (await ethers.provider.getBlockNumber()) + 2;
+			await marketplace.createDutchAuctionOrder(
+				ERC1155_NFT_TYPE,
+				simple1155.address,
+				1,
+				1,
+				1000,
+				100,
+				decayStartBlock,
+				decayStartBlock + 10
+			);
+
+			const cheapFilter = { ...NO_FILTER, filterNftType: true, nftType: ERC1155_NFT_TYPE, maxPrice: 500 };
+			const [beforeDecay] = await lens.getOrders(cheapFilter, 0, 10);
+			expect(bigArrayToArray(beforeDecay.map((order) => order.id))).to.deep.equal([3]);
+
+			// The auction matches the filter once its price decayed under the max price
+			await mine(decayStartBlock + 10 - (await ethers.provider.getBlockNumber()));
+			const [afterDecay] = await lens.getOrders(cheapFilter, 0, 10);
+			expect(bigArrayToArray(afterDecay.map((order) => order.id))).to.deep.equal([3, 5]);
+		});
+
+		it("Should keep the orders history of each maker and taker", async function () {
+			const { marketplace, lens, deployer, userOne, userTwo } = await loadFixture(createOrdersQueriesFixture);
+
+			await marketplace.connect(userTwo).fulfillOrder(3, 2);
+			await marketplace.connect(userTwo).fulfillOrder(4, 1);
+			await marketplace.connect(userTwo).fulfillOrder(3, 1);
+
+			expect(await marketplace.getMakerOrdersCount(deployer.address)).to.equal(4);
+			expect(await marketplace.getMakerOrdersCount(userOne.address)).to.equal(1);
+			expect(await marketplace.getTakerOrdersCount(userTwo.address)).to.equal(3);
+
+			const makerOrders = await lens.getMakerOrders(deployer.address, 1, 2);
+			expect(bigArrayToArray(makerOrders.map((order) => order.id))).to.deep.equal([1, 2]);
+
+			const purchases = await lens.getTakerOrders(userTwo.address, 0, 10);
+			expect(bigArrayToArray(purchases.map((order) => order.id))).to.deep.equal([3, 4, 3]);
+			expect(purchases[1].taker).to.equal(userTwo.address);
+
+			expect((await lens.getTakerOrders(userOne.address, 0, 10)).length).to.equal(0);
+		});
+	});
+
+	describe("Signed listings testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const listingPrice = 100;
+		const SIGNED_LISTING_TYPES = {
+			SignedListing: [
+				{ name: "maker", type: "address" },
+				{ name: "nftType", type: "uint8" },
+				{ name: "tokenContractAddress", type: "address" },
+				{ name: "tokenId", type: "uint256" },
+				{ name: "amount", type: "uint256" },
+				{ name: "price", type: "uint256" },
+				{ name: "expiryBlock", type: "uint256" },
+				{ name: "nonce", type: "uint256" },
+				{ name: "snowContract", type: "address" },
+			],
+		};
+
+		async function signListing(signer, marketplace, listing) {
+			const domain = {
+				name: "SnowMarketplace",
+				version: "1",
+				chainId: (await ethers.provider.getNetwork()).chainId,
+				verifyingContract: marketplace.address,
+			};
+			return signer._signTypedData(domain, SIGNED_LISTING_TYPES, listing);
+		}
+
+		async function createSignedListingFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			// userOne owns an ERC721 token and 5 copies of an ERC1155 token and
+			// lets the marketplace transfer them
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple1155.mint(userOne.address, 7, 5, "0x00");
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.setOpenListing(true);
+
+			// Give the marketplace the permission to spend users tokens
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+
+			const listing = {
+				maker: userOne.address,
+				nftType: ERC721_NFT_TYPE,
+				tokenContractAddress: simple721.address,
+				tokenId: 0,
+				amount: 1,
+				price: listingPrice,
+				expiryBlock: 0,
+				nonce: 0,
+				snowContract: snowTracker.address,
+			};
+			const signature = await signListing(userOne, marketplace, listing);
+
+			return {
+				deployer,
+				userOne,
+				userTwo,
+				userThree,
+				snowTracker,
+				marketplace,
+				simple721,
+				simple1155,
+				listing,
+				signature,
+			};
+		}
+
+		it("Should allow to fulfill a signed listing without escrowing the NFT", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721, listing, signature } = await loadFixture(
+				createSignedListingFixture
+			);
+
+			const listingHash = await marketplace.getSignedListingHash(listing);
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1))
+				.to.emit(marketplace, "SignedListingFulfilled")
+				.withArgs(listingHash, userOne.address, userTwo.address, 1, anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userOne.address)).to.equal(listingPrice);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(5000 - listingPrice);
+			expect(await marketplace.signedListingSoldAmounts(listingHash)).to.equal(1);
+			expect(await marketplace.totalTokensSpent()).to.equal(listingPrice);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+
+			// Reverts because the listing has already been fulfilled (replay)
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"Invalid amount of copies to buy"
+			);
+		});
+
+		it("Should NOT allow to fulfill a listing with an invalid signature", async function () {
+			const { marketplace, userOne, userTwo, userThree, listing, signature } = await loadFixture(
+				createSignedListingFixture
+			);
+
+			// Reverts because the price has been tampered
+			await expect(
+				marketplace.connect(userTwo).fulfillSignedListing({ ...listing, price: 1 }, signature, 1)
+			).to.be.revertedWith("Invalid listing signature");
+
+			// Reverts because the listing has been signed by another wallet
+			const wrongSignature = await signListing(userThree, marketplace, listing);
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, wrongSignature, 1)).to.be.revertedWith(
+				"Invalid listing signature"
+			);
+
+			// Reverts because the maker can't buy his own listing
+			await expect(marketplace.connect(userOne).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"Can't fulfill your own listing"
+			);
+		});
+
+		it("Should NOT allow to fulfill a listing if the maker doesn't own the token anymore", async function () {
+			const { marketplace, userOne, userTwo, userThree, simple721, listing, signature } = await loadFixture(
+				createSignedListingFixture
+			);
+
+			await simple721.connect(userOne).transferFrom(userOne.address, userThree.address, 0);
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"The maker doesn't own the listed token anymore"
+			);
+		});
+
+		it("Should allow to partially fulfill a signed ERC1155 listing", async function () {
+			const { marketplace, userOne, userTwo, simple1155, snowTracker } = await loadFixture(
+				createSignedListingFixture
+			);
+
+			const listing = {
+				maker: userOne.address,
+				nftType: ERC1155_NFT_TYPE,
+				tokenContractAddress: simple1155.address,
+				tokenId: 7,
+				amount: 3,
+				price: listingPrice,
+				expiryBlock: (await ethers.provider.getBlockNumber()) + 10,
+				nonce: 0,
+				snowContract: snowTracker.address,
+			};
+			const signature = await signListing(userOne, marketplace, listing);
+
+			await marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 2);
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 2)).to.be.revertedWith(
+				"Invalid amount of copies to buy"
+			);
+			await marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1);
+			expect(await simple1155.balanceOf(userTwo.address, 7)).to.equal(3);
+			expect(await simple1155.balanceOf(userOne.address, 7)).to.equal(2);
+
+			// Reverts because the listing is expired
+			const otherListing = { ...listing, nonce: 1 };
+			const otherSignature = await signListing(userOne, marketplace, otherListing);
+			await mine(10);
+			await expect(
+				marketplace.connect(userTwo).fulfillSignedListing(otherListing, otherSignature, 1)
+			).to.be.revertedWith("The listing is expired");
+		});
+
+		it("Should allow the maker to cancel his signed listings through nonces", async function () {
+			const { marketplace, userOne, userTwo, listing, signature } = await loadFixture(createSignedListingFixture);
+
+			await expect(marketplace.connect(userOne).cancelSignedListings(1))
+				.to.emit(marketplace, "SignedListingsCanceled")
+				.withArgs(userOne.address, 1, anyValue);
+			expect(await marketplace.minListingNonces(userOne.address)).to.equal(1);
+
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"The listing has been canceled"
+			);
+			await expect(marketplace.connect(userOne).cancelSignedListings(1)).to.be.revertedWith(
+				"Invalid min listing nonce"
+			);
+
+			// A listing signed with a valid nonce can still be fulfilled
+			const newListing = { ...listing, nonce: 1 };
+			const newSignature = await signListing(userOne, marketplace, newListing);
+			await marketplace.connect(userTwo).fulfillSignedListing(newListing, newSignature, 1);
+		});
+
+		it("Should allow to fulfill a signed listing only if the maker can create orders", async function () {
+			const { marketplace, userOne, userTwo, simple721, listing, signature } = await loadFixture(
+				createSignedListingFixture
+			);
+
+			// Reverts because the open listing is not active and the maker is not an orders manager
+			await marketplace.setOpenListing(false);
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"The maker is not allowed to create orders"
+			);
+
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, userOne.address);
+			await marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+		});
+
+		it("Should NOT allow to replay a signed listing after the SNOW contract update", async function () {
+			const { marketplace, userTwo, listing, signature } = await loadFixture(createSignedListingFixture);
+
+			const newSnowTracker = await deploySnowTracker();
+			await marketplace.updateSnowTokenContract(newSnowTracker.address);
+
+			await expect(marketplace.connect(userTwo).fulfillSignedListing(listing, signature, 1)).to.be.revertedWith(
+				"The listing is not valid for the current SNOW contract"
+			);
+		});
+	});
+
+	describe("Payment assets testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const SNOW_PAYMENT = 0;
+		const ERC20_PAYMENT = 1;
+		const NATIVE_PAYMENT = 2;
+		const PROTOCOL_FEE_BPS = 250;
+		const orderPrice = 1000;
+
+		async function createPaymentAssetsFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// Deploy the ERC20 token used to pay the orders
+			const SimpleErc20 = await ethers.getContractFactory("MyToken");
+			const paymentToken = await SimpleErc20.deploy();
+			await paymentToken.deployed();
+			await paymentToken.mint(userTwo.address, 5000);
+			await marketplace.setPaymentTokenAllowed(paymentToken.address, true);
+
+			// Give userOne two NFTs to sell
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await marketplace.setOpenListing(true);
+			await marketplace.updateProtocolFee(PROTOCOL_FEE_BPS, userThree.address);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, paymentToken };
+		}
+
+		it("Should allow only the manager to allow the ERC20 payment tokens", async function () {
+			const { marketplace, userOne, simple721, paymentToken } = await loadFixture(createPaymentAssetsFixture);
+
+			// Reverts because the sender is not a manager
+			await expect(marketplace.connect(userOne).setPaymentTokenAllowed(paymentToken.address, false)).to.be.reverted;
+			await expect(marketplace.setPaymentTokenAllowed(ZERO_ADDRESS, true)).to.be.revertedWith(
+				"Payment token can't be the zero address"
+			);
+
+			await expect(marketplace.setPaymentTokenAllowed(paymentToken.address, false)).to.emit(
+				marketplace,
+				"PaymentTokenUpdated"
+			);
+			expect(await marketplace.allowedPaymentTokens(paymentToken.address)).to.equal(false);
+
+			// Reverts because the token is not allowed anymore
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, ERC20_PAYMENT, paymentToken.address)
+			).to.be.revertedWith("Payment token not allowed");
+			// Reverts because only the ERC20 orders can specify a payment token
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, NATIVE_PAYMENT, paymentToken.address)
+			).to.be.revertedWith("Invalid payment token");
+		});
+
+		it("Should settle an ERC20 order and let the receivers withdraw the proceeds", async function () {
+			const { marketplace, userOne, userTwo, userThree, simple721, paymentToken } = await loadFixture(
+				createPaymentAssetsFixture
+			);
+
+			await marketplace
+				.connect(userOne)
+				.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, ERC20_PAYMENT, paymentToken.address);
+			const order = await marketplace.orderDetails(0);
+			expect(order.paymentAsset).to.equal(ERC20_PAYMENT);
+			expect(order.paymentToken).to.equal(paymentToken.address);
+
+			// Reverts because the buyer didn't approve the marketplace
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"The current allowance can't cover the order price"
+			);
+			// Reverts because the order can't be paid with the native currency
+			await paymentToken.connect(userTwo).approve(marketplace.address, orderPrice);
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1, { value: orderPrice })).to.be.revertedWith(
+				"The order can't be paid with the native currency"
+			);
+
+			const protocolFee = (orderPrice * PROTOCOL_FEE_BPS) / 10000;
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1))
+				.to.emit(marketplace, "SalePaymentSplit")
+				.withArgs(simple721.address, 0, userOne.address, protocolFee, ZERO_ADDRESS, 0, orderPrice - protocolFee, anyValue);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await paymentToken.balanceOf(marketplace.address)).to.equal(orderPrice);
+			expect(await marketplace.totalTokensSpent()).to.equal(0);
+
+			// The maker and the treasury withdraw their proceeds
+			await expect(marketplace.connect(userOne).withdrawProceeds(paymentToken.address))
+				.to.emit(marketplace, "ProceedsWithdrawn")
+				.withArgs(paymentToken.address, userOne.address, orderPrice - protocolFee, anyValue);
+			await marketplace.connect(userThree).withdrawProceeds(paymentToken.address);
+			expect(await paymentToken.balanceOf(userOne.address)).to.equal(orderPrice - protocolFee);
+			expect(await paymentToken.balanceOf(userThree.address)).to.equal(protocolFee);
+			expect(await paymentToken.balanceOf(marketplace.address)).to.equal(0);
+
+			// Reverts because the proceeds have already been withdrawn
+			await expect(marketplace.connect(userOne).withdrawProceeds(paymentToken.address)).to.be.revertedWith(
+				"No proceeds to withdraw"
+			);
+		});
+
+		it("Should settle a native currency order and let the maker withdraw the proceeds", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721 } = await loadFixture(createPaymentAssetsFixture);
+
+			await marketplace
+				.connect(userOne)
+				.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 1, 1, NATIVE_PAYMENT, ZERO_ADDRESS);
+
+			// Reverts because the value sent doesn't match the order price
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1, { value: orderPrice - 1 })).to.be.revertedWith(
+				"Wrong native currency amount sent"
+			);
+			// Reverts because a cart can't send the native currency
+			await approveMarketplace(snowTracker, marketplace);
+			await expect(marketplace.connect(userTwo).fulfillOrders([0], orderPrice, false)).to.be.revertedWith(
+				"Only the SNOW orders can be fulfilled through a cart"
+			);
+
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1, { value: orderPrice })).to.changeEtherBalances(
+				[userTwo, marketplace],
+				[-orderPrice, orderPrice]
+			);
+			expect(await simple721.ownerOf(1)).to.equal(userTwo.address);
+
+			const protocolFee = (orderPrice * PROTOCOL_FEE_BPS) / 10000;
+			expect(await marketplace.pendingWithdrawals(ZERO_ADDRESS, userOne.address)).to.equal(orderPrice - protocolFee);
+			await expect(marketplace.connect(userOne).withdrawProceeds(ZERO_ADDRESS)).to.changeEtherBalances(
+				[userOne, marketplace],
+				[orderPrice - protocolFee, -(orderPrice - protocolFee)]
+			);
+		});
+
+		it("Should fulfill through a cart only the orders paid with the SNOW soft-token", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721, paymentToken } = await loadFixture(
+				createPaymentAssetsFixture
+			);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, orderPrice);
+			await paymentToken.connect(userTwo).approve(marketplace.address, orderPrice);
+			await marketplace
+				.connect(userOne)
+				.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, ERC20_PAYMENT, paymentToken.address);
+			await marketplace
+				.connect(userOne)
+				.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 1, 1, SNOW_PAYMENT, ZERO_ADDRESS);
+
+			// Reverts because the order 0 is paid with an ERC20 token
+			await expect(marketplace.connect(userTwo).fulfillOrders([0, 1], orderPrice, false)).to.be.revertedWith(
+				"Only the SNOW orders can be fulfilled through a cart"
+			);
+
+			await expect(marketplace.connect(userTwo).fulfillOrders([0, 1], orderPrice, true))
+				.to.emit(marketplace, "CartCheckedOut")
+				.withArgs(userTwo.address, 1, orderPrice, anyValue);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+			expect(await simple721.ownerOf(1)).to.equal(userTwo.address);
+			expect(await paymentToken.balanceOf(userTwo.address)).to.equal(5000);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(0);
+		});
+
+		it("Should keep the SNOW orders payable only with the SNOW soft-token", async function () {
+			const { marketplace, snowTracker, userOne, userTwo, simple721 } = await loadFixture(createPaymentAssetsFixture);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, orderPrice);
+			await marketplace
+				.connect(userOne)
+				.createOrderWithPaymentAsset(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, SNOW_PAYMENT, ZERO_ADDRESS);
+
+			// Reverts because the order can't be paid with the native currency
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1, { value: 1 })).to.be.revertedWith(
+				"The order can't be paid with the native currency"
+			);
+
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(0);
+			expect(await marketplace.pendingWithdrawals(ZERO_ADDRESS, userOne.address)).to.equal(0);
+		});
+	});
+
+	describe("Bundle orders testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const BUNDLE_ORDER_TYPE = 3;
+		const bundlePrice = 1000;
+
+		async function createBundleFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// Give userOne an ERC721 avatar and some ERC1155 items
+			await simple721.safeMint(userOne.address);
+			await simple1155.mint(userOne.address, 0, 10, "0x00");
+			await simple1155.mint(userOne.address, 1, 10, "0x00");
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+			await marketplace.setOpenListing(true);
+
+			const bundleItems = [
+				[ERC721_NFT_TYPE, simple721.address, 0, 1],
+				[ERC1155_NFT_TYPE, simple1155.address, 0, 3],
+				[ERC1155_NFT_TYPE, simple1155.address, 1, 1],
+			];
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155, bundleItems };
+		}
+
+		it("Should escrow all the items when creating a bundle order", async function () {
+			const { userOne, marketplace, simple721, simple1155, bundleItems } = await loadFixture(createBundleFixture);
+
+			await expect(marketplace.connect(userOne).createBundleOrder(bundlePrice, bundleItems))
+				.to.emit(marketplace, "OrderCreated")
+				.withArgs(0, userOne.address, anyValue);
+
+			const order = await marketplace.orderDetails(0);
+			expect(order.orderType).to.equal(BUNDLE_ORDER_TYPE);
+			expect(order.price).to.equal(bundlePrice);
+			expect(order.amount).to.equal(1);
+			expect(order.tokenContractAddress).to.equal(ZERO_ADDRESS);
+
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+			expect(await simple1155.balanceOf(marketplace.address, 0)).to.equal(3);
+			expect(await simple1155.balanceOf(marketplace.address, 1)).to.equal(1);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(1);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(4);
+
+			const Lens = await ethers.getContractFactory("SnowMarketplaceLens");
+			const lens = await Lens.deploy(marketplace.address);
+			const items = await lens.getBundleItems(0);
+			expect(items.length).to.equal(3);
+			expect(items[1].tokenContractAddress).to.equal(simple1155.address);
+			expect(items[1].amount).to.equal(3);
+			expect(await marketplace.getBundleItemsCount(1)).to.equal(0);
+		});
+
+		it("Should count the bundle items in the purchase caps of their collections", async function () {
+			const { userOne, userTwo, marketplace, simple721, simple1155, bundleItems } = await loadFixture(
+				createBundleFixture
+			);
+
+			await marketplace.setCollectionPurchaseCap(simple721.address, 1);
+			await marketplace.setCollectionPurchaseCap(simple1155.address, 3);
+			await marketplace.connect(userOne).createBundleOrder(bundlePrice, bundleItems);
+
+			// Reverts because the bundle contains 4 copies of the ERC1155 collection
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"Purchase cap reached for this collection"
+			);
+
+			await marketplace.setCollectionPurchaseCap(simple1155.address, 4);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await marketplace.collectionPurchases(simple721.address, userTwo.address)).to.equal(1);
+			expect(await marketplace.collectionPurchases(simple1155.address, userTwo.address)).to.equal(4);
+			expect(await marketplace.collectionPurchases(ZERO_ADDRESS, userTwo.address)).to.equal(0);
+		});
+
+		it("Should NOT allow to create invalid bundle orders", async function () {
+			const { userOne, userTwo, marketplace, simple721, simple1155, bundleItems } = await loadFixture(
+				createBundleFixture
+			);
+
+			// Reverts because a bundle needs at least 2 items
+			await expect(marketplace.connect(userOne).createBundleOrder(bundlePrice, [bundleItems[0]])).to.be.revertedWith(
+				"Invalid number of bundle items"
+			);
+			// Reverts because an ERC721 item can't have more than 1 copy
+			await expect(
+				marketplace.connect(userOne).createBundleOrder(bundlePrice, [[ERC721_NFT_TYPE, simple721.address, 0, 2], bundleItems[1]])
+			).to.be.revertedWith("Invalid amount of bundle item copies");
+			// Reverts because an item can't have 0 copies
+			await expect(
+				marketplace.connect(userOne).createBundleOrder(bundlePrice, [bundleItems[0], [ERC1155_NFT_TYPE, simple1155.address, 1, 0]])
+			).to.be.revertedWith("Invalid amount of bundle item copies");
+			// Reverts because the sender doesn't own the items
+			await expect(marketplace.connect(userTwo).createBundleOrder(bundlePrice, bundleItems)).to.be.revertedWith(
+				"You don't own the token to put on sale"
+			);
+			// Reverts because the bundle is free
+			await expect(marketplace.connect(userOne).createBundleOrder(0, bundleItems)).to.be.revertedWith(
+				"Can't create a free order"
+			);
+		});
+
+		it("Should transfer all the items together when fulfilling a bundle order", async function () {
+			const { userOne, userTwo, snowTracker, marketplace, simple721, simple1155, bundleItems } = await loadFixture(
+				createBundleFixture
+			);
+
+			await marketplace.connect(userOne).createBundleOrder(bundlePrice, bundleItems);
+
+			// Reverts because a bundle is sold as a single copy
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 2)).to.be.revertedWith(
+				"Invalid amount of copies to buy"
+			);
+
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1))
+				.to.emit(marketplace, "OrderFulfilled")
+				.withArgs(0, userTwo.address, anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await simple1155.balanceOf(userTwo.address, 0)).to.equal(3);
+			expect(await simple1155.balanceOf(userTwo.address, 1)).to.equal(1);
+			expect(await snowTracker.balances(userOne.address)).to.equal(bundlePrice);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(0);
+			expect(await marketplace.getActiveOrderIds()).to.be.empty;
+		});
+
+		it("Should return all the items to the maker when canceling a bundle order", async function () {
+			const { userOne, marketplace, simple721, simple1155, bundleItems } = await loadFixture(createBundleFixture);
+
+			await marketplace.connect(userOne).createBundleOrder(bundlePrice, bundleItems);
+			await expect(marketplace.connect(userOne).cancelOrder(0)).to.emit(marketplace, "OrderCanceled");
+
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect(await simple1155.balanceOf(userOne.address, 0)).to.equal(10);
+			expect(await simple1155.balanceOf(userOne.address, 1)).to.equal(10);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(0);
+		});
+
+		it("Should apply the price range of each item collection to the bundle price per copy", async function () {
+			const { userOne, marketplace, simple1155, bundleItems } = await loadFixture(createBundleFixture);
+
+			// The bundle contains 5 copies, so it sells each copy at 200 tokens
+			await marketplace.updateCollectionSettings(simple1155.address, [250, 0, false, 0, false, ZERO_ADDRESS, 0, false]);
+			await expect(marketplace.connect(userOne).createBundleOrder(bundlePrice, bundleItems)).to.be.revertedWith(
+				"Price out of the collection range"
+			);
+
+			await marketplace.connect(userOne).createBundleOrder(1500, bundleItems);
+			await expect(marketplace.connect(userOne).updateOrderPrice(0, bundlePrice)).to.be.revertedWith(
+				"Price out of the collection range"
+			);
+			await marketplace.connect(userOne).updateOrderPrice(0, 1250);
+			expect((await marketplace.orderDetails(0)).price).to.equal(1250);
+		});
+	});
+
+	describe("Swap orders testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const SWAP_ORDER_TYPE = 4;
+		const CLOSED_STATE = 1;
+		const CANCELLED_STATE = 2;
+		const topUp = 300;
+
+		async function createSwapFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// userOne owns an ERC721 token, userTwo owns some ERC1155 copies and another ERC721 token
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userTwo.address);
+			await simple1155.mint(userTwo.address, 5, 10, "0x00");
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple721.connect(userTwo).setApprovalForAll(marketplace.address, true);
+			await simple1155.connect(userTwo).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userOne.address, 1000);
+			await snowTracker.addTokens(userTwo.address, 1000);
+			await marketplace.setOpenListing(true);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		function swapTerms(wantedNftType, wantedContract, wantedTokenId, isAnyTokenId, wantedAmount, makerTopUp, takerTopUp) {
+			return [wantedNftType, wantedContract, wantedTokenId, isAnyTokenId, wantedAmount, makerTopUp, takerTopUp];
+		}
+
+		it("Should swap an ERC721 token with the wanted ERC1155 copies and a taker top-up", async function () {
+			const { userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(createSwapFixture);
+
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createSwapOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, swapTerms(ERC1155_NFT_TYPE, simple1155.address, 5, false, 3, 0, topUp))
+			).to.emit(marketplace, "OrderCreated");
+			expect((await marketplace.orderDetails(0)).orderType).to.equal(SWAP_ORDER_TYPE);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+
+			// Reverts because a swap can't be bought with SNOW tokens only
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"Can't fulfill a swap, use fulfillSwapOrder instead"
+			);
+			expect(await marketplace.isOrderFulfillable(0)).to.equal(false);
+			// Reverts because the token is not the wanted one
+			await expect(marketplace.connect(userTwo).fulfillSwapOrder(0, 4)).to.be.revertedWith(
+				"This token is not the one wanted by the swap"
+			);
+			// Reverts because the maker can't fulfill his own swap
+			await expect(marketplace.connect(userOne).fulfillSwapOrder(0, 5)).to.be.revertedWith(
+				"Can't fulfill your own order"
+			);
+
+			await expect(marketplace.connect(userTwo).fulfillSwapOrder(0, 5))
+				.to.emit(marketplace, "OrderFulfilled")
+				.withArgs(0, userTwo.address, anyValue);
+
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await simple1155.balanceOf(userOne.address, 5)).to.equal(3);
+			expect(await snowTracker.balances(userOne.address)).to.equal(1000 + topUp);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000 - topUp);
+			expect((await marketplace.orderDetails(0)).orderState).to.equal(CLOSED_STATE);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+
+			// Reverts because the swap is closed
+			await expect(marketplace.connect(userTwo).fulfillSwapOrder(0, 5)).to.be.revertedWith(
+				"The order is not an active swap"
+			);
+		});
+
+		it("Should accept any token of the wanted contract and pay the escrowed maker top-up", async function () {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(createSwapFixture);
+
+			// The protocol fee doesn't apply to the maker top-up
+			await marketplace.updateProtocolFee(250, deployer.address);
+			const treasuryBalance = await snowTracker.balances(deployer.address);
+
+			await marketplace
+				.connect(userOne)
+				.createSwapOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, swapTerms(ERC721_NFT_TYPE, simple721.address, 0, true, 1, topUp, 0));
+			expect(await snowTracker.balances(userOne.address)).to.equal(1000 - topUp);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(topUp);
+
+			await marketplace.connect(userTwo).fulfillSwapOrder(0, 1);
+
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await simple721.ownerOf(1)).to.equal(userOne.address);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(1000 + topUp);
+			expect(await snowTracker.balances(deployer.address)).to.equal(treasuryBalance);
+			expect(await marketplace.totalFeesCollected()).to.equal(0);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+		});
+
+		it("Should refund the maker top-up when canceling a swap order", async function () {
+			const { userOne, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(createSwapFixture);
+
+			// Reverts because both sides pay a top-up
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createSwapOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, swapTerms(ERC1155_NFT_TYPE, simple1155.address, 5, false, 1, 1, 1))
+			).to.be.revertedWith("Only one side can pay a top-up");
+			// Reverts because an ERC721 token can't be wanted in more copies
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createSwapOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, swapTerms(ERC721_NFT_TYPE, simple721.address, 1, false, 2, 0, 0))
+			).to.be.revertedWith("Invalid wanted asset");
+
+			await marketplace
+				.connect(userOne)
+				.createSwapOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, swapTerms(ERC1155_NFT_TYPE, simple1155.address, 5, false, 1, topUp, 0));
+			await marketplace.connect(userOne).cancelOrder(0);
+
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect(await snowTracker.balances(userOne.address)).to.equal(1000);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+			expect((await marketplace.orderDetails(0)).orderState).to.equal(CANCELLED_STATE);
+		});
+	});
+
+	describe("Orders price update testing", function () {
+		const ERC721_NFT_TYPE = 1;
+		const orderPrice = 1000;
+
+		async function createPriceUpdateFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(deployer.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple721.setApprovalForAll(marketplace.address, true);
+			await marketplace.grantRole(ORDERS_MANAGER_ROLE, deployer.address);
+			await marketplace.setOpenListing(true);
+
+			// Create a peer-to-peer order and an orders manager order
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 1);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721 };
+		}
+
+		it("Should allow the maker to update the price of an order keeping the NFT escrowed", async function () {
+			const { userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(createPriceUpdateFixture);
+
+			await expect(marketplace.connect(userOne).updateOrderPrice(0, 800))
+				.to.emit(marketplace, "OrderPriceUpdated")
+				.withArgs(0, orderPrice, 800, userOne.address, anyValue);
+			await marketplace.connect(userOne).updateOrderPrice(0, 600);
+
+			expect((await marketplace.orderDetails(0)).price).to.equal(600);
+			expect(await simple721.ownerOf(0)).to.equal(marketplace.address);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.deep.equal([0, 1]);
+
+			// Check the price history
+			const Lens = await ethers.getContractFactory("SnowMarketplaceLens");
+			const lens = await Lens.deploy(marketplace.address);
+			const priceHistory = await lens.getOrderPriceHistory(0);
+			expect(priceHistory.length).to.equal(2);
+			expect(priceHistory[0].oldPrice).to.equal(orderPrice);
+			expect(priceHistory[0].newPrice).to.equal(800);
+			expect(priceHistory[1].oldPrice).to.equal(800);
+			expect(priceHistory[1].newPrice).to.equal(600);
+			expect(priceHistory[1].updatedBy).to.equal(userOne.address);
+			expect(await marketplace.getOrderPriceHistoryCount(1)).to.equal(0);
+
+			// The order is sold at the new price
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 600);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await snowTracker.balances(userOne.address)).to.equal(600);
+		});
+
+		it("Should allow only the maker or an orders manager to update the price of an order", async function () {
+			const { deployer, userOne, userTwo, marketplace } = await loadFixture(createPriceUpdateFixture);
+
+			// Reverts because only the maker can update a peer-to-peer order
+			await expect(marketplace.updateOrderPrice(0, 800)).to.be.revertedWith("Only the maker can update this order");
+			await expect(marketplace.connect(userTwo).updateOrderPrice(0, 800)).to.be.revertedWith(
+				"Only the maker can update this order"
+			);
+			// Reverts because the sender is not an orders manager
+			await expect(marketplace.connect(userOne).updateOrderPrice(1, 800)).to.be.reverted;
+
+			await expect(marketplace.updateOrderPrice(1, 800))
+				.to.emit(marketplace, "OrderPriceUpdated")
+				.withArgs(1, orderPrice, 800, deployer.address, anyValue);
+
+			// Reverts because the price can't be 0
+			await expect(marketplace.updateOrderPrice(1, 0)).to.be.revertedWith("Can't create a free order");
+			// Reverts because the order is not active anymore
+			await marketplace.cancelOrder(1);
+			await expect(marketplace.updateOrderPrice(1, 500)).to.be.revertedWith("The order is not active anymore");
+		});
+
+		it("Should NOT fulfill an order whose price is over the max price of the taker", async function () {
+			const { userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(createPriceUpdateFixture);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 2000);
+
+			// Reverts because the maker raised the price before the fulfillment
+			await marketplace.connect(userOne).updateOrderPrice(0, 1500);
+			await expect(marketplace.connect(userTwo).fulfillOrderAtMaxPrice(0, 1, orderPrice)).to.be.revertedWith(
+				"The order price exceeds the max allowed"
+			);
+
+			await marketplace.connect(userOne).updateOrderPrice(0, 800);
+			await marketplace.connect(userTwo).fulfillOrderAtMaxPrice(0, 1, orderPrice);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(2000 - 800);
+		});
+
+		it("Should NOT allow to update the price of an auction", async function () {
+			const { userOne, marketplace, simple721 } = await loadFixture(createPriceUpdateFixture);
+
+			await marketplace.connect(userOne).cancelOrder(0);
+			await marketplace
+				.connect(userOne)
+				.createAuctionOrder(ERC721_NFT_TYPE, simple721.address, 0, 1, orderPrice, 10, (await time.latestBlock()) + 100);
+
+			await expect(marketplace.connect(userOne).updateOrderPrice(2, 800)).to.be.revertedWith(
+				"Can't update the price of this order type"
+			);
+		});
+	});
+
+	describe("Restricted orders and purchase caps testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const orderPrice = 100;
+
+		async function createRestrictedOrdersFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			await simple721.safeMint(userOne.address);
+			await simple1155.mint(userOne.address, 0, 10, "0x00");
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+			await snowTracker.addTokens(userThree.address, 5000);
+			await marketplace.setOpenListing(true);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		function hashPair(a, b) {
+			return ethers.utils.keccak256(ethers.utils.concat(a < b ? [a, b] : [b, a]));
+		}
+
+		it("Should allow only the named taker to fulfill a reserved order", async function () {
+			const { userOne, userTwo, userThree, marketplace, simple721 } = await loadFixture(createRestrictedOrdersFixture);
+
+			// Reverts because the order must name either a taker or an allow list
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createRestrictedOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, ZERO_ADDRESS, ethers.constants.HashZero)
+			).to.be.revertedWith("Specify either an allowed taker or an allow list");
+
+			await expect(
+				marketplace
+					.connect(userOne)
+					.createRestrictedOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0, 1, userTwo.address, ethers.constants.HashZero)
+			)
+				.to.emit(marketplace, "OrderRestricted")
+				.withArgs(0, userTwo.address, ethers.constants.HashZero, anyValue);
+
+			// Reverts because the sender is not the allowed taker
+			await expect(marketplace.connect(userThree).fulfillOrder(0, 1)).to.be.revertedWith(
+				"You are not allowed to fulfill this order"
+			);
+			await expect(marketplace.connect(userThree).fulfillOrders([0], orderPrice, false)).to.be.revertedWith(
+				"You are not allowed to fulfill this order"
+			);
+
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+		});
+
+		it("Should allow only the wallets of the allow list to fulfill a restricted order", async function () {
+			const { deployer, userOne, userTwo, userThree, marketplace, simple1155 } = await loadFixture(
+				createRestrictedOrdersFixture
+			);
+
+			// Allow list made of userTwo and the deployer
+			const leafTwo = ethers.utils.solidityKeccak256(["address"], [userTwo.address]);
+			const leafDeployer = ethers.utils.solidityKeccak256(["address"], [deployer.address]);
+			const allowListRoot = hashPair(leafTwo, leafDeployer);
+
+			await marketplace
+				.connect(userOne)
+				.createRestrictedOrder(orderPrice, ERC1155_NFT_TYPE, simple1155.address, 0, 5, ZERO_ADDRESS, allowListRoot);
+
+			// Reverts because the proof is missing or not valid for the sender
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"You are not allowed to fulfill this order"
+			);
+			await expect(marketplace.connect(userThree).fulfillOrderWithProof(0, 1, [leafDeployer])).to.be.revertedWith(
+				"You are not allowed to fulfill this order"
+			);
+
+			await marketplace.connect(userTwo).fulfillOrderWithProof(0, 2, [leafDeployer]);
+			expect(await simple1155.balanceOf(userTwo.address, 0)).to.equal(2);
+		});
+
+		it("Should limit the copies of a collection bought by a single wallet", async function () {
+			const { userOne, userTwo, userThree, marketplace, simple1155 } = await loadFixture(createRestrictedOrdersFixture);
+
+			// Reverts because the sender is not a manager
+			await expect(marketplace.connect(userOne).setCollectionPurchaseCap(simple1155.address, 3)).to.be.reverted;
+
+			await expect(marketplace.setCollectionPurchaseCap(simple1155.address, 3)).to.emit(
+				marketplace,
+				"CollectionPurchaseCapUpdated"
+			);
+			await marketplace.connect(userOne).createBatchERC1155Order(orderPrice, simple1155.address, 0, 10);
+
+			await marketplace.connect(userTwo).fulfillOrder(0, 2);
+			// Reverts because the cart would exceed the cap
+			await expect(marketplace.connect(userTwo).fulfillOrders([0, 0], orderPrice * 2, false)).to.be.revertedWith(
+				"Purchase cap reached for this collection"
+			);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await marketplace.collectionPurchases(simple1155.address, userTwo.address)).to.equal(3);
+
+			// The cap is per wallet
+			await marketplace.connect(userThree).fulfillOrder(0, 3);
+
+			// Removing the cap allows to buy again
+			await marketplace.setCollectionPurchaseCap(simple1155.address, 0);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await simple1155.balanceOf(userTwo.address, 0)).to.equal(4);
+		});
+	});
+	describe("Emergency rescue testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+		const CANCELLED_STATE = 2;
+		const bid = 150;
+
+		async function createRescueFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// userOne sells an ERC721 token and some ERC1155 copies, userTwo auctions an ERC721 token
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userTwo.address);
+			await simple1155.mint(userOne.address, 3, 10, "0x00");
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple721.connect(userTwo).setApprovalForAll(marketplace.address, true);
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(deployer.address, 1000);
+			await marketplace.setOpenListing(true);
+
+			await marketplace.connect(userOne).createOrder(100, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.connect(userOne).createBatchERC1155Order(20, simple1155.address, 3, 4);
+			const endBlock = (await ethers.provider.getBlockNumber()) + 50;
+			await marketplace.connect(userTwo).createAuctionOrder(ERC721_NFT_TYPE, simple721.address, 1, 1, 100, 10, endBlock);
+			await marketplace.placeBid(2, bid);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		it("Should cancel the open orders in batches only while the marketplace is paused", async function () {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721, simple1155 } = await loadFixture(
+				createRescueFixture
+			);
+
+			// Reverts because the marketplace is active
+			await expect(marketplace.emergencyCancelOrders(10)).to.be.revertedWith("The marketplace must be paused");
+			await marketplace.pauseMarketplace();
+			// Reverts because the caller is not an admin
+			await expect(marketplace.connect(userOne).emergencyCancelOrders(10)).to.be.reverted;
+
+			expect(await marketplace.callStatic.emergencyCancelOrders(2)).to.equal(2);
+			await expect(marketplace.emergencyCancelOrders(2))
+				.to.emit(marketplace, "OrderEmergencyCanceled")
+				.withArgs(2, userTwo.address, true, true, deployer.address, anyValue);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.deep.equal([0]);
+
+			// The auction NFT goes back to the maker and the highest bid to the bidder
+			expect(await simple721.ownerOf(1)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(deployer.address)).to.equal(1000);
+			expect(await marketplace.totalTokensEscrowed()).to.equal(0);
+			expect(await simple1155.balanceOf(userOne.address, 3)).to.equal(10);
+
+			await marketplace.emergencyCancelOrders(10);
+			expect(await marketplace.getActiveOrderIds()).to.be.empty;
+			expect(await simple721.ownerOf(0)).to.equal(userOne.address);
+			expect((await marketplace.orderDetails(0)).orderState).to.equal(CANCELLED_STATE);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(0);
+			expect(await marketplace.onSaleErc1155Tokens()).to.equal(0);
+			expect(await marketplace.escrowedNftCopies(simple1155.address, 3)).to.equal(0);
+		});
+
+		it("Should recover the NFTs not escrowed by an open order", async function () {
+			const { deployer, userOne, userThree, marketplace, simple721, simple1155 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			// ERC721 token sent to the marketplace without creating an order
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).transferFrom(userOne.address, marketplace.address, 0);
+			await simple1155.mint(userOne.address, 3, 10, "0x00");
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.setOpenListing(true);
+			await marketplace.connect(userOne).createBatchERC1155Order(20, simple1155.address, 3, 4);
+
+			// Reverts because the caller is not an admin
+			await expect(marketplace.connect(userOne).recoverNfts(ERC721_NFT_TYPE, simple721.address, [0], [1], userOne.address))
+				.to.be.reverted;
+			// Reverts because the lengths don't match
+			await expect(marketplace.recoverNfts(ERC721_NFT_TYPE, simple721.address, [0], [], userOne.address)).to.be.revertedWith(
+				"Token IDs and amounts length mismatch"
+			);
+			// Reverts because all the copies owned by the marketplace are escrowed by the order
+			await expect(
+				marketplace.recoverNfts(ERC1155_NFT_TYPE, simple1155.address, [3], [1], userOne.address)
+			).to.be.revertedWith("The NFT is escrowed by an open order");
+
+			await expect(marketplace.recoverNfts(ERC721_NFT_TYPE, simple721.address, [0], [1], userThree.address))
+				.to.emit(marketplace, "NftsRecovered")
+				.withArgs(simple721.address, 0, 1, userThree.address, deployer.address, anyValue);
+			expect(await simple721.ownerOf(0)).to.equal(userThree.address);
+			expect(await simple1155.balanceOf(marketplace.address, 3)).to.equal(4);
+		});
+
+		it("Should keep the NFTs not returned by an emergency cancel for their maker", async function () {
+			const { deployer, userOne, userTwo, marketplace, simple721 } = await loadFixture(createRescueFixture);
+
+			// The maker rejects the NFTs, so the emergency cancel can't return its token
+			const RejectingWallet = await ethers.getContractFactory("RejectingWallet");
+			const maker = await RejectingWallet.deploy(marketplace.address);
+			await maker.deployed();
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).transferFrom(userOne.address, maker.address, 2);
+			await maker.createErc721Order(100, simple721.address, 2);
+			await marketplace.pauseMarketplace();
+			await expect(marketplace.emergencyCancelOrders(1))
+				.to.emit(marketplace, "OrderEmergencyCanceled")
+				.withArgs(3, maker.address, false, true, deployer.address, anyValue);
+			expect(await marketplace.strandedNftCopies(simple721.address, 2, maker.address)).to.equal(1);
+
+			// Reverts because the NFT can't be sent to an arbitrary recipient
+			await expect(
+				marketplace.recoverNfts(ERC721_NFT_TYPE, simple721.address, [2], [1], deployer.address)
+			).to.be.revertedWith("The NFT is escrowed by an open order");
+			// Reverts because the maker still rejects the NFT
+			await expect(marketplace.returnStrandedNfts(ERC721_NFT_TYPE, simple721.address, 2, maker.address)).to.be.reverted;
+			// Reverts because the wallet is not the maker of the stranded NFT
+			await expect(
+				marketplace.returnStrandedNfts(ERC721_NFT_TYPE, simple721.address, 2, userOne.address)
+			).to.be.revertedWith("No stranded NFTs to return");
+
+			await maker.setAcceptsNfts(true);
+			await expect(marketplace.connect(userTwo).returnStrandedNfts(ERC721_NFT_TYPE, simple721.address, 2, maker.address))
+				.to.emit(marketplace, "NftsRecovered")
+				.withArgs(simple721.address, 2, 1, maker.address, userTwo.address, anyValue);
+			expect(await simple721.ownerOf(2)).to.equal(maker.address);
+			expect(await marketplace.escrowedNftCopies(simple721.address, 2)).to.equal(0);
+			expect(await marketplace.onSaleErc721Tokens()).to.equal(2);
+			expect(await marketplace.strandedNftCopies(simple721.address, 2, maker.address)).to.equal(0);
+		});
+
+		it("Should not recover an ERC721 token on sale", async function () {
+			const { userOne, marketplace, simple721 } = await loadFixture(createRescueFixture);
+
+			await expect(
+				marketplace.recoverNfts(ERC721_NFT_TYPE, simple721.address, [0], [1], userOne.address)
+			).to.be.revertedWith("The NFT is escrowed by an open order");
+		});
+	});
+	describe("Collections registry testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+
+		function collectionSettings(minPrice, maxPrice, isPaused) {
+			return [minPrice, maxPrice, false, 0, false, ZERO_ADDRESS, 0, isPaused];
+		}
+
+		async function createRegistryFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+			await marketplace.setOpenListing(true);
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 };
+		}
+
+		it("Should register only the contracts that support the NFT standard", async function () {
+			const { deployer, userOne, snowTracker, marketplace, simple721 } = await loadFixture(createRegistryFixture);
+
+			// Deploy a collection that is not registered yet
+			const SimpleErc721 = await ethers.getContractFactory("SimpleErc721");
+			const newCollection = await SimpleErc721.deploy(deployer.address);
+			await newCollection.deployed();
+			await newCollection.safeMint(userOne.address);
+			await newCollection.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await expect(
+				marketplace.connect(userOne).createOrder(100, ERC721_NFT_TYPE, newCollection.address, 0)
+			).to.be.revertedWith("Collection not registered");
+
+			// Reverts because the caller is not a manager
+			await expect(
+				marketplace.connect(userOne).registerCollection(newCollection.address, ERC721_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.reverted;
+			// Reverts because the contracts don't support the NFT standard
+			await expect(
+				marketplace.registerCollection(newCollection.address, ERC1155_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.revertedWith("The contract doesn't support the NFT type");
+			await expect(
+				marketplace.registerCollection(snowTracker.address, ERC721_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.revertedWith("The contract doesn't support the NFT type");
+			await expect(
+				marketplace.registerCollection(userOne.address, ERC721_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.revertedWith("The contract doesn't support the NFT type");
+			// Reverts because the collection is already registered
+			await expect(
+				marketplace.registerCollection(simple721.address, ERC721_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.revertedWith("Collection already registered");
+
+			await expect(marketplace.registerCollection(newCollection.address, ERC721_NFT_TYPE, DEFAULT_COLLECTION_SETTINGS))
+				.to.emit(marketplace, "CollectionRegistered")
+				.withArgs(newCollection.address, ERC721_NFT_TYPE, deployer.address, anyValue);
+			expect((await marketplace.registeredCollections(newCollection.address)).isRegistered).to.equal(true);
+			await expect(marketplace.connect(userOne).createOrder(100, ERC721_NFT_TYPE, newCollection.address, 0)).to.emit(
+				marketplace,
+				"OrderCreated"
+			);
+		});
+
+		it("Should apply the price range and the paused state of a collection", async function () {
+			const { userOne, userTwo, marketplace, simple721 } = await loadFixture(createRegistryFixture);
+
+			// Reverts because the price range is empty
+			await expect(
+				marketplace.updateCollectionSettings(simple721.address, collectionSettings(500, 100, false))
+			).to.be.revertedWith("Invalid collection price range");
+			await expect(marketplace.updateCollectionSettings(simple721.address, collectionSettings(100, 500, false))).to.emit(
+				marketplace,
+				"CollectionSettingsUpdated"
+			);
+
+			await expect(marketplace.connect(userOne).createOrder(50, ERC721_NFT_TYPE, simple721.address, 0)).to.be.revertedWith(
+				"Price out of the collection range"
+			);
+			await expect(marketplace.connect(userOne).createOrder(600, ERC721_NFT_TYPE, simple721.address, 0)).to.be.revertedWith(
+				"Price out of the collection range"
+			);
+			await marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 1);
+			await expect(marketplace.connect(userOne).updateOrderPrice(0, 600)).to.be.revertedWith(
+				"Price out of the collection range"
+			);
+
+			// The NFTs of a paused collection can't be sold, but the orders can be canceled
+			await marketplace.updateCollectionSettings(simple721.address, collectionSettings(100, 500, true));
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith("The collection is paused");
+			await marketplace.connect(userOne).cancelOrder(0);
+			await expect(marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 0)).to.be.revertedWith(
+				"The collection is paused"
+			);
+
+			await marketplace.updateCollectionSettings(simple721.address, collectionSettings(100, 500, false));
+			await expect(marketplace.connect(userTwo).fulfillOrder(1, 1)).to.emit(marketplace, "OrderFulfilled");
+
+			// The NFTs of a removed collection can't be listed anymore
+			await expect(marketplace.removeCollection(simple721.address)).to.emit(marketplace, "CollectionRemoved");
+			await expect(marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 0)).to.be.revertedWith(
+				"Collection not registered"
+			);
+			await expect(
+				marketplace.updateCollectionSettings(simple721.address, DEFAULT_COLLECTION_SETTINGS)
+			).to.be.revertedWith("Collection not registered");
+		});
+
+		it("Should apply the fee and royalty overrides of a collection", async function () {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721 } = await loadFixture(
+				createRegistryFixture
+			);
+			const orderPrice = 1000;
+
+			// Reverts because there is no treasury to receive the fee override
+			await expect(
+				marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 500, false, ZERO_ADDRESS, 0, false])
+			).to.be.revertedWith("Treasury can't be the zero address");
+			await marketplace.updateProtocolFee(100, userThree.address);
+			// Reverts because the fee override is too high
+			await expect(
+				marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 1001, false, ZERO_ADDRESS, 0, false])
+			).to.be.revertedWith("Protocol fee too high");
+
+			// 5% protocol fee and 2.5% royalty to the deployer
+			await marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 500, true, deployer.address, 250, false]);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0);
+
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1))
+				.to.emit(marketplace, "SalePaymentSplit")
+				.withArgs(simple721.address, 0, userOne.address, 50, deployer.address, 25, 925, anyValue);
+			expect(await snowTracker.balances(userThree.address)).to.equal(50);
+			expect(await snowTracker.balances(deployer.address)).to.equal(25);
+			expect(await snowTracker.balances(userOne.address)).to.equal(925);
+		});
+
+		it("Should keep a treasury while a collection has a fee override", async function () {
+			const { userThree, marketplace, simple721 } = await loadFixture(createRegistryFixture);
+
+			await marketplace.updateProtocolFee(100, userThree.address);
+			await marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 500, false, ZERO_ADDRESS, 0, false]);
+			expect(await marketplace.feeOverridesCount()).to.equal(1);
+
+			// Reverts because the fee override of the collection needs a treasury
+			await expect(marketplace.updateProtocolFee(0, ZERO_ADDRESS)).to.be.revertedWith(
+				"Treasury can't be the zero address"
+			);
+
+			// A zero fee override doesn't need a treasury
+			await marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 0, false, ZERO_ADDRESS, 0, false]);
+			expect(await marketplace.feeOverridesCount()).to.equal(0);
+			await marketplace.updateProtocolFee(0, ZERO_ADDRESS);
+
+			// Removing the collection removes its fee override
+			await marketplace.updateProtocolFee(0, userThree.address);
+			await marketplace.updateCollectionSettings(simple721.address, [0, 0, true, 500, false, ZERO_ADDRESS, 0, false]);
+			await marketplace.removeCollection(simple721.address);
+			expect(await marketplace.feeOverridesCount()).to.equal(0);
+			await marketplace.updateProtocolFee(0, ZERO_ADDRESS);
+		});
+	});
+	describe("Marketplace statistics testing", function () {
+		const ERC1155_NFT_TYPE = 0;
+		const ERC721_NFT_TYPE = 1;
+
+		async function createStatsFixture() {
+			const { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155 } =
+				await loadFixture(deployContractsFixture);
+
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple1155.mint(userOne.address, 3, 10, "0x00");
+			await simple1155.mint(userOne.address, 4, 10, "0x00");
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await simple1155.connect(userOne).setApprovalForAll(marketplace.address, true);
+
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 5000);
+			await snowTracker.addTokens(userThree.address, 5000);
+			await marketplace.setOpenListing(true);
+
+			const Lens = await ethers.getContractFactory("SnowMarketplaceLens");
+			const lens = await Lens.deploy(marketplace.address);
+			await lens.deployed();
+
+			return { deployer, userOne, userTwo, userThree, snowTracker, marketplace, simple721, simple1155, lens };
+		}
+
+		it("Should update the collection and token statistics with each sale", async function () {
+			const { userOne, userTwo, userThree, marketplace, simple1155 } = await loadFixture(createStatsFixture);
+
+			await marketplace.connect(userOne).createBatchERC1155Order(20, simple1155.address, 3, 5);
+			await marketplace.connect(userTwo).fulfillOrder(0, 2);
+			await marketplace.connect(userThree).fulfillOrder(0, 1);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+
+			const tokenStats = await marketplace.getTokenStats(simple1155.address, 3);
+			expect(tokenStats.volume).to.equal(80);
+			expect(tokenStats.salesCount).to.equal(3);
+			expect(tokenStats.lastSalePrice).to.equal(20);
+			expect(tokenStats.lastSaleBlock).to.equal(await ethers.provider.getBlockNumber());
+			expect(tokenStats.uniqueBuyers).to.equal(2);
+
+			// A sale made through an accepted offer
+			const expiryBlock = (await ethers.provider.getBlockNumber()) + 10;
+			await marketplace.connect(userThree).createOffer(ERC1155_NFT_TYPE, simple1155.address, 4, false, 50, expiryBlock);
+			await marketplace.connect(userOne).acceptOffer(0, 4);
+
+			expect((await marketplace.getTokenStats(simple1155.address, 4)).volume).to.equal(50);
+			const collectionStats = await marketplace.getCollectionStats(simple1155.address);
+			expect(collectionStats.volume).to.equal(130);
+			expect(collectionStats.salesCount).to.equal(4);
+			expect(collectionStats.lastSalePrice).to.equal(50);
+			expect(collectionStats.uniqueBuyers).to.equal(2);
+		});
+
+		it("Should return the floor price among the open orders", async function () {
+			const { userOne, userTwo, marketplace, simple721, lens } = await loadFixture(createStatsFixture);
+
+			expect(await lens.getCollectionFloorPrice(simple721.address)).to.equal(0);
+			await marketplace.connect(userOne).createOrder(300, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 1);
+			// Auctions are not taken into account
+			const endBlock = (await ethers.provider.getBlockNumber()) + 20;
+			await marketplace.connect(userOne).createAuctionOrder(ERC721_NFT_TYPE, simple721.address, 2, 1, 50, 10, endBlock);
+
+			expect(await lens.getCollectionFloorPrice(simple721.address)).to.equal(200);
+			expect(await lens.getTokenFloorPrice(simple721.address, 0)).to.equal(300);
+			expect(await lens.getTokenFloorPrice(simple721.address, 2)).to.equal(0);
+
+			await marketplace.connect(userOne).cancelOrder(1);
+			expect(await lens.getCollectionFloorPrice(simple721.address)).to.equal(300);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await lens.getCollectionFloorPrice(simple721.address)).to.equal(0);
+			expect((await marketplace.getCollectionStats(simple721.address)).lastSalePrice).to.equal(300);
+		});
+	});
+	describe("Upgrades testing", function () {
+		const ERC721_NFT_TYPE = 1;
+
+		async function createUpgradeFixture() {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(
+				deployContractsFixture
+			);
+
+			await simple721.safeMint(userOne.address);
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await approveMarketplace(snowTracker, marketplace);
+			await snowTracker.addTokens(userTwo.address, 1000);
+			await marketplace.setOpenListing(true);
+
+			await marketplace.connect(userOne).createOrder(300, ERC721_NFT_TYPE, simple721.address, 0);
+			await marketplace.connect(userOne).createOrder(200, ERC721_NFT_TYPE, simple721.address, 1);
+			await marketplace.connect(userTwo).fulfillOrder(1, 1);
+
+			return { deployer, userOne, userTwo, snowTracker, marketplace, simple721 };
+		}
+
+		it("Should keep the balances and the orders after upgrading the proxies", async function () {
+			const { deployer, userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(
+				createUpgradeFixture
+			);
+
+			const trackerImplementation = await deploySnowTrackerImplementation();
+			await upgradeProxy(snowTracker.address, trackerImplementation.address);
+			// The new implementation has a higher max active orders amount
+			const marketplaceImplementation = await deployMarketplaceImplementation(MAX_ACTIVE_ORDERS_AMOUNT + 5);
+			await upgradeProxy(marketplace.address, marketplaceImplementation.address);
+
+			expect(await snowTracker.balances(userTwo.address)).to.equal(800);
+			expect(await snowTracker.balances(userOne.address)).to.equal(200);
+			expect(await snowTracker.totalSupply()).to.equal(1000);
+			expect(await snowTracker.allowance(userTwo.address, marketplace.address)).to.equal(
+				ethers.constants.MaxUint256.sub(200)
+			);
+
+			expect(await marketplace.maxActiveOrdesAmount()).to.equal(MAX_ACTIVE_ORDERS_AMOUNT + 5);
+			expect(await marketplace.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(true);
+			expect(await marketplace.snowSoftTokenAddress()).to.equal(snowTracker.address);
+			expect(bigArrayToArray(await marketplace.getActiveOrderIds())).to.deep.equal([0]);
+			expect((await marketplace.orderDetails(1)).taker).to.equal(userTwo.address);
+			expect(await marketplace.ordersFullfilled()).to.equal(1);
+
+			// The open order escrowed before the upgrade can still be fulfilled
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userOne.address)).to.equal(500);
+		});
+
+		it("Should allow only the proxy admin owner to upgrade and initialize only once", async function () {
+			const { userOne, snowTracker, marketplace } = await loadFixture(createUpgradeFixture);
+
+			// Reverts because the proxies are already initialized
+			await expect(marketplace.initialize(snowTracker.address)).to.be.revertedWithCustomError(
+				marketplace,
+				"InvalidInitialization"
+			);
+			await expect(snowTracker.initialize()).to.be.revertedWithCustomError(snowTracker, "InvalidInitialization");
+
+			// Reverts because the implementations can be used only through a proxy
+			const trackerImplementation = await deploySnowTrackerImplementation();
+			await expect(trackerImplementation.initialize()).to.be.revertedWithCustomError(
+				trackerImplementation,
+				"InvalidInitialization"
+			);
+			const marketplaceImplementation = await deployMarketplaceImplementation(MAX_ACTIVE_ORDERS_AMOUNT);
+			await expect(marketplaceImplementation.initialize(snowTracker.address)).to.be.revertedWithCustomError(
+				marketplaceImplementation,
+				"InvalidInitialization"
+			);
+
+			// Reverts because the sender is not the owner of the ProxyAdmin
+			const proxyAdmin = await getProxyAdmin(marketplace.address);
+			await expect(upgradeProxy(marketplace.address, marketplaceImplementation.address, userOne))
+				.to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount")
+				.withArgs(userOne.address);
+		});
+	});
+	describe("SNOW allowances testing", function () {
+		it("Should let an approved spender spend the tokens of a holder only within the allowance", async function () {
+			const { snowTracker, userOne, userTwo, userThree } = await loadFixture(deployContractsFixture);
+
+			await snowTracker.addTokens(userOne.address, 100);
+
+			// Reverts because userTwo has no allowance on the userOne tokens
+			await expect(
+				snowTracker.connect(userTwo).spendFrom(userOne.address, userThree.address, 10)
+			).to.be.revertedWith("Can't spend more tokens than the allowance");
+
+			await expect(snowTracker.connect(userOne).approve(userTwo.address, 60))
+				.to.emit(snowTracker, "TokensApproved")
+				.withArgs(userOne.address, userTwo.address, 60);
+			expect(await snowTracker.allowance(userOne.address, userTwo.address)).to.equal(60);
+
+			await expect(snowTracker.connect(userTwo).spendFrom(userOne.address, userThree.address, 40)).to.emit(
+				snowTracker,
+				"TokensSpent"
+			);
+			expect(await snowTracker.balances(userThree.address)).to.equal(40);
+			expect(await snowTracker.allowance(userOne.address, userTwo.address)).to.equal(20);
+
+			// Reverts because the amount exceeds the remaining allowance
+			await expect(
+				snowTracker.connect(userTwo).spendFrom(userOne.address, userThree.address, 21)
+			).to.be.revertedWith("Can't spend more tokens than the allowance");
+
+			// Spending to the zero address removes the tokens from the supply
+			await snowTracker.connect(userTwo).spendFrom(userOne.address, ZERO_ADDRESS, 20);
+			expect(await snowTracker.balances(userOne.address)).to.equal(40);
+			expect(await snowTracker.totalSupply()).to.equal(80);
+			expect(await snowTracker.allowance(userOne.address, userTwo.address)).to.equal(0);
+
+			// The holder can revoke the allowance
+			await snowTracker.connect(userOne).approve(userTwo.address, 100);
+			await snowTracker.connect(userOne).approve(userTwo.address, 0);
+			await expect(
+				snowTracker.connect(userTwo).spendFrom(userOne.address, userTwo.address, 1)
+			).to.be.revertedWith("Can't spend more tokens than the allowance");
+
+			await expect(snowTracker.connect(userOne).approve(ZERO_ADDRESS, 1)).to.be.revertedWith(
+				"Can't approve the zero address"
+			);
+		});
+
+		it("Should let the marketplace spend only the SNOW tokens approved by the buyer", async function () {
+			const { userOne, userTwo, snowTracker, marketplace, simple721 } = await loadFixture(deployContractsFixture);
+			const ERC721_NFT_TYPE = 1;
+			const orderPrice = 100;
+
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.setOpenListing(true);
+			await marketplace.connect(userOne).createOrder(orderPrice, ERC721_NFT_TYPE, simple721.address, 0);
+			await snowTracker.addTokens(userTwo.address, 500);
+
+			// Reverts because the buyer didn't approve the marketplace
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"Can't spend more tokens than the allowance"
+			);
+
+			await snowTracker.connect(userTwo).approve(marketplace.address, orderPrice);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+
+			expect(await simple721.ownerOf(0)).to.equal(userTwo.address);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(500 - orderPrice);
+			expect(await snowTracker.balances(userOne.address)).to.equal(orderPrice);
+			expect(await snowTracker.allowance(userTwo.address, marketplace.address)).to.equal(0);
+		});
+	});
+	describe("ERC20 compatibility testing", function () {
+		it("Should expose the balances, the metadata and the Transfer events of the ERC20 standard", async function () {
+			const { snowTracker, deployer, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			expect(await snowTracker.name()).to.equal("Snow");
+			expect(await snowTracker.symbol()).to.equal("SNOW");
+			expect(await snowTracker.decimals()).to.equal(0);
+
+			await expect(snowTracker.addTokens(userOne.address, 100))
+				.to.emit(snowTracker, "Transfer")
+				.withArgs(ZERO_ADDRESS, userOne.address, 100);
+			await expect(snowTracker.connect(userOne).transferTokens(userTwo.address, 30))
+				.to.emit(snowTracker, "Transfer")
+				.withArgs(userOne.address, userTwo.address, 30);
+			await expect(snowTracker.removeTokens(userOne.address, 20))
+				.to.emit(snowTracker, "Transfer")
+				.withArgs(userOne.address, ZERO_ADDRESS, 20);
+			await expect(snowTracker.connect(userOne).approve(deployer.address, 10))
+				.to.emit(snowTracker, "Approval")
+				.withArgs(userOne.address, deployer.address, 10);
+
+			expect(await snowTracker.balanceOf(userOne.address)).to.equal(50);
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(30);
+			expect(await snowTracker.totalSupply()).to.equal(80);
+		});
+
+		it("Should allow the ERC20 transfers only in the transferable mode", async function () {
+			const { snowTracker, userOne, userTwo, userThree } = await loadFixture(deployContractsFixture);
+
+			await snowTracker.addTokens(userOne.address, 100);
+			await snowTracker.connect(userOne).approve(userTwo.address, 50);
+			expect(await snowTracker.isTransferable()).to.equal(false);
+
+			// Reverts because the soft-token is not transferable by default
+			await expect(snowTracker.connect(userOne).transfer(userTwo.address, 10)).to.be.revertedWith(
+				"The token is not transferable"
+			);
+			await expect(
+				snowTracker.connect(userTwo).transferFrom(userOne.address, userThree.address, 10)
+			).to.be.revertedWith("The token is not transferable");
+
+			// Reverts because only a manager can change the mode
+			await expect(snowTracker.connect(userOne).setTransferable(true)).to.be.reverted;
+
+			await expect(snowTracker.setTransferable(true)).to.emit(snowTracker, "TransferableModeUpdated");
+
+			await snowTracker.connect(userOne).transfer(userTwo.address, 10);
+			await snowTracker.connect(userTwo).transferFrom(userOne.address, userThree.address, 40);
+			expect(await snowTracker.balanceOf(userOne.address)).to.equal(50);
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(10);
+			expect(await snowTracker.balanceOf(userThree.address)).to.equal(40);
+			expect(await snowTracker.allowance(userOne.address, userTwo.address)).to.equal(10);
+
+			// The transfers of 0 tokens succeed without changing the balances
+			await expect(snowTracker.connect(userThree).transfer(userTwo.address, 0))
+				.to.emit(snowTracker, "Transfer")
+				.withArgs(userThree.address, userTwo.address, 0);
+			await expect(snowTracker.connect(userTwo).transferFrom(userOne.address, userThree.address, 0))
+				.to.emit(snowTracker, "Transfer")
+				.withArgs(userOne.address, userThree.address, 0);
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(10);
+			expect(await snowTracker.uniqueHolders()).to.equal(3);
+
+			// Reverts because the amount exceeds the remaining allowance
+			await expect(
+				snowTracker.connect(userTwo).transferFrom(userOne.address, userThree.address, 11)
+			).to.be.revertedWith("Can't spend more tokens than the allowance");
+
+			await snowTracker.setTransferable(false);
+			await expect(snowTracker.connect(userOne).transfer(userTwo.address, 10)).to.be.revertedWith(
+				"The token is not transferable"
+			);
+			// The soft-token transfers don't depend on the transferable mode
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 10);
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(20);
+		});
+	});
+	describe("Balances history testing", function () {
+		it("Should return the balances, the total supply and the unique holders at a past block", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			await snowTracker.addTokens(userOne.address, 100);
+			const firstBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 100);
+			const secondBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.removeTokens(userTwo.address, 40);
+			const thirdBlock = await ethers.provider.getBlockNumber();
+			await mine();
+
+			// Reverts because the current block is not mined yet
+			await expect(snowTracker.balanceOfAt(userOne.address, thirdBlock + 1)).to.be.revertedWith(
+				"The block is not mined yet"
+			);
+
+			expect(await snowTracker.balanceOfAt(userOne.address, firstBlock - 1)).to.equal(0);
+			expect(await snowTracker.balanceOfAt(userOne.address, firstBlock)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userOne.address, secondBlock)).to.equal(0);
+			expect(await snowTracker.balanceOfAt(userTwo.address, secondBlock)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userTwo.address, thirdBlock)).to.equal(60);
+
+			expect(await snowTracker.totalSupplyAt(firstBlock - 1)).to.equal(0);
+			expect(await snowTracker.totalSupplyAt(secondBlock)).to.equal(100);
+			expect(await snowTracker.totalSupplyAt(thirdBlock)).to.equal(60);
+			expect(await snowTracker.uniqueHoldersAt(firstBlock)).to.equal(1);
+			expect(await snowTracker.uniqueHoldersAt(thirdBlock)).to.equal(1);
+		});
+
+		it("Should return the balances held before the checkpoints have been introduced", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			await mine();
+			const beforeGrantBlock = await ethers.provider.getBlockNumber();
+
+			// Write the storage of a tracker upgraded after userOne received 100 tokens
+			// ('_balances', 'uniqueHolders' and 'totalSupply' are the first storage slots)
+			const balanceSlot = ethers.utils.keccak256(
+				ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [userOne.address, 0])
+			);
+			await setStorageAt(snowTracker.address, balanceSlot, 100);
+			await setStorageAt(snowTracker.address, 1, 1);
+			await setStorageAt(snowTracker.address, 2, 100);
+			await mine();
+			const upgradeBlock = await ethers.provider.getBlockNumber();
+			await mine();
+
+			// The values not changed since the upgrade are the current ones
+			expect(await snowTracker.balanceOfAt(userOne.address, upgradeBlock)).to.equal(100);
+			expect(await snowTracker.totalSupplyAt(upgradeBlock)).to.equal(100);
+			expect(await snowTracker.uniqueHoldersAt(upgradeBlock)).to.equal(1);
+
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 30);
+			const transferBlock = await ethers.provider.getBlockNumber();
+			await mine();
+
+			// The values before the first change are seeded
+			expect(await snowTracker.balanceOfAt(userOne.address, upgradeBlock)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userOne.address, transferBlock)).to.equal(70);
+			expect(await snowTracker.balanceOfAt(userTwo.address, upgradeBlock)).to.equal(0);
+			expect(await snowTracker.balanceOfAt(userTwo.address, transferBlock)).to.equal(30);
+			expect(await snowTracker.totalSupplyAt(upgradeBlock)).to.equal(100);
+			expect(await snowTracker.uniqueHoldersAt(upgradeBlock)).to.equal(1);
+			expect(await snowTracker.uniqueHoldersAt(transferBlock)).to.equal(2);
+
+			// The seeded values are returned also before userOne received the tokens
+			expect(await snowTracker.balanceOfAt(userOne.address, beforeGrantBlock)).to.equal(100);
+			expect(await snowTracker.totalSupplyAt(beforeGrantBlock)).to.equal(100);
+		});
+
+		it("Should include the expired grant lots in the history until they are swept", async function () {
+			const { snowTracker, userOne } = await loadFixture(deployContractsFixture);
+
+			await snowTracker.addTokens(userOne.address, 100);
+			const expiryBlock = (await ethers.provider.getBlockNumber()) + 5;
+			await snowTracker.addExpiringTokens(userOne.address, 50, expiryBlock);
+			await mine(expiryBlock - (await ethers.provider.getBlockNumber()));
+			const expiredBlock = await ethers.provider.getBlockNumber();
+			await mine();
+
+			// The expired lot is not part of the balance, but it is still in the history
+			expect(await snowTracker.balances(userOne.address)).to.equal(100);
+			expect(await snowTracker.balanceOf(userOne.address)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userOne.address, expiredBlock)).to.equal(150);
+			expect(await snowTracker.totalSupplyAt(expiredBlock)).to.equal(150);
+
+			await snowTracker.sweepExpiredTokens(userOne.address);
+			const sweepBlock = await ethers.provider.getBlockNumber();
+			await mine();
+			expect(await snowTracker.balanceOfAt(userOne.address, sweepBlock)).to.equal(100);
+			expect(await snowTracker.totalSupplyAt(sweepBlock)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userOne.address, expiredBlock)).to.equal(150);
+		});
+
+		it("Should allow only a manager to take the snapshots of the balances", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			await snowTracker.addTokens(userOne.address, 100);
+
+			// Reverts because only a manager can take the snapshots
+			await expect(snowTracker.connect(userOne).snapshot()).to.be.reverted;
+
+			expect(await snowTracker.callStatic.snapshot()).to.equal(1);
+			await expect(snowTracker.snapshot()).to.emit(snowTracker, "SnapshotTaken").withArgs(1, anyValue, anyValue);
+			const snapshotBlock = await snowTracker.snapshotBlocks(1);
+
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 30);
+			await snowTracker.snapshot();
+			expect(await snowTracker.snapshotsCount()).to.equal(2);
+			await mine();
+
+			expect(await snowTracker.balanceOfAt(userOne.address, snapshotBlock)).to.equal(100);
+			expect(await snowTracker.balanceOfAt(userTwo.address, snapshotBlock)).to.equal(0);
+			expect(await snowTracker.uniqueHoldersAt(snapshotBlock)).to.equal(1);
+			expect(await snowTracker.balanceOfAt(userTwo.address, await snowTracker.snapshotBlocks(2))).to.equal(30);
+			expect(await snowTracker.uniqueHoldersAt(await snowTracker.snapshotBlocks(2))).to.equal(2);
+		});
+	});
+	describe("Expiring grants testing", function () {
+		it("Should exclude the expired grant lots from the balance and let anyone sweep them", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			// Reverts because the expiry block is not in the future
+			await expect(snowTracker.addExpiringTokens(userOne.address, 10, currentBlock + 1)).to.be.revertedWith(
+				"The expiry block must be in the future"
+			);
+			// Reverts because only a manager can add tokens
+			await expect(snowTracker.connect(userOne).addExpiringTokens(userOne.address, 10, currentBlock + 100)).to.be
+				.reverted;
+
+			await expect(snowTracker.addExpiringTokens(userOne.address, 30, currentBlock + 50))
+				.to.emit(snowTracker, "GrantLotAdded")
+				.withArgs(userOne.address, 30, currentBlock + 50, anyValue);
+			await snowTracker.batchAddExpiringTokens([userOne.address, userTwo.address], [20, 20], currentBlock + 5);
+			const lots = await snowTracker.getGrantLots(userOne.address);
+			expect(bigArrayToArray(lots.map((lot) => lot.expiryBlock))).to.deep.equal([currentBlock + 5, currentBlock + 50]);
+			expect(await snowTracker.balances(userOne.address)).to.equal(50);
+
+			await mine(5);
+			expect(await snowTracker.balances(userOne.address)).to.equal(30);
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(0);
+			expect(await snowTracker.expiredTokens(userOne.address)).to.equal(20);
+			expect(await snowTracker.totalSupply()).to.equal(70);
+			expect(await snowTracker.uniqueHolders()).to.equal(2);
+
+			// Anyone can sweep the expired tokens
+			await expect(snowTracker.connect(userTwo).sweepExpiredTokens(userTwo.address))
+				.to.emit(snowTracker, "TokensExpired")
+				.withArgs(userTwo.address, 20, userTwo.address, anyValue);
+			await snowTracker.connect(userTwo).sweepExpiredTokens(userOne.address);
+			expect(await snowTracker.expiredTokens(userOne.address)).to.equal(0);
+			expect(await snowTracker.balances(userOne.address)).to.equal(30);
+			expect(await snowTracker.totalSupply()).to.equal(30);
+			expect(await snowTracker.uniqueHolders()).to.equal(1);
+			expect((await snowTracker.getGrantLots(userOne.address)).length).to.equal(1);
+		});
+
+		it("Should spend the soonest-expiring grant lots first", async function () {
+			const { snowTracker, userOne, userTwo, userThree } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.addTokens(userOne.address, 100);
+			await snowTracker.addExpiringTokens(userOne.address, 50, currentBlock + 50);
+			await snowTracker.addExpiringTokens(userOne.address, 40, currentBlock + 20);
+			expect(await snowTracker.transferableBalance(userOne.address)).to.equal(100);
+
+			// Reverts because the tokens of the grant lots can't be moved to another wallet
+			await expect(snowTracker.connect(userOne).transferTokens(userTwo.address, 101)).to.be.revertedWith(
+				"Can't transfer more tokens than the available balance"
+			);
+			await snowTracker.connect(userOne).approve(userThree.address, 200);
+			await expect(snowTracker.connect(userThree).spendFrom(userOne.address, userThree.address, 101)).to.be.revertedWith(
+				"Can't transfer more tokens than the available balance"
+			);
+
+			// The transfers take only the permanent tokens, so the lots keep their expiry
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 50);
+			let lots = await snowTracker.getGrantLots(userOne.address);
+			expect(lots.length).to.equal(2);
+			expect((await snowTracker.getGrantLots(userTwo.address)).length).to.equal(0);
+
+			// Takes 40 tokens from the lot expiring first and 20 from the next one
+			await snowTracker.connect(userThree).spendFrom(userOne.address, ZERO_ADDRESS, 60);
+			lots = await snowTracker.getGrantLots(userOne.address);
+			expect(lots.length).to.equal(1);
+			expect(lots[0].amount).to.equal(30);
+			expect(lots[0].expiryBlock).to.equal(currentBlock + 50);
+			expect(await snowTracker.balances(userOne.address)).to.equal(80);
+			expect(await snowTracker.transferableBalance(userOne.address)).to.equal(50);
+
+			// The expired lots are swept before spending, so they can't be spent
+			await mine(currentBlock + 50 - (await ethers.provider.getBlockNumber()));
+			expect(await snowTracker.balances(userOne.address)).to.equal(50);
+			await expect(snowTracker.removeTokens(userOne.address, 51)).to.be.revertedWith(
+				"Can't remove more than the available tokens"
+			);
+			await snowTracker.connect(userOne).transferTokens(userTwo.address, 50);
+			expect(await snowTracker.balances(userOne.address)).to.equal(0);
+			expect(await snowTracker.totalSupply()).to.equal(100);
+			expect(await snowTracker.uniqueHolders()).to.equal(1);
+		});
+
+		it("Should merge the grant lots with the same expiry and limit the lots of a wallet", async function () {
+			const { snowTracker, userOne } = await loadFixture(deployContractsFixture);
+
+			const maxLots = (await snowTracker.MAX_GRANT_LOTS()).toNumber();
+			const firstExpiry = (await ethers.provider.getBlockNumber()) + 100;
+			for (let i = 0; i < maxLots; i++) {
+				await snowTracker.addExpiringTokens(userOne.address, 10, firstExpiry + i);
+			}
+
+			// Reverts because the wallet already has the max number of lots
+			await expect(snowTracker.addExpiringTokens(userOne.address, 10, firstExpiry + maxLots)).to.be.revertedWith(
+				"Too many grant lots"
+			);
+
+			// The tokens with the same expiry of a lot are added to it
+			await snowTracker.addExpiringTokens(userOne.address, 5, firstExpiry + 1);
+			const lots = await snowTracker.getGrantLots(userOne.address);
+			expect(lots.length).to.equal(maxLots);
+			expect(lots[1].amount).to.equal(15);
+
+			// The expired lots are swept before adding a new one (mined in the first expiry block)
+			await mine(firstExpiry - 1 - (await ethers.provider.getBlockNumber()));
+			await snowTracker.addExpiringTokens(userOne.address, 10, firstExpiry + maxLots);
+			expect((await snowTracker.getGrantLots(userOne.address)).length).to.equal(maxLots);
+			expect(await snowTracker.balances(userOne.address)).to.equal(10 * maxLots + 5);
+		});
+	});
+	describe("Vesting schedules testing", function () {
+		it("Should unlock the vesting tokens linearly and let spend only the unlocked ones", async function () {
+			const { snowTracker, marketplace, userOne, userTwo, simple721 } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			// Reverts because the block range is not valid
+			await expect(
+				snowTracker.addVestingTokens(userTwo.address, 100, currentBlock + 10, currentBlock + 10)
+			).to.be.revertedWith("Invalid vesting block range");
+			// Reverts because only a manager can add tokens
+			await expect(
+				snowTracker.connect(userTwo).addVestingTokens(userTwo.address, 100, currentBlock, currentBlock + 100)
+			).to.be.reverted;
+
+			const startBlock = currentBlock + 10;
+			const endBlock = currentBlock + 110;
+			await expect(snowTracker.addVestingTokens(userTwo.address, 1000, startBlock, endBlock))
+				.to.emit(snowTracker, "VestingScheduleCreated")
+				.withArgs(0, userTwo.address, 1000, startBlock, endBlock);
+			await snowTracker.addTokens(userTwo.address, 50);
+			expect(bigArrayToArray(await snowTracker.getVestingScheduleIds(userTwo.address))).to.deep.equal([0]);
+
+			expect(await snowTracker.totalBalance(userTwo.address)).to.equal(1050);
+			expect(await snowTracker.lockedBalance(userTwo.address)).to.equal(1000);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(50);
+			expect(await snowTracker.totalSupply()).to.equal(1050);
+
+			// Reverts because the locked tokens can't be spent
+			await expect(snowTracker.connect(userTwo).transferTokens(userOne.address, 51)).to.be.revertedWith(
+				"Can't transfer more tokens than the available balance"
+			);
+
+			// A tenth of the tokens is unlocked after a tenth of the block range
+			await mine(startBlock + 10 - (await ethers.provider.getBlockNumber()));
+			expect(await snowTracker.lockedBalance(userTwo.address)).to.equal(900);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(150);
+
+			// The marketplace can spend only the unlocked tokens
+			await simple721.safeMint(userOne.address);
+			await simple721.connect(userOne).setApprovalForAll(marketplace.address, true);
+			await marketplace.setOpenListing(true);
+			await marketplace.connect(userOne).createOrder(300, 1, simple721.address, 0);
+			await approveMarketplace(snowTracker, marketplace);
+			await expect(marketplace.connect(userTwo).fulfillOrder(0, 1)).to.be.revertedWith(
+				"Not enough tokens available to buy the NFT"
+			);
+
+			await mine(endBlock - (await ethers.provider.getBlockNumber()));
+			expect(await snowTracker.lockedBalance(userTwo.address)).to.equal(0);
+			await marketplace.connect(userTwo).fulfillOrder(0, 1);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(750);
+		});
+
+		it("Should allow only a manager to revoke the locked tokens of a vesting schedule", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.addVestingTokens(userTwo.address, 1000, currentBlock, currentBlock + 100);
+			await snowTracker.addVestingTokens(userOne.address, 500, currentBlock + 200, currentBlock + 300);
+
+			// Reverts because only a manager can revoke a vesting schedule
+			await expect(snowTracker.connect(userTwo).revokeVesting(0)).to.be.reverted;
+			await expect(snowTracker.revokeVesting(2)).to.be.revertedWith("Invalid vesting schedule ID");
+
+			// Half of the tokens are unlocked when the schedule is revoked
+			await mine(currentBlock + 49 - (await ethers.provider.getBlockNumber()));
+			await expect(snowTracker.revokeVesting(0))
+				.to.emit(snowTracker, "VestingScheduleRevoked")
+				.withArgs(0, 500, anyValue, currentBlock + 50);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(500);
+			expect(await snowTracker.lockedBalance(userTwo.address)).to.equal(0);
+			expect((await snowTracker.vestingSchedules(0)).isRevoked).to.equal(true);
+			await expect(snowTracker.revokeVesting(0)).to.be.revertedWith("Vesting schedule already revoked");
+
+			// All the tokens are removed if the schedule hasn't started yet
+			await snowTracker.revokeVesting(1);
+			expect(await snowTracker.totalBalance(userOne.address)).to.equal(0);
+			expect(await snowTracker.totalSupply()).to.equal(500);
+			expect(await snowTracker.uniqueHolders()).to.equal(1);
+
+			await mine(100);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(500);
+		});
+
+		it("Should report the locked tokens in the ERC20 balance", async function () {
+			const { snowTracker, userTwo } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.addVestingTokens(userTwo.address, 1000, currentBlock + 10, currentBlock + 110);
+			await snowTracker.addTokens(userTwo.address, 50);
+
+			expect(await snowTracker.balanceOf(userTwo.address)).to.equal(1050);
+			expect(await snowTracker.totalBalance(userTwo.address)).to.equal(1050);
+			expect(await snowTracker.balances(userTwo.address)).to.equal(50);
+		});
+
+		it("Should remove the revoked and the unlocked vesting schedules of a wallet", async function () {
+			const { snowTracker, userOne, userTwo } = await loadFixture(deployContractsFixture);
+
+			const currentBlock = await ethers.provider.getBlockNumber();
+			await snowTracker.addVestingTokens(userTwo.address, 100, currentBlock, currentBlock + 10);
+			await snowTracker.addVestingTokens(userTwo.address, 100, currentBlock, currentBlock + 1000);
+			await snowTracker.addVestingTokens(userTwo.address, 100, currentBlock, currentBlock + 1000);
+			expect(bigArrayToArray(await snowTracker.getVestingScheduleIds(userTwo.address))).to.deep.equal([0, 1, 2]);
+
+			// The revoked schedule is removed immediately
+			await snowTracker.revokeVesting(1);
+			expect(bigArrayToArray(await snowTracker.getVestingScheduleIds(userTwo.address))).to.deep.equal([0, 2]);
+
+			// The unlocked schedule is removed when the tokens are spent
+			await mine(currentBlock + 10 - (await ethers.provider.getBlockNumber()));
+			await snowTracker.connect(userTwo).transferTokens(userOne.address, 100);
+			expect(bigArrayToArray(await snowTracker.getVestingScheduleIds(userTwo.address))).to.deep.equal([2]);
+
+			// Reverts because the wallet has too many schedules locking its tokens
+			const maxSchedules = (await snowTracker.MAX_VESTING_SCHEDULES()).toNumber();
+			for (let i = 1; i < maxSchedules; i++) {
+				await snowTracker.addVestingTokens(userTwo.address, 10, currentBlock, currentBlock + 1000);
+			}
+			await expect(
+				snowTracker.addVestingTokens(userTwo.address, 10, currentBlock, currentBlock + 1000)
+			).to.be.revertedWith("Too many vesting schedules");
+			expect((await snowTracker.getVestingScheduleIds(userTwo.address)).length).to.equal(maxSchedules);
+		});
+	});
+});
+
+/**
+ * Deploy the SnowMarketplace contract behind its proxy, together with its
+ * extensions and the libraries linked to them
+ */
+async function deployMarketplace(
+	snowTrackerAddress,
+	maxActiveOrdersAmount,
+	extensionMaxActiveOrdersAmount = maxActiveOrdersAmount
+) {
+	return deploySnowMarketplace(snowTrackerAddress, maxActiveOrdersAmount, undefined, extensionMaxActiveOrdersAmount);
+}
+
+// Let the test wallets approve the marketplace to spend all their SNOW tokens
+async function approveMarketplace(snowTracker, marketplace) {
+	const [deployer, userOne, userTwo, userThree] = await ethers.getSigners();
+	for (const wallet of [deployer, userOne, userTwo, userThree]) {
+		await snowTracker.connect(wallet).approve(marketplace.address, ethers.constants.MaxUint256);
+	}
+}
 
 function bigArrayToArray(bigArray) {
 	const convertedArray = [];